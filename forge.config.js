@@ -195,6 +195,13 @@ module.exports = {
 		icon: path.join(__dirname, './img/icons/icon'),
 		appCopyright: CONFIG.copyright,
 		asar: true,
+		// nctalk:// deep links, used on macOS to generate Info.plist
+		protocols: [
+			{
+				name: CONFIG.applicationName,
+				schemes: ['nctalk'],
+			},
+		],
 
 		// Windows
 		win32metadata: {
@@ -295,6 +302,8 @@ module.exports = {
 				productName: CONFIG.applicationName,
 				description: CONFIG.description,
 				genericName: 'Video and Chat Communication',
+				// nctalk:// deep links
+				mimeType: ['x-scheme-handler/nctalk'],
 				branch: 'stable',
 				// https://specifications.freedesktop.org/icon-theme-spec/latest/
 				icon: {
@@ -435,6 +444,14 @@ module.exports = {
 								js: './src/preload.js',
 							},
 						},
+						{
+							name: 'proxy_auth_window',
+							html: './src/proxyAuth/renderer/proxyAuth.html',
+							js: './src/proxyAuth/renderer/proxyAuth.main.ts',
+							preload: {
+								js: './src/preload.js',
+							},
+						},
 					],
 				},
 			},
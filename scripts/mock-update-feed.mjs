@@ -0,0 +1,128 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { createHash, sign } from 'node:crypto'
+import { createReadStream, statSync } from 'node:fs'
+import { readdir, readFile } from 'node:fs/promises'
+import { createServer } from 'node:http'
+import { basename, join, resolve } from 'node:path'
+import { parseArgs } from 'node:util'
+
+const { values: options } = parseArgs({
+	options: {
+		dir: { type: 'string', default: './out/make' },
+		version: { type: 'string', default: 'v99.0.0' },
+		port: { type: 'string', default: '6124' },
+		'signing-key': { type: 'string' },
+		help: { type: 'boolean', default: false },
+	},
+})
+
+if (options.help) {
+	console.log(`Serve a mock GitHub releases feed with release packages from a directory to test the app updater
+
+	Usage: npm run release:mock-feed -- --dir=./out/make --version=v99.0.0-beta.1
+	Then start the app with TALK_DESKTOP_UPDATE_FEED_URL=http://localhost:6124/releases
+
+	Args:
+	--help - show help
+	--dir - Directory with release packages, searched recursively. Default is ./out/make.
+	--version - Version of the mock release, a prerelease version makes a beta release. Default is v99.0.0.
+	--port - Server port. Default is 6124.
+	--signing-key - Path to the Ed25519 private key in PEM to sign the release manifest. Required for the app to install the update.
+`)
+	process.exit(0)
+}
+
+const ORIGIN = `http://localhost:${options.port}`
+
+/**
+ * Find all files in a directory recursively
+ *
+ * @param {string} directory - Directory path
+ * @return {Promise<Map<string, string>>} File paths by file name
+ */
+async function findFiles(directory) {
+	const entries = await readdir(directory, { recursive: true, withFileTypes: true })
+	return new Map(entries
+		.filter((entry) => entry.isFile() && !entry.name.startsWith('release-manifest'))
+		.map((entry) => [entry.name, join(entry.parentPath, entry.name)]))
+}
+
+/**
+ * Generate the release manifest with the version and the checksums of the files, same as prepare-release-packages.mjs
+ *
+ * @param {Map<string, string>} files - File paths by file name
+ * @return {Promise<string>}
+ */
+async function generateManifest(files) {
+	const checksums = {}
+	for (const [name, filePath] of files) {
+		checksums[name] = createHash('sha256').update(await readFile(filePath)).digest('hex')
+	}
+	return JSON.stringify({ version: options.version, checksums }, null, 2) + '\n'
+}
+
+const files = await findFiles(resolve(options.dir))
+const manifest = await generateManifest(files)
+const signature = options['signing-key']
+	? sign(null, Buffer.from(manifest), await readFile(resolve(options['signing-key']), 'utf-8')).toString('base64')
+	: null
+
+const releases = [
+	{
+		tag_name: options.version,
+		html_url: `${ORIGIN}/release`,
+		body: `## Mock release ${options.version}\n\nServed from \`${options.dir}\` by \`scripts/mock-update-feed.mjs\`.`,
+		draft: false,
+		prerelease: options.version.includes('-'),
+		assets: ['release-manifest.json', ...(signature ? ['release-manifest.json.sig'] : []), ...files.keys()].map((name) => ({
+			name,
+			browser_download_url: `${ORIGIN}/download/${encodeURIComponent(name)}`,
+		})),
+	},
+]
+
+createServer((request, response) => {
+	const url = new URL(request.url, ORIGIN)
+	console.log(request.method, url.pathname)
+
+	if (url.pathname === '/releases') {
+		response.writeHead(200, { 'Content-Type': 'application/json' })
+		response.end(JSON.stringify(releases, null, 2))
+		return
+	}
+
+	const name = url.pathname.startsWith('/download/') ? basename(decodeURIComponent(url.pathname)) : null
+
+	if (name === 'release-manifest.json') {
+		response.writeHead(200, { 'Content-Type': 'application/json' })
+		response.end(manifest)
+		return
+	}
+
+	if (name === 'release-manifest.json.sig' && signature) {
+		response.writeHead(200, { 'Content-Type': 'text/plain' })
+		response.end(signature)
+		return
+	}
+
+	if (name && files.has(name)) {
+		const filePath = files.get(name)
+		response.writeHead(200, {
+			'Content-Type': 'application/octet-stream',
+			'Content-Length': statSync(filePath).size,
+		})
+		createReadStream(filePath).pipe(response)
+		return
+	}
+
+	response.writeHead(404)
+	response.end()
+}).listen(Number(options.port), () => {
+	console.log(`Serving ${files.size} files of ${options.version} from ${options.dir}`)
+	console.log(manifest)
+	console.log(`Start the app with TALK_DESKTOP_UPDATE_FEED_URL=${ORIGIN}/releases`)
+})
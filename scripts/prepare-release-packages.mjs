@@ -6,6 +6,8 @@
 /// <reference types="zx" />
 /* eslint-disable no-undef */
 
+import { createHash, sign } from 'node:crypto'
+
 const packageJson = require('../package.json')
 
 const TALK_PATH = './out/.temp/spreed/'
@@ -45,6 +47,10 @@ function help() {
 	--mac-arm64 - build macOS package using arm64 architecture
 	--skip-install - skip installing dependencies in both repositories (use for debug only)
 	--skip-check - skip checking for uncommitted changes in talk-desktop (use for debug only)
+
+	Env:
+	UPDATE_PUBLIC_KEY - Ed25519 public key in PEM built into the app to verify updates
+	UPDATE_SIGNING_KEY - Ed25519 private key in PEM to sign the release manifest, the app installs only signed updates
 `
 	exit('', 0)
 }
@@ -126,6 +132,26 @@ async function prepareRelease() {
 	argv['mac-x64'] && await spinner('Package MacOS x64', () => $`npm run build:mac-x64 && npm run package:mac-x64`)
 	argv['mac-arm64'] && await spinner('Package MacOS arm64', () => $`npm run build:mac-arm64 && npm run package:mac-arm64`)
 
+	// The release manifest with the version and the checksums of the packages is verified by the app updater
+	echo`Generating release manifest...`
+	const packages = (await glob('./out/make/**/*', { onlyFiles: true }))
+		.filter((file) => !path.basename(file).startsWith('release-manifest'))
+	const checksums = await Promise.all(packages.map(async (file) => [
+		path.basename(file),
+		createHash('sha256').update(await fs.readFile(file)).digest('hex'),
+	]))
+	const manifestPath = `./out/make/release-manifest-${os.platform()}.json`
+	await fs.writeFile(manifestPath, JSON.stringify({ version: `v${packageJson.version}`, checksums: Object.fromEntries(checksums) }, null, 2) + '\n')
+
+	// Detached signature of the manifest in base64, verified by the app updater with UPDATE_PUBLIC_KEY
+	if (process.env.UPDATE_SIGNING_KEY) {
+		echo`Signing release manifest...`
+		const signature = sign(null, await fs.readFile(manifestPath), process.env.UPDATE_SIGNING_KEY)
+		await fs.writeFile(`${manifestPath}.sig`, signature.toString('base64') + '\n')
+	} else {
+		echo`UPDATE_SIGNING_KEY is not set, the release manifest is not signed and the app will not install this release`
+	}
+
 	// Done
 	echo`Done. See output in ./out/make/`
 }
@@ -0,0 +1,72 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, expect, it, vi } from 'vitest'
+import { validateAppConfig } from './AppConfig.ts'
+
+vi.mock('electron', () => ({ app: {}, webContents: {} }))
+vi.mock('./policy.ts', () => ({}))
+
+describe('AppConfig', () => {
+	describe('validateAppConfig', () => {
+		it('should accept values matching the config type', () => {
+			const config = {
+				launchAtStartup: true,
+				downloadDirectory: '/home/user/Downloads',
+				secondarySpeakerDevice: null,
+				muteNotificationsUntil: 1735689600000,
+				theme: 'dark',
+				zoomFactor: 1.5,
+				spellCheckLanguages: ['de-DE', 'en-US'],
+				globalShortcuts: { toggleAudio: 'CommandOrControl+Shift+M', toggleVideo: null, raiseHand: null, toggleMainWindow: null, acceptCall: null },
+				quietHours: { enabled: true, start: '22:00', end: '07:30', weekends: false, allowCalls: true },
+				conversationNotificationRules: { abc123: { sound: false }, def456: {} },
+				conversationSpellCheckLanguages: { abc123: ['fr'] },
+			}
+
+			expect(validateAppConfig(config)).toEqual({ validConfig: config, invalidKeys: [] })
+		})
+
+		it('should skip unknown keys', () => {
+			expect(validateAppConfig({ unknown: true, toString: 'value', theme: 'light' })).toEqual({
+				validConfig: { theme: 'light' },
+				invalidKeys: ['unknown', 'toString'],
+			})
+		})
+
+		it.each([
+			['launchAtStartup', 'true'],
+			['theme', 'blue'],
+			['zoomFactor', 0],
+			['zoomFactor', Number.NaN],
+			['downloadDirectory', 42],
+			['downloadDirectory', { path: '/tmp' }],
+			['secondarySpeakerDevice', true],
+			['muteNotificationsUntil', '2025-01-01'],
+			['spellCheckLanguages', 'en-US'],
+			['spellCheckLanguages', ['en-US', 42]],
+			['trustedFingerprints', null],
+		])('should skip an invalid value of %s: %j', (key, value) => {
+			expect(validateAppConfig({ [key]: value })).toEqual({ validConfig: {}, invalidKeys: [key] })
+		})
+
+		it.each([
+			['globalShortcuts', { toggleAudio: 'F9' }],
+			['globalShortcuts', { toggleAudio: 42, toggleVideo: null, raiseHand: null, toggleMainWindow: null, acceptCall: null }],
+			['globalShortcuts', { toggleAudio: null, toggleVideo: null, raiseHand: null, toggleMainWindow: null, acceptCall: null, unknown: null }],
+			['quietHours', { enabled: true, start: '25:00', end: '08:00', weekends: false, allowCalls: true }],
+			['quietHours', { enabled: true, start: '19:00', end: '8:00', weekends: false, allowCalls: true }],
+			['quietHours', { enabled: 'yes', start: '19:00', end: '08:00', weekends: false, allowCalls: true }],
+			['quietHours', []],
+			['conversationNotificationRules', { abc123: { sound: 'off' } }],
+			['conversationNotificationRules', { abc123: { vibrate: true } }],
+			['conversationNotificationRules', { abc123: null }],
+			['conversationSpellCheckLanguages', { abc123: 'fr' }],
+			['conversationSpellCheckLanguages', ['fr']],
+		])('should skip an invalid shape of %s: %j', (key, value) => {
+			expect(validateAppConfig({ [key]: value })).toEqual({ validConfig: {}, invalidKeys: [key] })
+		})
+	})
+})
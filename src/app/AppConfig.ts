@@ -3,9 +3,11 @@
  * SPDX-License-Identifier: AGPL-3.0-or-later
  */
 
+import type { UpdateChannel } from './updater.ts'
 import { join } from 'node:path'
 import { readFile, writeFile } from 'node:fs/promises'
 import { app, webContents } from 'electron'
+import { getPolicy } from './policy.ts'
 import { isLinux, isMac } from './system.utils.ts'
 
 const APP_CONFIG_FILE_NAME = 'config.json'
@@ -40,6 +42,32 @@ export type AppConfig = {
 	 * Default: false
 	 */
 	launchAtStartup: boolean
+	/**
+	 * Directory to save downloaded files to.
+	 * Default: null to use the system Downloads directory.
+	 */
+	downloadDirectory: string | null
+	/**
+	 * Whether to ask where to save every downloaded file.
+	 * Default: true.
+	 */
+	downloadAskWhereToSave: boolean
+	/**
+	 * Whether to regularly check for new versions.
+	 * Default: true.
+	 */
+	checkForUpdates: boolean
+	/**
+	 * Whether to download new versions automatically and install them on restart, where the app can update itself.
+	 * Otherwise, only notify about new versions.
+	 * Default: true.
+	 */
+	autoUpdate: boolean
+	/**
+	 * Release channel to get updates from.
+	 * Default: 'beta' in beta builds, 'stable' otherwise.
+	 */
+	updateChannel: UpdateChannel
 
 	// -------------------
 	// Appearance settings
@@ -66,6 +94,93 @@ export type AppConfig = {
 	 */
 	zoomFactor: number
 
+	// -----------------
+	// Shortcut settings
+	// -----------------
+
+	/**
+	 * System-wide keyboard shortcuts in the Electron accelerator format, working when the application is in background.
+	 * null to disable a shortcut.
+	 * - toggleAudio: mute/unmute the microphone in a call
+	 * - toggleVideo: enable/disable the camera in a call
+	 * - raiseHand: raise/lower the hand in a call
+	 * - toggleMainWindow: show/hide the main window
+	 * - acceptCall: join the call from the incoming call popup
+	 * Default: all disabled.
+	 */
+	globalShortcuts: Record<'toggleAudio' | 'toggleVideo' | 'raiseHand' | 'toggleMainWindow' | 'acceptCall', string | null>
+	/**
+	 * Whether push-to-talk is enabled in calls: the microphone is unmuted only while the push-to-talk key is held.
+	 * Default: false.
+	 */
+	pushToTalk: boolean
+	/**
+	 * Push-to-talk key in the Electron accelerator format.
+	 * Default: 'F8'.
+	 */
+	pushToTalkShortcut: string
+	/**
+	 * Whether push-to-talk also works when the application is not focused.
+	 * The global key toggles the microphone, because releasing a global shortcut cannot be detected.
+	 * Default: false.
+	 */
+	pushToTalkGlobal: boolean
+
+	// -------------
+	// Call settings
+	// -------------
+
+	/**
+	 * Whether to show a compact always-on-top call window with the active speaker,
+	 * when the main window loses focus or is hidden during a call.
+	 * Default: true.
+	 */
+	showMiniCallWindow: boolean
+
+	// ----------------
+	// Network settings
+	// ----------------
+
+	/**
+	 * How to connect to servers:
+	 * - 'system': use the system proxy settings [default]
+	 * - 'none': connect directly without a proxy
+	 * - 'manual': use the proxyServer
+	 * - 'pac': use the proxy auto-config script from the proxyPacUrl
+	 */
+	proxyMode: 'system' | 'none' | 'manual' | 'pac'
+	/**
+	 * Proxy server in the manual mode, with http, https, socks4 or socks5 scheme, e.g. 'socks5://proxy.example.com:1080'.
+	 * Default: ''.
+	 */
+	proxyServer: string
+	/**
+	 * Comma-separated hosts to connect to directly in the manual mode, e.g. 'localhost,*.example.com'.
+	 * Default: ''.
+	 */
+	proxyBypassRules: string
+	/**
+	 * URL of the proxy auto-config (PAC) script in the pac mode.
+	 * Default: ''.
+	 */
+	proxyPacUrl: string
+
+	// -----------------
+	// Spelling settings
+	// -----------------
+
+	/**
+	 * Languages to check spelling in, as codes of the spell checker dictionaries, e.g. ['de-DE', 'en-US', 'fr'].
+	 * Not supported on macOS, where the native spell checker detects the language.
+	 * Default: [] to use the system languages.
+	 */
+	spellCheckLanguages: string[]
+	/**
+	 * Per-conversation spell checker languages by conversation token, instead of the spellCheckLanguages.
+	 * Default: {}.
+	 */
+	conversationSpellCheckLanguages: Record<string, string[]>
+
 	// ----------------
 	// Privacy settings
 	// ----------------
@@ -108,7 +223,41 @@ export type AppConfig = {
 	 */
 	secondarySpeakerDevice: string | null
 	/**
-	 * List of trusted certificate fingerprints on Linux
+	 * Timestamp in ms until which all notifications are muted, or null if not muted.
+	 * Default: null.
+	 */
+	muteNotificationsUntil: number | null
+	/**
+	 * Local quiet hours, when no notification sounds, call popups and system notifications are shown.
+	 * - start, end: time of the day in HH:mm, the period may go over midnight
+	 * - weekends: whether the whole Saturday and Sunday are also quiet
+	 * - allowCalls: whether incoming calls are still shown, but silently
+	 * Default: disabled, 19:00-08:00, calls are shown.
+	 */
+	quietHours: {
+		enabled: boolean
+		start: string
+		end: string
+		weekends: boolean
+		allowCalls: boolean
+	}
+	/**
+	 * Per-conversation notification overrides by conversation token, independent of the notification level on the server.
+	 * Not set values follow the global settings.
+	 * - sound: whether to play a sound
+	 * - popup: whether to show the call popup
+	 * - banner: whether to show a system notification
+	 * Default: {}.
+	 */
+	conversationNotificationRules: Record<string, { sound?: boolean, popup?: boolean, banner?: boolean }>
+	/**
+	 * Words to notify about, when a new message contains them, even if the user is not mentioned.
+	 * Default: [].
+	 */
+	keywordAlerts: string[]
+	/**
+	 * List of trusted certificate fingerprints, added by the user on Linux or set by the system policy.
+	 * When locked by the system policy, other untrusted certificates are rejected without asking.
 	 */
 	trustedFingerprints: string[]
 }
@@ -120,20 +269,56 @@ export type AppConfigKey = keyof AppConfig
  */
 const defaultAppConfig: AppConfig = {
 	launchAtStartup: false,
+	downloadDirectory: null,
+	downloadAskWhereToSave: true,
+	checkForUpdates: true,
+	autoUpdate: true,
+	updateChannel: __CHANNEL__ === 'beta' ? 'beta' : 'stable',
 	theme: 'default',
 	systemTitleBar: isLinux,
 	monochromeTrayIcon: isMac,
 	zoomFactor: 1,
+	globalShortcuts: {
+		toggleAudio: null,
+		toggleVideo: null,
+		raiseHand: null,
+		toggleMainWindow: null,
+		acceptCall: null,
+	},
+	pushToTalk: false,
+	pushToTalkShortcut: 'F8',
+	pushToTalkGlobal: false,
+	showMiniCallWindow: true,
+	proxyMode: 'system',
+	proxyServer: '',
+	proxyBypassRules: '',
+	proxyPacUrl: '',
+	spellCheckLanguages: [],
+	conversationSpellCheckLanguages: {},
 	playSoundChat: 'respect-dnd',
 	playSoundCall: 'respect-dnd',
 	enableCallbox: 'respect-dnd',
 	secondarySpeaker: false,
 	secondarySpeakerDevice: null,
+	muteNotificationsUntil: null,
+	quietHours: {
+		enabled: false,
+		start: '19:00',
+		end: '08:00',
+		weekends: false,
+		allowCalls: true,
+	},
+	conversationNotificationRules: {},
+	keywordAlerts: [],
 	trustedFingerprints: [],
 }
 
 /** Local cache of the config file mixed with the default values */
 const appConfig: Partial<AppConfig> = {}
+/** Values preset by the system policy instead of the default values */
+const presetAppConfig: Partial<AppConfig> = {}
+/** Values enforced by the system policy */
+const lockedAppConfig: Partial<AppConfig> = {}
 /** Whether the application config has been read from the config file and ready to use */
 let initialized = false
 /**
@@ -174,14 +359,183 @@ async function writeAppConfigFile(config: Partial<AppConfig>) {
 }
 
 /**
- * Load the application config into the application memory
+ * Check whether a value is a plain object
+ *
+ * @param value - Value to check
+ */
+function isObject(value: unknown): value is Record<string, unknown> {
+	return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+type Validator = (value: unknown) => boolean
+
+const isBoolean: Validator = (value) => typeof value === 'boolean'
+const isString: Validator = (value) => typeof value === 'string'
+const isNumber: Validator = (value) => typeof value === 'number' && Number.isFinite(value)
+const isStringArray: Validator = (value) => Array.isArray(value) && value.every(isString)
+// Time of the day in HH:mm
+const isTime: Validator = (value) => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value)
+
+/**
+ * Create a validator of a nullable value
+ *
+ * @param validator - Validator of a non-null value
+ */
+function nullable(validator: Validator): Validator {
+	return (value) => value === null || validator(value)
+}
+
+/**
+ * Create a validator of a value with a limited set of options
+ *
+ * @param options - Allowed values
+ */
+function oneOf(options: readonly unknown[]): Validator {
+	return (value) => options.includes(value)
+}
+
+/**
+ * Create a validator of an object with the given properties and no other properties
+ *
+ * @param shape - Validators of the properties
+ * @param options - Options
+ * @param options.partial - Whether the properties may be missing
+ */
+function shapeOf(shape: Record<string, Validator>, { partial = false } = {}): Validator {
+	return (value) => isObject(value)
+		&& Object.keys(value).every((key) => Object.hasOwn(shape, key))
+		&& Object.entries(shape).every(([key, validator]) => (partial && !(key in value)) || validator(value[key]))
+}
+
+/**
+ * Create a validator of a record with arbitrary keys, such as conversation tokens
+ *
+ * @param validator - Validator of the record values
+ */
+function recordOf(validator: Validator): Validator {
+	return (value) => isObject(value) && Object.values(value).every(validator)
+}
+
+/**
+ * Validators of application config values, matching the AppConfig type
+ */
+const appConfigValidators: Record<AppConfigKey, Validator> = {
+	launchAtStartup: isBoolean,
+	downloadDirectory: nullable(isString),
+	downloadAskWhereToSave: isBoolean,
+	checkForUpdates: isBoolean,
+	autoUpdate: isBoolean,
+	updateChannel: oneOf(['stable', 'beta']),
+	theme: oneOf(['default', 'dark', 'light']),
+	systemTitleBar: isBoolean,
+	monochromeTrayIcon: isBoolean,
+	zoomFactor: (value) => isNumber(value) && (value as number) > 0,
+	globalShortcuts: shapeOf({
+		toggleAudio: nullable(isString),
+		toggleVideo: nullable(isString),
+		raiseHand: nullable(isString),
+		toggleMainWindow: nullable(isString),
+		acceptCall: nullable(isString),
+	}),
+	pushToTalk: isBoolean,
+	pushToTalkShortcut: isString,
+	pushToTalkGlobal: isBoolean,
+	showMiniCallWindow: isBoolean,
+	proxyMode: oneOf(['system', 'none', 'manual', 'pac']),
+	proxyServer: isString,
+	proxyBypassRules: isString,
+	proxyPacUrl: isString,
+	spellCheckLanguages: isStringArray,
+	conversationSpellCheckLanguages: recordOf(isStringArray),
+	playSoundChat: oneOf(['always', 'respect-dnd', 'never']),
+	playSoundCall: oneOf(['always', 'respect-dnd', 'never']),
+	enableCallbox: oneOf(['always', 'respect-dnd', 'never']),
+	secondarySpeaker: isBoolean,
+	secondarySpeakerDevice: nullable(isString),
+	muteNotificationsUntil: nullable(isNumber),
+	quietHours: shapeOf({
+		enabled: isBoolean,
+		start: isTime,
+		end: isTime,
+		weekends: isBoolean,
+		allowCalls: isBoolean,
+	}),
+	conversationNotificationRules: recordOf(shapeOf({
+		sound: isBoolean,
+		popup: isBoolean,
+		banner: isBoolean,
+	}, { partial: true })),
+	keywordAlerts: isStringArray,
+	trustedFingerprints: isStringArray,
+}
+
+/**
+ * Pick valid application config values: known keys with values matching the AppConfig type
+ *
+ * @param config - Application config values from an untrusted source, such as the policy or an imported file
+ * @return Valid values and keys of skipped invalid values
+ */
+export function validateAppConfig(config: Record<string, unknown>) {
+	const validConfig: Partial<AppConfig> = {}
+	const invalidKeys: string[] = []
+	for (const [key, value] of Object.entries(config)) {
+		if (!Object.hasOwn(appConfigValidators, key) || !appConfigValidators[key as AppConfigKey](value)) {
+			invalidKeys.push(key)
+			continue
+		}
+		Object.assign(validConfig, { [key]: value })
+	}
+	return { validConfig, invalidKeys }
+}
+
+/**
+ * Pick valid application config values from the policy
+ *
+ * @param config - Application config values set by the policy
+ */
+function validatePolicyAppConfig(config: Partial<AppConfig>) {
+	const { validConfig, invalidKeys } = validateAppConfig(config)
+	if (invalidKeys.length) {
+		console.warn(`Invalid application config values in the policy are ignored: ${invalidKeys.join(', ')}`)
+	}
+	return validConfig
+}
+
+/**
+ * Load the application config into the application memory.
+ * The system policy must be loaded before.
  */
 export async function loadAppConfig() {
 	const config = await readAppConfigFile()
 	Object.assign(appConfig, config)
+	Object.assign(presetAppConfig, validatePolicyAppConfig(getPolicy().defaults))
+	Object.assign(lockedAppConfig, validatePolicyAppConfig(getPolicy().locked))
 	initialized = true
 }
 
+/**
+ * Get application config values set by the user, without defaults and values of the system policy
+ */
+export function getUserAppConfig(): Partial<AppConfig> {
+	return structuredClone(appConfig)
+}
+
+/**
+ * Get application config keys, enforced by the system policy
+ */
+export function getLockedAppConfigKeys() {
+	return Object.keys(lockedAppConfig) as AppConfigKey[]
+}
+
+/**
+ * Check whether an application config value is enforced by the system policy and cannot be changed
+ *
+ * @param key - The config key
+ */
+export function isAppConfigLocked(key: AppConfigKey) {
+	return key in lockedAppConfig
+}
+
 export function getAppConfig(): AppConfig
 export function getAppConfig<T extends AppConfigKey>(key?: T): AppConfig[T]
 /**
@@ -195,7 +549,7 @@ export function getAppConfig<T extends AppConfigKey>(key?: T): AppConfig | AppCo
 		throw new Error('The application config is not initialized yet')
 	}
 
-	const config = { ...defaultAppConfig, ...appConfig }
+	const config = { ...defaultAppConfig, ...presetAppConfig, ...appConfig, ...lockedAppConfig }
 
 	if (key) {
 		return config[key]
@@ -205,23 +559,28 @@ export function getAppConfig<T extends AppConfigKey>(key?: T): AppConfig | AppCo
 }
 
 /**
- * Set an application config value
+ * Update an application config value in memory and notify about the change
  *
  * @param key - Settings key to set
  * @param value - Value to set or undefined to reset to the default value
- * @return Promise<AppConfig> - The full settings after the change
+ * @return Whether the value has changed
  */
-export function setAppConfig<K extends AppConfigKey>(key: K, value?: AppConfig[K]) {
+function updateAppConfigValue<K extends AppConfigKey>(key: K, value?: AppConfig[K]) {
 	// Ignore if no change
 	if (appConfig[key] === value) {
-		return
+		return false
+	}
+
+	if (isAppConfigLocked(key)) {
+		console.warn(`Application config ${key} is locked by the system policy`)
+		return false
 	}
 
 	if (value !== undefined) {
 		appConfig[key] = value
 	} else {
 		delete appConfig[key]
-		value = defaultAppConfig[key]
+		value = getAppConfig(key)
 	}
 
 	for (const contents of webContents.getAllWebContents()) {
@@ -232,7 +591,34 @@ export function setAppConfig<K extends AppConfigKey>(key: K, value?: AppConfig[K
 		listener(value)
 	}
 
-	writeAppConfigFile(appConfig)
+	return true
+}
+
+/**
+ * Set an application config value
+ *
+ * @param key - Settings key to set
+ * @param value - Value to set or undefined to reset to the default value
+ */
+export function setAppConfig<K extends AppConfigKey>(key: K, value?: AppConfig[K]) {
+	if (updateAppConfigValue(key, value)) {
+		writeAppConfigFile(appConfig)
+	}
+}
+
+/**
+ * Set several application config values at once, writing the config file once
+ *
+ * @param values - Values to set, locked values are skipped
+ */
+export function setAppConfigValues(values: Partial<AppConfig>) {
+	let changed = false
+	for (const [key, value] of Object.entries(values) as [AppConfigKey, AppConfig[AppConfigKey]][]) {
+		changed = updateAppConfigValue(key, value) || changed
+	}
+	if (changed) {
+		writeAppConfigFile(appConfig)
+	}
 }
 
 /**
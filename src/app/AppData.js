@@ -3,8 +3,6 @@
  * SPDX-License-Identifier: AGPL-3.0-or-later
  */
 
-// TODO: use safeStorage for credentials
-
 /**
  * @typedef {object} NextcloudVersion
  * @property {string} edition - edition
@@ -34,7 +32,6 @@ export class AppData {
 	talkHash = null
 	talkHashDirty = false
 
-	credentials = null
 	storageKey = 'AppData'
 
 	/**
@@ -62,6 +59,20 @@ export class AppData {
 		return this
 	}
 
+	/**
+	 * Get credentials stored in LocalStorage in plaintext by previous versions.
+	 * Credentials are now stored in the main process, see credentials.ts.
+	 *
+	 * @return {import('./credentials.ts').Credentials|null}
+	 */
+	getLegacyCredentials() {
+		try {
+			return JSON.parse(localStorage.getItem(this.storageKey))?.credentials ?? null
+		} catch {
+			return null
+		}
+	}
+
 	/**
 	 * Convert appData to plain object to serialize to JSON
 	 *
@@ -73,7 +84,6 @@ export class AppData {
 			userMetadata: this.userMetadata,
 			capabilities: this.capabilities,
 			version: this.version,
-			credentials: this.credentials,
 			talkHash: this.talkHash,
 			talkHashDirty: this.talkHashDirty,
 		}
@@ -90,7 +100,6 @@ export class AppData {
 		this.userMetadata = obj.userMetadata
 		this.capabilities = obj.capabilities
 		this.version = obj.version
-		this.credentials = obj.credentials
 		this.talkHash = obj.talkHash
 		this.talkHashDirty = obj.talkHashDirty
 		return this
@@ -134,7 +143,6 @@ export class AppData {
 				talk: null,
 				desktop: null,
 			},
-			credentials: null,
 		})
 		return this
 	}
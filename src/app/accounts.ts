@@ -0,0 +1,225 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { Session } from 'electron'
+import { join } from 'node:path'
+import { readFile, writeFile } from 'node:fs/promises'
+import { app, session } from 'electron'
+
+const ACCOUNTS_FILE_NAME = 'accounts.json'
+
+/**
+ * The first account uses the default session.
+ * It keeps the data of the application from before multi-account support.
+ */
+const DEFAULT_ACCOUNT_ID = 'default'
+
+/**
+ * An account of a user on a Nextcloud server.
+ * Every account has its own Electron session with separated storage, cookies and cache.
+ */
+export type Account = {
+	/** Unique local account ID */
+	id: string
+	/** Nextcloud server URL, if the account is logged in */
+	serverUrl: string | null
+	/** User ID on the server, if the account is logged in */
+	userId: string | null
+	/** User's display name, if the account is logged in */
+	displayName: string | null
+}
+
+/**
+ * Public information about an account, provided to a renderer on login
+ */
+export type AccountInfo = Pick<Account, 'serverUrl' | 'userId' | 'displayName'>
+
+type AccountsFile = {
+	accounts: Account[]
+	activeAccountId: string
+}
+
+const accounts: Map<string, Account> = new Map()
+let activeAccountId: string = DEFAULT_ACCOUNT_ID
+
+/**
+ * Get the path to the accounts file near the application config file
+ */
+function getAccountsFilePath() {
+	return join(app.getPath('userData'), ACCOUNTS_FILE_NAME)
+}
+
+/**
+ * Create a new account with empty information
+ *
+ * @param id - Account ID
+ */
+function createEmptyAccount(id: string): Account {
+	return {
+		id,
+		serverUrl: null,
+		userId: null,
+		displayName: null,
+	}
+}
+
+/**
+ * Write the accounts to the accounts file
+ */
+async function writeAccountsFile() {
+	const content: AccountsFile = {
+		accounts: [...accounts.values()],
+		activeAccountId,
+	}
+	try {
+		await writeFile(getAccountsFilePath(), JSON.stringify(content, null, 2))
+	} catch (error) {
+		console.error('Failed to write the accounts file', error)
+	}
+}
+
+/**
+ * Load the accounts from the accounts file.
+ * If there is no accounts file, there is only the default account.
+ */
+export async function loadAccounts() {
+	let content: Partial<AccountsFile> = {}
+	try {
+		content = JSON.parse(await readFile(getAccountsFilePath(), 'utf-8'))
+	} catch (error) {
+		if (error instanceof Error && 'code' in error && error.code !== 'ENOENT') {
+			console.error('Failed to read the accounts file', error)
+		}
+	}
+
+	accounts.clear()
+	for (const account of content.accounts ?? []) {
+		accounts.set(account.id, { ...createEmptyAccount(account.id), ...account })
+	}
+
+	if (!accounts.size) {
+		accounts.set(DEFAULT_ACCOUNT_ID, createEmptyAccount(DEFAULT_ACCOUNT_ID))
+	}
+
+	activeAccountId = content.activeAccountId && accounts.has(content.activeAccountId)
+		? content.activeAccountId
+		: accounts.keys().next().value!
+}
+
+/**
+ * Get all accounts
+ */
+export function getAccounts() {
+	return [...accounts.values()]
+}
+
+/**
+ * Get an account by ID
+ *
+ * @param id - Account ID
+ */
+export function getAccount(id: string) {
+	return accounts.get(id)
+}
+
+/**
+ * Get the active account - the last used one
+ */
+export function getActiveAccount() {
+	return accounts.get(activeAccountId)!
+}
+
+/**
+ * Set the active account
+ *
+ * @param id - Account ID
+ */
+export function setActiveAccount(id: string) {
+	if (!accounts.has(id) || activeAccountId === id) {
+		return
+	}
+	activeAccountId = id
+	writeAccountsFile()
+}
+
+/**
+ * Add a new empty account
+ */
+export function addAccount() {
+	let id: string
+	do {
+		id = Math.random().toString(36).slice(2, 10)
+	} while (accounts.has(id))
+
+	const account = createEmptyAccount(id)
+	accounts.set(id, account)
+	writeAccountsFile()
+	return account
+}
+
+/**
+ * Update the public account information, for example, after login
+ *
+ * @param id - Account ID
+ * @param accountInfo - New account information
+ */
+export function updateAccount(id: string, accountInfo: Partial<AccountInfo>) {
+	const account = accounts.get(id)
+	if (!account) {
+		return
+	}
+	Object.assign(account, accountInfo)
+	writeAccountsFile()
+}
+
+/**
+ * Remove an account. The default account cannot be removed, it is only reset.
+ *
+ * @param id - Account ID
+ */
+export function removeAccount(id: string) {
+	if (id === DEFAULT_ACCOUNT_ID) {
+		accounts.set(id, createEmptyAccount(id))
+	} else {
+		accounts.delete(id)
+	}
+
+	if (!accounts.size) {
+		accounts.set(DEFAULT_ACCOUNT_ID, createEmptyAccount(DEFAULT_ACCOUNT_ID))
+	}
+	if (!accounts.has(activeAccountId)) {
+		activeAccountId = accounts.keys().next().value!
+	}
+
+	writeAccountsFile()
+}
+
+/**
+ * Get the session of an account.
+ * The default account uses the default session, other accounts use a persistent partition.
+ * Every partition is stored in its own directory in the application data, so accounts never share cookies or storage.
+ *
+ * @param id - Account ID
+ */
+export function getAccountSession(id: string): Session {
+	if (id === DEFAULT_ACCOUNT_ID) {
+		return session.defaultSession
+	}
+	return session.fromPartition(`persist:account-${id}`)
+}
+
+/**
+ * Find an account by its session, for example, to identify the account of an IPC event sender
+ *
+ * @param targetSession - Session
+ */
+export function getAccountBySession(targetSession: Session) {
+	for (const account of accounts.values()) {
+		if (getAccountSession(account.id) === targetSession) {
+			return account
+		}
+	}
+	return undefined
+}
@@ -3,9 +3,30 @@
  * SPDX-License-Identifier: AGPL-3.0-or-later
  */
 
-const { app, Tray, Menu } = require('electron')
+const { app, Tray, Menu, nativeImage } = require('electron')
 const path = require('path')
 const { getTrayIcon } = require('../shared/icons.utils.js')
+const { getAppConfig, setAppConfig, onAppConfigChange } = require('./AppConfig.ts')
+const { getAccountBySession, getAccounts } = require('./accounts.ts')
+const { isMac } = require('./system.utils.ts')
+
+/**
+ * @typedef TrayConversation
+ * @property {string} token - Conversation token
+ * @property {string} displayName - Conversation name
+ * @property {number} unreadMessages - Number of unread messages
+ */
+
+/**
+ * @typedef TrayState
+ * @property {TrayConversation[]} conversations - Conversations with unread mentions
+ * @property {string|null} status - Current user status type
+ * @property {{ status: string, label: string }[]} statusTypes - Available user status types with translated labels
+ * @property {{ id: string, icon: string, message: string }[]} predefinedStatuses - Predefined user statuses
+ */
+
+/** Max number of unread conversations in the tray menu of an account */
+const MAX_TRAY_CONVERSATIONS = 10
 
 let isAppQuitting = false
 
@@ -17,25 +38,256 @@ app.on('before-quit', () => {
 })
 
 /**
- * Setup tray with an icon that provides a context menu.
+ * The application has a single tray for all the windows (one per account)
  *
- * @param {import('electron').BrowserWindow} browserWindow Browser window, associated with the tray
- * @return {import('electron').Tray} Tray instance
+ * @type {import('electron').Tray|null}
  */
-function setupTray(browserWindow) {
-	const icon = path.resolve(__dirname, getTrayIcon())
-	const tray = new Tray(icon)
-	tray.setToolTip(app.name)
+let tray = null
+
+/**
+ * Windows associated with the tray
+ *
+ * @type {Set<import('electron').BrowserWindow>}
+ */
+const trayWindows = new Set()
+
+/**
+ * The last focused window associated with the tray, opened from the tray
+ *
+ * @type {import('electron').BrowserWindow|null}
+ */
+let lastFocusedTrayWindow = null
+
+/**
+ * State of the Talk windows, provided by the renderers
+ *
+ * @type {Map<import('electron').BrowserWindow, TrayState>}
+ */
+const trayStates = new Map()
+
+/** Timeout to update the menu when muted notifications are unmuted */
+let unmuteTimeout = null
+
+/**
+ * Show the last focused window associated with the tray
+ */
+function showLastFocusedTrayWindow() {
+	lastFocusedTrayWindow?.show()
+}
+
+/**
+ * Get whether notifications are muted now
+ *
+ * @return {boolean}
+ */
+function isNotificationsMuted() {
+	const muteNotificationsUntil = getAppConfig('muteNotificationsUntil')
+	return !!muteNotificationsUntil && muteNotificationsUntil > Date.now()
+}
+
+/**
+ * Get the timestamp of tomorrow morning
+ *
+ * @return {number}
+ */
+function getTomorrowMorning() {
+	const date = new Date()
+	date.setDate(date.getDate() + 1)
+	date.setHours(8, 0, 0, 0)
+	return date.getTime()
+}
+
+/**
+ * Draw a badge dot in the top right corner of the icon
+ *
+ * @param {import('electron').NativeImage} icon - Icon
+ * @return {import('electron').NativeImage}
+ */
+function drawBadge(icon) {
+	const badgedIcon = nativeImage.createEmpty()
+	for (const scaleFactor of icon.getScaleFactors()) {
+		const { width, height } = icon.getSize(scaleFactor)
+		const buffer = Buffer.from(icon.toBitmap({ scaleFactor }))
+		const radius = Math.round(width * 0.22)
+		const centerX = width - radius - 1
+		const centerY = radius + 1
+		for (let y = centerY - radius; y <= centerY + radius; y++) {
+			for (let x = centerX - radius; x <= centerX + radius; x++) {
+				if ((x - centerX) ** 2 + (y - centerY) ** 2 <= radius ** 2) {
+					// BGRA, --color-error
+					buffer.set([0x32, 0x2D, 0xDB, 0xFF], (y * width + x) * 4)
+				}
+			}
+		}
+		badgedIcon.addRepresentation({ scaleFactor, width, height, buffer })
+	}
+	return badgedIcon
+}
+
+/**
+ * Send an action to a Talk window
+ *
+ * @param {import('electron').BrowserWindow} browserWindow - Talk window
+ * @param {object} action - Action
+ */
+function sendTrayAction(browserWindow, action) {
+	if (!browserWindow.isDestroyed()) {
+		browserWindow.webContents.send('tray:action', action)
+	}
+}
+
+/**
+ * Build the tray menu template of a Talk window
+ *
+ * @param {import('electron').BrowserWindow} browserWindow - Talk window
+ * @param {TrayState} state - Tray state of the window
+ * @param {string|null} accountName - Account name if there are multiple accounts
+ * @return {import('electron').MenuItemConstructorOptions[]}
+ */
+function buildAccountMenuTemplate(browserWindow, state, accountName) {
+	const template = []
+
+	if (state.conversations.length) {
+		template.push({ label: accountName ? `Unread mentions — ${accountName}` : 'Unread mentions', enabled: false })
+		for (const conversation of state.conversations.slice(0, MAX_TRAY_CONVERSATIONS)) {
+			template.push({
+				label: conversation.unreadMessages ? `${conversation.displayName} (${conversation.unreadMessages})` : conversation.displayName,
+				click: () => sendTrayAction(browserWindow, { type: 'openConversation', token: conversation.token }),
+			})
+		}
+		template.push({ type: 'separator' })
+	}
+
+	if (state.status) {
+		template.push({
+			label: accountName ? `Status — ${accountName}` : 'Status',
+			submenu: [
+				...state.statusTypes.map(({ status, label }) => ({
+					label,
+					type: 'radio',
+					checked: status === state.status,
+					click: () => sendTrayAction(browserWindow, { type: 'setStatus', status }),
+				})),
+				...(state.predefinedStatuses.length ? [{ type: 'separator' }] : []),
+				...state.predefinedStatuses.map(({ id, icon, message }) => ({
+					label: `${icon} ${message}`,
+					click: () => sendTrayAction(browserWindow, { type: 'setPredefinedStatus', id }),
+				})),
+			],
+		})
+	}
+
+	return template
+}
+
+/**
+ * Update the tray context menu and icon with the current state of all Talk windows
+ */
+function updateTray() {
+	if (!tray) {
+		return
+	}
+
+	const isMultiAccount = getAccounts().length > 1
+	const accountsTemplate = [...trayStates.entries()].flatMap(([browserWindow, state]) => {
+		const account = getAccountBySession(browserWindow.webContents.session)
+		return buildAccountMenuTemplate(browserWindow, state, isMultiAccount ? account?.displayName ?? null : null)
+	})
+
+	const isMuted = isNotificationsMuted()
+	const muteTemplate = isMuted
+		? [
+				{
+					label: `Notifications muted until ${new Date(getAppConfig('muteNotificationsUntil')).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}`,
+					enabled: false,
+				},
+				{
+					label: 'Unmute notifications',
+					click: () => setAppConfig('muteNotificationsUntil', null),
+				},
+			]
+		: [
+				{
+					label: 'Mute notifications',
+					submenu: [
+						{
+							label: 'For 1 hour',
+							click: () => setAppConfig('muteNotificationsUntil', Date.now() + 60 * 60 * 1000),
+						},
+						{
+							label: 'Until tomorrow',
+							click: () => setAppConfig('muteNotificationsUntil', getTomorrowMorning()),
+						},
+					],
+				},
+			]
+
 	tray.setContextMenu(Menu.buildFromTemplate([
 		{
 			label: 'Open',
-			click: () => browserWindow.show(),
+			click: () => showLastFocusedTrayWindow(),
 		},
+		{ type: 'separator' },
+		...accountsTemplate,
+		...muteTemplate,
+		{ type: 'separator' },
 		{
 			role: 'quit',
 		},
 	]))
-	tray.on('click', () => browserWindow.show())
+
+	// macOS has a badge on the dock icon via app.setBadgeCount
+	if (!isMac) {
+		const hasUnread = [...trayStates.values()].some((state) => state.conversations.length)
+		const icon = nativeImage.createFromPath(path.resolve(__dirname, getTrayIcon()))
+		tray.setImage(hasUnread ? drawBadge(icon) : icon)
+	}
+
+	// Update the menu when notifications are unmuted automatically
+	clearTimeout(unmuteTimeout)
+	if (isMuted) {
+		unmuteTimeout = setTimeout(() => setAppConfig('muteNotificationsUntil', null), getAppConfig('muteNotificationsUntil') - Date.now())
+	}
+}
+
+onAppConfigChange('muteNotificationsUntil', () => updateTray())
+
+/**
+ * Update the tray state of a Talk window
+ *
+ * @param {import('electron').BrowserWindow} browserWindow - Talk window
+ * @param {TrayState} state - New tray state
+ */
+function updateTrayState(browserWindow, state) {
+	if (!trayWindows.has(browserWindow)) {
+		return
+	}
+	trayStates.set(browserWindow, state)
+	updateTray()
+}
+
+/**
+ * Setup tray with an icon that provides a context menu.
+ * If the tray already exists, the window is associated with the existing tray.
+ *
+ * @param {import('electron').BrowserWindow} browserWindow Browser window, associated with the tray
+ * @return {import('electron').Tray} Tray instance
+ */
+function setupTray(browserWindow) {
+	if (!tray) {
+		const icon = path.resolve(__dirname, getTrayIcon())
+		tray = new Tray(icon)
+		tray.setToolTip(app.name)
+		tray.on('click', () => showLastFocusedTrayWindow())
+		updateTray()
+	}
+
+	trayWindows.add(browserWindow)
+	lastFocusedTrayWindow = browserWindow
+
+	browserWindow.on('focus', () => {
+		lastFocusedTrayWindow = browserWindow
+	})
 
 	browserWindow.on('close', (event) => {
 		if (!isAppQuitting) {
@@ -45,7 +297,17 @@ function setupTray(browserWindow) {
 	})
 
 	browserWindow.on('closed', () => {
-		tray.destroy()
+		trayWindows.delete(browserWindow)
+		trayStates.delete(browserWindow)
+		if (lastFocusedTrayWindow === browserWindow) {
+			lastFocusedTrayWindow = [...trayWindows].at(-1) ?? null
+		}
+		if (!trayWindows.size) {
+			tray.destroy()
+			tray = null
+		} else {
+			updateTray()
+		}
 	})
 
 	return tray
@@ -53,4 +315,5 @@ function setupTray(browserWindow) {
 
 module.exports = {
 	setupTray,
+	updateTrayState,
 }
@@ -5,7 +5,8 @@
 
 import path from 'node:path'
 import { pathToFileURL } from 'node:url'
-import { app, protocol, net } from 'electron'
+import type { Session } from 'electron'
+import { app, protocol, net, session } from 'electron'
 import { APP_PROTOCOL, APP_HOST, DEV_SERVER_ORIGIN } from '../constants.js'
 
 protocol.registerSchemesAsPrivileged([
@@ -20,11 +21,23 @@ protocol.registerSchemesAsPrivileged([
 	},
 ])
 
+/**
+ * Sessions with already registered app protocol handler
+ */
+const sessionsWithAppProtocol: WeakSet<Session> = new WeakSet()
+
 /**
  * Register app protocol handler
+ *
+ * @param targetSession - Session to register the handler on, the default session by default
  */
-export function registerAppProtocolHandler() {
-	protocol.handle(APP_PROTOCOL, async (request) => {
+export function registerAppProtocolHandler(targetSession: Session = session.defaultSession) {
+	if (sessionsWithAppProtocol.has(targetSession)) {
+		return
+	}
+	sessionsWithAppProtocol.add(targetSession)
+
+	targetSession.protocol.handle(APP_PROTOCOL, async (request) => {
 		const url = new URL(request.url)
 
 		// Redirect nctalk://call/{token} links to the app
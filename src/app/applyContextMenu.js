@@ -5,6 +5,7 @@
 
 const { clipboard, Menu } = require('electron')
 const { isExternalLink } = require('./externalLinkHandlers.ts')
+const { getSpellCheckLanguagesMenuItems } = require('./spellCheck.config.ts')
 
 /**
  * Enable context menu by right click
@@ -97,6 +98,12 @@ export function applyContextMenu(browserWindow) {
 			menuItems.push(...menuClipboardItems)
 		}
 
+		// Add spell checker languages selection for text editing
+		const menuSpellCheckItems = getSpellCheckLanguagesMenuItems(browserWindow.webContents.session)
+		if (params.isEditable && menuSpellCheckItems.length) {
+			menuItems.push(...menuSpellCheckItems, { type: 'separator' })
+		}
+
 		// TODO Remove or hide from production DevTools toggle before final release
 		menuItems.push({ role: 'toggleDevTools' })
 
@@ -0,0 +1,85 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { WebContents } from 'electron'
+import { describe, expect, it, vi } from 'vitest'
+import { consumePendingCliCommands, executeCliCommandInRenderer, parseCliArgs, resolveCliCommand } from './cli.ts'
+
+/**
+ * Create a fake web contents of a Talk window
+ */
+function createWebContents() {
+	return {
+		once: vi.fn(),
+		send: vi.fn(),
+		isDestroyed: () => false,
+	} as unknown as WebContents
+}
+
+describe('cli', () => {
+	describe('parseCliArgs', () => {
+		it.each([
+			[['talk'], null],
+			[['talk', '--background', 'nctalk://conversation/abc123'], null],
+			[['talk', '--version'], { command: 'version' }],
+			[['talk', '--diagnose'], { command: 'diagnose' }],
+			[['talk', '--quit'], { command: 'quit' }],
+			[['talk', '--logout'], { command: 'logout' }],
+			[['talk', '--open', 'abc123'], { command: 'open', token: 'abc123' }],
+			[['talk', '--open=abc123'], { command: 'open', token: 'abc123' }],
+			[['talk', '--call', 'abc123'], { command: 'call', token: 'abc123' }],
+			[['talk', '--send', 'abc123', 'Hello world'], { command: 'send', token: 'abc123', text: 'Hello world' }],
+			[['talk', '--send=abc123', 'Hi'], { command: 'send', token: 'abc123', text: 'Hi' }],
+			[['talk', '--status', 'dnd'], { command: 'status', status: 'dnd', message: null, clearAfter: null }],
+			[['talk', '--status', 'dnd', '--message', 'Focus', '--clear-after', '1h'], { command: 'status', status: 'dnd', message: 'Focus', clearAfter: 3600 }],
+			[['talk', '--status=away', '--message=Lunch', '--clear-after=30m'], { command: 'status', status: 'away', message: 'Lunch', clearAfter: 1800 }],
+		])('should parse %j', (argv, expected) => {
+			expect(parseCliArgs(argv)).toEqual(expected)
+		})
+
+		it.each([
+			[['talk', '--open'], '--open requires a conversation token'],
+			[['talk', '--call', '--background'], '--call requires a conversation token'],
+			[['talk', '--send', 'abc123'], '--send requires a message text after the conversation token'],
+			[['talk', '--send', 'abc123', '  '], '--send requires a message text after the conversation token'],
+			[['talk', '--status'], '--status requires a status'],
+			[['talk', '--status', 'busy'], 'Unknown status "busy"'],
+			[['talk', '--status', 'dnd', '--message', 'Focus', '--clear-after', '1y'], 'Invalid duration "1y"'],
+			[['talk', '--status', 'dnd', '--clear-after', '1h'], '--clear-after requires a status message'],
+		])('should reject %j', (argv, error) => {
+			expect(() => parseCliArgs(argv)).toThrow(error)
+		})
+	})
+
+	describe('consumePendingCliCommands', () => {
+		it('should hand pending commands only to the active account', async () => {
+			const activeWebContents = createWebContents()
+			const backgroundWebContents = createWebContents()
+			const command = { command: 'send', token: 'abc123', text: 'Hello' } as const
+
+			const result = executeCliCommandInRenderer(undefined, command)
+
+			expect(consumePendingCliCommands(backgroundWebContents, activeWebContents)).toEqual([])
+			const [pending] = consumePendingCliCommands(activeWebContents, activeWebContents)
+			expect(pending.command).toEqual(command)
+			expect(consumePendingCliCommands(activeWebContents, activeWebContents)).toEqual([])
+
+			resolveCliCommand(pending.id, { output: 'Sent' })
+			expect(await result).toEqual({ output: 'Sent' })
+		})
+
+		it('should send commands directly to the ready active account', async () => {
+			const activeWebContents = createWebContents()
+			const command = { command: 'open', token: 'abc123' } as const
+
+			consumePendingCliCommands(activeWebContents, activeWebContents)
+			const result = executeCliCommandInRenderer(activeWebContents, command)
+
+			expect(activeWebContents.send).toHaveBeenCalledWith('cli:command', expect.any(String), command)
+			resolveCliCommand(vi.mocked(activeWebContents.send).mock.calls[0][1] as string, {})
+			expect(await result).toEqual({})
+		})
+	})
+})
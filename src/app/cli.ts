@@ -0,0 +1,306 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { WebContents } from 'electron'
+import os from 'node:os'
+import path from 'node:path'
+import { randomUUID } from 'node:crypto'
+import { readFile, rename, rm, writeFile } from 'node:fs/promises'
+
+/** User status types that can be set from the command line */
+const CLI_USER_STATUSES = ['online', 'away', 'dnd', 'invisible'] as const
+
+/** How long a second instance waits for the running instance to execute a command */
+const CLI_RESPONSE_TIMEOUT = 30_000
+
+/** Interval of checking the response file */
+const CLI_RESPONSE_POLL_INTERVAL = 100
+
+/** Prefix of response files in the temporary directory */
+const CLI_RESPONSE_FILE_PREFIX = 'talk-desktop-cli-'
+
+/** Duration units of --clear-after in seconds */
+const DURATION_UNITS: Record<string, number> = {
+	s: 1,
+	m: 60,
+	h: 60 * 60,
+	d: 24 * 60 * 60,
+	w: 7 * 24 * 60 * 60,
+}
+
+export const CLI_USAGE = `Usage:
+  --open <token>                Open a conversation
+  --call <token>                Join a call in a conversation
+  --status <status>             Set the user status: ${CLI_USER_STATUSES.join(', ')}
+    [--message <message>]       With a custom status message
+    [--clear-after <duration>]  Clear the status message after a duration, e.g. 30m, 1h, 1d
+  --send <token> <text>         Send a message to a conversation
+  --logout                      Log out from the active account
+  --quit                        Quit the app
+  --diagnose                    Print the diagnosis report
+  --version                     Print the app version`
+
+/**
+ * Command to execute in the running app
+ */
+export type CliCommand =
+	| { command: 'open', token: string }
+	| { command: 'call', token: string }
+	| { command: 'status', status: typeof CLI_USER_STATUSES[number], message: string | null, clearAfter: number | null }
+	| { command: 'send', token: string, text: string }
+	| { command: 'logout' }
+	| { command: 'quit' }
+	| { command: 'diagnose' }
+	| { command: 'version' }
+
+/**
+ * Result of a command, printed by the second instance
+ */
+export type CliResult = {
+	/** Output to print to stdout */
+	output?: string
+	/** Error to print to stderr, exits with a non-zero code */
+	error?: string
+}
+
+/** Commands sent to Talk windows, waiting for the result, by ID */
+const runningCommands = new Map<string, (result: CliResult) => void>()
+
+/** Commands waiting for the Talk window of the active account to be ready */
+const pendingCommands: { id: string, command: CliCommand }[] = []
+
+/** Talk windows ready to execute commands */
+const readyWebContents = new WeakSet<WebContents>()
+
+/**
+ * Parse a duration like 30m, 1h or 2d
+ *
+ * @param duration - Duration
+ * @return Duration in seconds or null if invalid
+ */
+function parseDuration(duration: string) {
+	const match = duration.match(/^(\d+)([smhdw])$/)
+	if (!match) {
+		return null
+	}
+	return parseInt(match[1], 10) * DURATION_UNITS[match[2]]
+}
+
+/**
+ * Get a value of an option: --option <value> or --option=<value>
+ *
+ * @param argv - Command line arguments
+ * @param option - Option name with dashes
+ * @return Value, undefined if there is no option, null if there is no value
+ */
+function getOptionValue(argv: string[], option: string) {
+	const index = argv.findIndex((arg) => arg === option || arg.startsWith(option + '='))
+	if (index === -1) {
+		return undefined
+	}
+	if (argv[index].includes('=')) {
+		return argv[index].slice(argv[index].indexOf('=') + 1)
+	}
+	const value = argv[index + 1]
+	return value !== undefined && !value.startsWith('--') ? value : null
+}
+
+/**
+ * Get a required value of an option
+ *
+ * @param argv - Command line arguments
+ * @param option - Option name with dashes
+ * @param name - Value name for the error message
+ */
+function getRequiredOptionValue(argv: string[], option: string, name: string) {
+	const value = getOptionValue(argv, option)
+	if (!value) {
+		throw new Error(`${option} requires a ${name}`)
+	}
+	return value
+}
+
+/**
+ * Parse a command from command line arguments.
+ * Other arguments, for example, --background or deep links, are not commands.
+ *
+ * @param argv - Command line arguments
+ * @return Command or null if there is no command
+ * @throws {Error} On invalid usage, with a message to print
+ */
+export function parseCliArgs(argv: string[]): CliCommand | null {
+	if (argv.includes('--version')) {
+		return { command: 'version' }
+	}
+
+	if (argv.includes('--diagnose')) {
+		return { command: 'diagnose' }
+	}
+
+	if (argv.includes('--quit')) {
+		return { command: 'quit' }
+	}
+
+	if (argv.includes('--logout')) {
+		return { command: 'logout' }
+	}
+
+	if (getOptionValue(argv, '--open') !== undefined) {
+		return { command: 'open', token: getRequiredOptionValue(argv, '--open', 'conversation token') }
+	}
+
+	if (getOptionValue(argv, '--call') !== undefined) {
+		return { command: 'call', token: getRequiredOptionValue(argv, '--call', 'conversation token') }
+	}
+
+	if (getOptionValue(argv, '--send') !== undefined) {
+		const token = getRequiredOptionValue(argv, '--send', 'conversation token')
+		const index = argv.findIndex((arg) => arg === '--send' || arg.startsWith('--send='))
+		const text = argv[argv[index].includes('=') ? index + 1 : index + 2]
+		if (!text?.trim()) {
+			throw new Error('--send requires a message text after the conversation token')
+		}
+		return { command: 'send', token, text }
+	}
+
+	if (getOptionValue(argv, '--status') !== undefined) {
+		const status = getRequiredOptionValue(argv, '--status', 'status')
+		if (!(CLI_USER_STATUSES as readonly string[]).includes(status)) {
+			throw new Error(`Unknown status "${status}", expected one of: ${CLI_USER_STATUSES.join(', ')}`)
+		}
+
+		const message = getOptionValue(argv, '--message') || null
+		const clearAfterOption = getOptionValue(argv, '--clear-after')
+		const clearAfter = clearAfterOption !== undefined ? parseDuration(clearAfterOption ?? '') : null
+		if (clearAfterOption !== undefined && clearAfter === null) {
+			throw new Error(`Invalid duration "${clearAfterOption ?? ''}", expected a number with a unit: s, m, h, d, w`)
+		}
+		// Only the status message is cleared, the status type stays
+		if (clearAfter !== null && !message) {
+			throw new Error('--clear-after requires a status message')
+		}
+
+		return {
+			command: 'status',
+			status: status as typeof CLI_USER_STATUSES[number],
+			message,
+			clearAfter,
+		}
+	}
+
+	return null
+}
+
+/**
+ * Get a path to a temporary file for the running instance to write the command result to
+ */
+export function createCliResponseFilePath() {
+	return path.join(os.tmpdir(), `${CLI_RESPONSE_FILE_PREFIX}${randomUUID()}.json`)
+}
+
+/**
+ * Write the command result for the second instance
+ *
+ * @param responseFile - Path to the response file from the second instance
+ * @param result - Command result
+ */
+export async function writeCliResponse(responseFile: string, result: CliResult) {
+	// The path comes from another process, do not write anywhere else
+	if (path.dirname(responseFile) !== os.tmpdir() || !path.basename(responseFile).startsWith(CLI_RESPONSE_FILE_PREFIX)) {
+		throw new Error(`Invalid response file path: ${responseFile}`)
+	}
+	// Write atomically, the second instance may read the file at any moment
+	await writeFile(responseFile + '.tmp', JSON.stringify(result))
+	await rename(responseFile + '.tmp', responseFile)
+}
+
+/**
+ * Wait for the running instance to write the command result
+ *
+ * @param responseFile - Path to the response file
+ */
+export async function waitForCliResponse(responseFile: string): Promise<CliResult> {
+	const startTime = Date.now()
+	while (Date.now() - startTime < CLI_RESPONSE_TIMEOUT) {
+		try {
+			const result = JSON.parse(await readFile(responseFile, 'utf-8'))
+			await rm(responseFile, { force: true })
+			return result
+		} catch {
+			await new Promise((resolve) => setTimeout(resolve, CLI_RESPONSE_POLL_INTERVAL))
+		}
+	}
+	return { error: 'No response from the running app' }
+}
+
+/**
+ * Print a command result
+ *
+ * @param result - Command result
+ * @return Exit code
+ */
+export function printCliResult(result: CliResult) {
+	if (result.output) {
+		process.stdout.write(result.output.endsWith('\n') ? result.output : result.output + '\n')
+	}
+	if (result.error) {
+		process.stderr.write(result.error + '\n')
+		return 1
+	}
+	return 0
+}
+
+/**
+ * Execute a command in a Talk window, or keep it until the window is ready
+ *
+ * @param webContents - Web contents of the Talk window of the active account, if there is one
+ * @param command - Command
+ */
+export function executeCliCommandInRenderer(webContents: WebContents | undefined, command: CliCommand): Promise<CliResult> {
+	const id = randomUUID()
+	return new Promise((resolve) => {
+		const timeout = setTimeout(() => resolveCliCommand(id, { error: 'The command was not executed in time' }), CLI_RESPONSE_TIMEOUT)
+		runningCommands.set(id, (result) => {
+			clearTimeout(timeout)
+			runningCommands.delete(id)
+			resolve(result)
+		})
+
+		if (webContents && !webContents.isDestroyed() && readyWebContents.has(webContents)) {
+			webContents.send('cli:command', id, command)
+		} else {
+			pendingCommands.push({ id, command })
+		}
+	})
+}
+
+/**
+ * Mark a Talk window as ready to execute commands and get pending commands.
+ * Commands are only executed in the active account, other windows get nothing.
+ *
+ * @param webContents - Web contents of the Talk window
+ * @param activeWebContents - Web contents of the Talk window of the active account
+ */
+export function consumePendingCliCommands(webContents: WebContents, activeWebContents: WebContents | undefined) {
+	readyWebContents.add(webContents)
+	// The page is reloaded - wait for the new renderer
+	webContents.once('did-navigate', () => readyWebContents.delete(webContents))
+
+	if (webContents !== activeWebContents) {
+		return []
+	}
+
+	return pendingCommands.splice(0)
+}
+
+/**
+ * Resolve a command executed in a Talk window
+ *
+ * @param id - Command ID
+ * @param result - Command result
+ */
+export function resolveCliCommand(id: string, result: CliResult) {
+	runningCommands.get(id)?.(result)
+}
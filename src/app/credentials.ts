@@ -0,0 +1,174 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { join } from 'node:path'
+import { readFile, writeFile } from 'node:fs/promises'
+import { app, safeStorage } from 'electron'
+import { isLinux } from './system.utils.ts'
+
+const CREDENTIALS_FILE_NAME = 'credentials.json'
+
+/**
+ * User credentials from the Login Flow
+ */
+export type Credentials = {
+	/** Server URL */
+	server: string
+	/** User's Login (user@example.com, not userid) */
+	user: string
+	/** App password */
+	password: string
+}
+
+/**
+ * How the credentials are stored:
+ * - keychain - encrypted with a key from the OS keychain (Keychain on macOS, DPAPI on Windows, Secret Service or KWallet on Linux)
+ * - basic - no keyring on Linux, encrypted with a hardcoded key, which is only an obfuscation
+ * - plaintext - encryption is not available at all
+ */
+export type CredentialsStorageMode = 'keychain' | 'basic' | 'plaintext'
+
+type StoredCredentials = {
+	/** Whether the credentials are encrypted with safeStorage */
+	encrypted: boolean
+	/** Encrypted credentials JSON in base64 or the plain credentials JSON */
+	data: string
+}
+
+/** Stored credentials by account ID */
+const storedCredentials: Map<string, StoredCredentials> = new Map()
+
+/**
+ * Get the path to the credentials file near the application config file
+ */
+function getCredentialsFilePath() {
+	return join(app.getPath('userData'), CREDENTIALS_FILE_NAME)
+}
+
+/**
+ * Write the stored credentials to the credentials file
+ */
+async function writeCredentialsFile() {
+	try {
+		await writeFile(getCredentialsFilePath(), JSON.stringify(Object.fromEntries(storedCredentials), null, 2), { mode: 0o600 })
+	} catch (error) {
+		console.error('Failed to write the credentials file', error)
+	}
+}
+
+/**
+ * Get the current storage mode of the credentials.
+ * Must be called after the app is ready.
+ */
+export function getCredentialsStorageMode(): CredentialsStorageMode {
+	if (!safeStorage.isEncryptionAvailable()) {
+		return 'plaintext'
+	}
+	if (isLinux && safeStorage.getSelectedStorageBackend() === 'basic_text') {
+		return 'basic'
+	}
+	return 'keychain'
+}
+
+/**
+ * Encrypt credentials if possible
+ *
+ * @param credentials - Credentials
+ */
+function encryptCredentials(credentials: Credentials): StoredCredentials {
+	const json = JSON.stringify(credentials)
+	if (getCredentialsStorageMode() === 'plaintext') {
+		return { encrypted: false, data: json }
+	}
+	return { encrypted: true, data: safeStorage.encryptString(json).toString('base64') }
+}
+
+/**
+ * Decrypt stored credentials
+ *
+ * @param stored - Stored credentials
+ * @return Credentials or null if they cannot be decrypted, for example, after the keychain was reset
+ */
+function decryptCredentials(stored: StoredCredentials): Credentials | null {
+	try {
+		if (!stored.encrypted) {
+			return JSON.parse(stored.data)
+		}
+		return JSON.parse(safeStorage.decryptString(Buffer.from(stored.data, 'base64')))
+	} catch (error) {
+		console.error('Failed to decrypt credentials', error)
+		return null
+	}
+}
+
+/**
+ * Load the stored credentials from the credentials file.
+ * Must be called after the app is ready.
+ */
+export async function loadCredentials() {
+	let content: Record<string, StoredCredentials> = {}
+	try {
+		content = JSON.parse(await readFile(getCredentialsFilePath(), 'utf-8'))
+	} catch (error) {
+		if (error instanceof Error && 'code' in error && error.code !== 'ENOENT') {
+			console.error('Failed to read the credentials file', error)
+		}
+	}
+
+	storedCredentials.clear()
+	for (const [accountId, stored] of Object.entries(content)) {
+		storedCredentials.set(accountId, stored)
+	}
+
+	const mode = getCredentialsStorageMode()
+	if (mode !== 'keychain') {
+		console.warn(`No OS keychain is available, credentials are stored in "${mode}" mode`)
+		return
+	}
+
+	// The keychain has become available - encrypt credentials stored in plaintext before
+	const plaintextEntries = [...storedCredentials.entries()].filter(([, stored]) => !stored.encrypted)
+	for (const [accountId, stored] of plaintextEntries) {
+		const credentials = decryptCredentials(stored)
+		if (credentials) {
+			storedCredentials.set(accountId, encryptCredentials(credentials))
+		}
+	}
+	if (plaintextEntries.length) {
+		await writeCredentialsFile()
+	}
+}
+
+/**
+ * Get the credentials of an account
+ *
+ * @param accountId - Account ID
+ */
+export function getCredentials(accountId: string): Credentials | null {
+	const stored = storedCredentials.get(accountId)
+	return stored ? decryptCredentials(stored) : null
+}
+
+/**
+ * Store the credentials of an account
+ *
+ * @param accountId - Account ID
+ * @param credentials - Credentials
+ */
+export function setCredentials(accountId: string, credentials: Credentials) {
+	storedCredentials.set(accountId, encryptCredentials(credentials))
+	writeCredentialsFile()
+}
+
+/**
+ * Remove the credentials of an account
+ *
+ * @param accountId - Account ID
+ */
+export function removeCredentials(accountId: string) {
+	if (storedCredentials.delete(accountId)) {
+		writeCredentialsFile()
+	}
+}
@@ -0,0 +1,86 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { WebContents } from 'electron'
+import { describe, expect, it, vi } from 'vitest'
+import { consumePendingDeepLink, dispatchDeepLink, findDeepLinkInArgv, parseDeepLink } from './deepLinks.ts'
+
+vi.mock('electron', () => ({ app: {} }))
+
+/**
+ * Create a fake web contents of a Talk window
+ */
+function createWebContents() {
+	return {
+		once: vi.fn(),
+		send: vi.fn(),
+		isDestroyed: () => false,
+	} as unknown as WebContents
+}
+
+describe('deepLinks', () => {
+	describe('parseDeepLink', () => {
+		it.each([
+			['nctalk://conversation/abc123', { type: 'conversation', token: 'abc123', messageId: null }],
+			['nctalk://conversation/abc123?message=42', { type: 'conversation', token: 'abc123', messageId: 42 }],
+			['nctalk://conversation/abc123?message=last', { type: 'conversation', token: 'abc123', messageId: null }],
+			['nctalk://call/abc123', { type: 'conversation', token: 'abc123', messageId: null }],
+			['nctalk://user/John%20Doe', { type: 'user', userId: 'John Doe' }],
+			['nctalk://share?file=%2Fhome%2Fuser%2Ffile.txt', { type: 'share', file: '/home/user/file.txt' }],
+		])('should parse %s', (link, expected) => {
+			expect(parseDeepLink(link)).toEqual(expected)
+		})
+
+		it.each([
+			'not a URL',
+			'https://conversation/abc123',
+			'nctalk://app/talk',
+			'nctalk://conversation/',
+			'nctalk://user',
+			'nctalk://share',
+			'nctalk://unknown/abc123',
+		])('should not parse %s', (link) => {
+			vi.spyOn(console, 'warn').mockImplementation(() => {})
+			expect(parseDeepLink(link)).toBeNull()
+		})
+	})
+
+	describe('findDeepLinkInArgv', () => {
+		it('should find the first valid deep link in arguments', () => {
+			vi.spyOn(console, 'warn').mockImplementation(() => {})
+			const argv = ['/usr/bin/talk', '--background', 'nctalk://unknown/abc', 'nctalk://conversation/abc123']
+			expect(findDeepLinkInArgv(argv)).toEqual({ type: 'conversation', token: 'abc123', messageId: null })
+		})
+
+		it('should return null without deep links', () => {
+			expect(findDeepLinkInArgv(['/usr/bin/talk', '--background'])).toBeNull()
+		})
+	})
+
+	describe('consumePendingDeepLink', () => {
+		it('should hand a pending deep link only to the active account', () => {
+			const activeWebContents = createWebContents()
+			const backgroundWebContents = createWebContents()
+			const deepLink = { type: 'conversation', token: 'abc123', messageId: null } as const
+
+			dispatchDeepLink(deepLink, activeWebContents)
+
+			expect(consumePendingDeepLink(backgroundWebContents, activeWebContents)).toBeNull()
+			expect(consumePendingDeepLink(activeWebContents, activeWebContents)).toEqual(deepLink)
+			expect(consumePendingDeepLink(activeWebContents, activeWebContents)).toBeNull()
+		})
+
+		it('should send deep links directly to the ready active account', () => {
+			const activeWebContents = createWebContents()
+			const deepLink = { type: 'user', userId: 'john' } as const
+
+			consumePendingDeepLink(activeWebContents, activeWebContents)
+			dispatchDeepLink(deepLink, activeWebContents)
+
+			expect(activeWebContents.send).toHaveBeenCalledWith('deepLinks:open', deepLink)
+			expect(consumePendingDeepLink(activeWebContents, activeWebContents)).toBeNull()
+		})
+	})
+})
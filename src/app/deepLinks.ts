@@ -0,0 +1,175 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { WebContents } from 'electron'
+import path from 'node:path'
+import { readFile, stat } from 'node:fs/promises'
+import { app } from 'electron'
+import { APP_PROTOCOL, APP_HOST } from '../constants.js'
+
+/**
+ * Deep link from an external nctalk:// URL:
+ * - nctalk://conversation/{token}?message={id} - open a conversation, optionally jumping to a message
+ * - nctalk://call/{token} - legacy alias of nctalk://conversation/{token}
+ * - nctalk://user/{userId} - open or create a one-to-one conversation with the user
+ * - nctalk://share?file={path} - post a local file into a conversation, picked by the user
+ */
+export type DeepLink =
+	| { type: 'conversation', token: string, messageId: number | null }
+	| { type: 'user', userId: string }
+	| { type: 'share', file: string }
+
+/** Local file content to share from a deep link */
+export type DeepLinkSharedFile = {
+	name: string
+	data: Buffer
+}
+
+/** Max size of a file to share from a deep link, the whole file is read into memory and passed to the renderer */
+const MAX_SHARED_FILE_SIZE = 100 * 1024 * 1024
+
+/** Deep link received before a Talk window was ready to handle it */
+let pendingDeepLink: DeepLink | null = null
+
+/** Files from received share deep links - renderers are only allowed to read them */
+const sharedFiles: Set<string> = new Set()
+
+/** Talk windows' web contents, which are ready to handle deep links */
+const readyWebContents: WeakSet<WebContents> = new WeakSet()
+
+/**
+ * Parse an external nctalk:// URL
+ *
+ * @param link - URL
+ * @return Deep link or null if the URL is not a valid deep link
+ */
+export function parseDeepLink(link: string): DeepLink | null {
+	let url: URL
+	try {
+		url = new URL(link)
+	} catch {
+		return null
+	}
+
+	// Internal nctalk://app/ links are not deep links
+	if (url.protocol !== `${APP_PROTOCOL}:` || url.host === APP_HOST) {
+		return null
+	}
+
+	const [id] = url.pathname.split('/').filter(Boolean).map(decodeURIComponent)
+
+	if ((url.host === 'conversation' || url.host === 'call') && id) {
+		const messageId = parseInt(url.searchParams.get('message') ?? '', 10)
+		return { type: 'conversation', token: id, messageId: Number.isFinite(messageId) ? messageId : null }
+	}
+
+	if (url.host === 'user' && id) {
+		return { type: 'user', userId: id }
+	}
+
+	if (url.host === 'share' && url.searchParams.get('file')) {
+		return { type: 'share', file: url.searchParams.get('file')! }
+	}
+
+	console.warn('Unknown deep link:', link)
+	return null
+}
+
+/**
+ * Find a deep link in command line arguments.
+ * On Windows and Linux the OS passes the URL as an argument.
+ *
+ * @param argv - Command line arguments
+ */
+export function findDeepLinkInArgv(argv: string[]) {
+	for (const arg of argv) {
+		if (arg.startsWith(`${APP_PROTOCOL}://`)) {
+			const deepLink = parseDeepLink(arg)
+			if (deepLink) {
+				return deepLink
+			}
+		}
+	}
+	return null
+}
+
+/**
+ * Register the app as the default handler of nctalk:// URLs in the OS.
+ * Note: on macOS and Linux packages the scheme is also declared in the package metadata.
+ */
+export function registerDeepLinkProtocolClient() {
+	// Running via "electron ." in development - the app path must be passed to Electron
+	if (process.defaultApp && process.argv.length >= 2) {
+		app.setAsDefaultProtocolClient(APP_PROTOCOL, process.execPath, [path.resolve(process.argv[1])])
+	} else {
+		app.setAsDefaultProtocolClient(APP_PROTOCOL)
+	}
+}
+
+/**
+ * Send a deep link to a Talk window, or keep it until the window is ready
+ *
+ * @param deepLink - Deep link
+ * @param webContents - Web contents of the Talk window of the active account, if there is one
+ */
+export function dispatchDeepLink(deepLink: DeepLink, webContents: WebContents | undefined) {
+	if (deepLink.type === 'share') {
+		sharedFiles.add(deepLink.file)
+	}
+
+	if (webContents && !webContents.isDestroyed() && readyWebContents.has(webContents)) {
+		webContents.send('deepLinks:open', deepLink)
+	} else {
+		pendingDeepLink = deepLink
+	}
+}
+
+/**
+ * Mark a Talk window as ready to handle deep links and get a pending deep link.
+ * Deep links are only opened in the active account, other windows get nothing.
+ *
+ * @param webContents - Web contents of the Talk window
+ * @param activeWebContents - Web contents of the Talk window of the active account
+ */
+export function consumePendingDeepLink(webContents: WebContents, activeWebContents: WebContents | undefined) {
+	readyWebContents.add(webContents)
+	// The page is reloaded - wait for the new renderer
+	webContents.once('did-navigate', () => readyWebContents.delete(webContents))
+
+	if (webContents !== activeWebContents) {
+		return null
+	}
+
+	const deepLink = pendingDeepLink
+	pendingDeepLink = null
+	return deepLink
+}
+
+/**
+ * Read a local file to share from a deep link. Every received file can be read only once.
+ *
+ * @param file - Path to the file
+ * @return File content or null if it is not a shared regular readable file
+ */
+export async function readDeepLinkSharedFile(file: string): Promise<DeepLinkSharedFile | null> {
+	// Do not allow reading any file from a renderer
+	if (!sharedFiles.delete(file)) {
+		return null
+	}
+
+	try {
+		const fileStat = await stat(file)
+		if (!fileStat.isFile() || fileStat.size > MAX_SHARED_FILE_SIZE) {
+			return null
+		}
+		return {
+			name: path.basename(file),
+			data: await readFile(file),
+		}
+	} catch (error) {
+		console.error('Failed to read the shared file', error)
+		return null
+	}
+}
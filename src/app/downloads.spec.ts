@@ -0,0 +1,47 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import os from 'node:os'
+import path from 'node:path'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { getUniqueSavePath } from './downloads.ts'
+
+vi.mock('electron', () => ({ app: {}, dialog: {}, Notification: class {}, shell: {} }))
+vi.mock('./accounts.ts', () => ({}))
+vi.mock('./AppConfig.ts', () => ({}))
+
+describe('downloads', () => {
+	describe('getUniqueSavePath', () => {
+		let directory: string
+
+		beforeEach(async () => {
+			directory = await mkdtemp(path.join(os.tmpdir(), 'talk-desktop-downloads-'))
+		})
+
+		afterEach(async () => {
+			await rm(directory, { recursive: true, force: true })
+		})
+
+		it('should keep the file name when there is no such file', () => {
+			expect(getUniqueSavePath(directory, 'file.txt')).toBe(path.join(directory, 'file.txt'))
+		})
+
+		it('should add the first free number to the name of an existing file', async () => {
+			await writeFile(path.join(directory, 'file.txt'), '')
+			await writeFile(path.join(directory, 'file (1).txt'), '')
+
+			expect(getUniqueSavePath(directory, 'file.txt')).toBe(path.join(directory, 'file (2).txt'))
+		})
+
+		it('should add the number before the last extension only', async () => {
+			await writeFile(path.join(directory, 'archive.tar.gz'), '')
+			await writeFile(path.join(directory, 'README'), '')
+
+			expect(getUniqueSavePath(directory, 'archive.tar.gz')).toBe(path.join(directory, 'archive.tar (1).gz'))
+			expect(getUniqueSavePath(directory, 'README')).toBe(path.join(directory, 'README (1)'))
+		})
+	})
+})
@@ -3,9 +3,44 @@
  * SPDX-License-Identifier: AGPL-3.0-or-later
  */
 
+import type { BrowserWindow, DownloadItem, Session, WebContents } from 'electron'
 import path from 'node:path'
-import { Notification, shell } from 'electron'
-import type { BrowserWindow } from 'electron'
+import { randomUUID } from 'node:crypto'
+import { existsSync } from 'node:fs'
+import { readFile, writeFile } from 'node:fs/promises'
+import { app, dialog, Notification, shell } from 'electron'
+import { getAccountBySession, getAccountSession } from './accounts.ts'
+import { getAppConfig } from './AppConfig.ts'
+
+export type DownloadState = 'progressing' | 'paused' | 'completed' | 'cancelled' | 'interrupted'
+
+export type Download = {
+	/** Unique download ID */
+	id: string
+	/** ID of the account the file was downloaded from */
+	accountId: string | null
+	/** Downloaded URL */
+	url: string
+	/** File name */
+	fileName: string
+	/** Path to the file, empty until the user has chosen it */
+	savePath: string
+	/** Download state */
+	state: DownloadState
+	/** Downloaded bytes */
+	receivedBytes: number
+	/** File size or 0 if unknown */
+	totalBytes: number
+	/** Start time as a timestamp */
+	startTime: number
+}
+
+export type DownloadAction = 'pause' | 'resume' | 'cancel' | 'retry' | 'open' | 'showInFolder' | 'remove'
+
+const DOWNLOADS_FILE_NAME = 'downloads.json'
+
+/** Max number of downloads to keep in the history */
+const HISTORY_LIMIT = 100
 
 /**
  * Suggested filenames for download URLs.
@@ -16,6 +51,21 @@ import type { BrowserWindow } from 'electron'
  */
 const suggestedNames: Map<string, string> = new Map()
 
+/** Downloads history, the latest first */
+let downloads: Download[] = []
+
+/** Items of downloads in this app session by download ID */
+const downloadItems: Map<string, DownloadItem> = new Map()
+
+/** Talk windows showing the download progress */
+const progressWindows: Set<BrowserWindow> = new Set()
+
+/** Sessions with the download handler */
+const handledSessions: WeakSet<Session> = new WeakSet()
+
+/** Web contents subscribed to the downloads list updates */
+const subscribers: Set<WebContents> = new Set()
+
 /**
  * Push a suggested filename for a download URL
  *
@@ -52,43 +102,348 @@ export function triggerDownloadUrl(browserWindow: BrowserWindow, url: string, fi
 	browserWindow.webContents.downloadURL(url)
 }
 
+/**
+ * Get the path to the downloads history file near the application config file
+ */
+function getDownloadsFilePath() {
+	return path.join(app.getPath('userData'), DOWNLOADS_FILE_NAME)
+}
+
+/**
+ * Write the downloads history to the file
+ */
+async function writeDownloadsFile() {
+	try {
+		await writeFile(getDownloadsFilePath(), JSON.stringify(downloads, null, 2))
+	} catch (error) {
+		console.error('Failed to write the downloads file', error)
+	}
+}
+
+/**
+ * Load the downloads history from the file
+ */
+export async function loadDownloads() {
+	try {
+		downloads = JSON.parse(await readFile(getDownloadsFilePath(), 'utf-8'))
+	} catch (error) {
+		if (error instanceof Error && 'code' in error && error.code !== 'ENOENT') {
+			console.error('Failed to read the downloads file', error)
+		}
+		downloads = []
+	}
+
+	// Downloads of the previous app session cannot be continued
+	for (const download of downloads) {
+		if (download.state === 'progressing' || download.state === 'paused') {
+			download.state = 'interrupted'
+		}
+	}
+}
+
+/**
+ * Get the download directory from the config or the system default
+ */
+function getDownloadDirectory() {
+	return getAppConfig('downloadDirectory') || app.getPath('downloads')
+}
+
+/**
+ * Get a path to save a file that does not overwrite any existing file: "file.txt", "file (1).txt", "file (2).txt" etc.
+ *
+ * @param directory - Directory to save the file to
+ * @param fileName - File name
+ */
+export function getUniqueSavePath(directory: string, fileName: string) {
+	const { name, ext } = path.parse(fileName)
+	const isTaken = (savePath: string) => existsSync(savePath) || [...downloadItems.values()].some((item) => item.getSavePath() === savePath)
+
+	let savePath = path.join(directory, fileName)
+	for (let i = 1; isTaken(savePath); i++) {
+		savePath = path.join(directory, `${name} (${i})${ext}`)
+	}
+	return savePath
+}
+
+/**
+ * Whether a download is visible to a Talk window - downloaded from its account
+ *
+ * @param download - Download
+ * @param webContents - Web contents of the Talk window
+ */
+function isDownloadVisible(download: Download, webContents: WebContents) {
+	return download.accountId === null || download.accountId === (getAccountBySession(webContents.session)?.id ?? null)
+}
+
+/**
+ * Get downloads visible to a Talk window - downloads of its account
+ *
+ * @param webContents - Web contents of the Talk window
+ */
+export function getDownloads(webContents: WebContents) {
+	return downloads.filter((download) => isDownloadVisible(download, webContents))
+}
+
+/**
+ * Send downloads to a Talk window on every update
+ *
+ * @param webContents - Web contents of the Talk window
+ */
+export function subscribeDownloads(webContents: WebContents) {
+	if (!subscribers.has(webContents)) {
+		subscribers.add(webContents)
+		webContents.once('destroyed', () => subscribers.delete(webContents))
+	}
+	return getDownloads(webContents)
+}
+
+/**
+ * Show the total progress of the active downloads on the taskbar or dock icon
+ */
+function updateProgressBar() {
+	const activeDownloads = downloads.filter((download) => download.state === 'progressing' || download.state === 'paused')
+	const receivedBytes = activeDownloads.reduce((sum, download) => sum + download.receivedBytes, 0)
+	const totalBytes = activeDownloads.reduce((sum, download) => sum + download.totalBytes, 0)
+	const isPaused = activeDownloads.every((download) => download.state === 'paused')
+
+	for (const window of progressWindows) {
+		if (!activeDownloads.length) {
+			window.setProgressBar(-1)
+		} else if (!totalBytes) {
+			window.setProgressBar(2, { mode: 'indeterminate' })
+		} else {
+			window.setProgressBar(receivedBytes / totalBytes, { mode: isPaused ? 'paused' : 'normal' })
+		}
+	}
+}
+
+/**
+ * Notify about the downloads list update
+ */
+function notifyDownloadsUpdate() {
+	for (const webContents of subscribers) {
+		webContents.send('downloads:update', getDownloads(webContents))
+	}
+	updateProgressBar()
+}
+
+/**
+ * Notify about a change of a single download, e.g. its progress, without sending the whole list
+ *
+ * @param download - Changed download
+ */
+function notifyDownloadChange(download: Download) {
+	for (const webContents of subscribers) {
+		if (isDownloadVisible(download, webContents)) {
+			webContents.send('downloads:change', download)
+		}
+	}
+	updateProgressBar()
+}
+
+/**
+ * Show a notification about a finished download
+ *
+ * @param download - Download
+ */
+function showDownloadNotification(download: Download) {
+	const { base, dir } = path.parse(download.savePath)
+	let notification
+
+	if (download.state === 'completed') {
+		notification = new Notification({
+			title: 'Download complete',
+			body: `File '${base}' can be found at '${dir}'.`,
+		})
+		notification.on('click', () => {
+			shell.showItemInFolder(download.savePath)
+		})
+	} else if (download.state === 'interrupted') {
+		notification = new Notification({
+			title: 'Download Failed',
+			body: `Something went wrong with the download of '${base}'.`,
+		})
+	}
+
+	notification?.show()
+}
+
+/**
+ * Track a started download
+ *
+ * @param item - Download item
+ * @param session - Session of the download
+ */
+function handleDownload(item: DownloadItem, session: Session) {
+	const fileName = path.basename(popDownloadUrlFilenameSuggestion(item.getURL()) ?? item.getFilename())
+	const directory = getDownloadDirectory()
+
+	if (getAppConfig('downloadAskWhereToSave')) {
+		item.setSaveDialogOptions({
+			defaultPath: getUniqueSavePath(directory, fileName),
+		})
+	} else {
+		item.setSavePath(getUniqueSavePath(directory, fileName))
+	}
+
+	const download: Download = {
+		id: randomUUID(),
+		accountId: getAccountBySession(session)?.id ?? null,
+		url: item.getURL(),
+		fileName,
+		savePath: item.getSavePath(),
+		state: 'progressing',
+		receivedBytes: 0,
+		totalBytes: item.getTotalBytes(),
+		startTime: Date.now(),
+	}
+
+	downloadItems.set(download.id, item)
+	downloads.unshift(download)
+	downloads.splice(HISTORY_LIMIT)
+	notifyDownloadsUpdate()
+
+	item.on('updated', (event, state) => {
+		download.savePath = item.getSavePath()
+		download.fileName = path.basename(download.savePath) || fileName
+		download.state = state === 'interrupted' ? 'interrupted' : item.isPaused() ? 'paused' : 'progressing'
+		download.receivedBytes = item.getReceivedBytes()
+		download.totalBytes = item.getTotalBytes()
+		notifyDownloadChange(download)
+	})
+
+	item.once('done', (event, state) => {
+		downloadItems.delete(download.id)
+
+		// The save dialog is canceled - nothing was downloaded
+		if (state === 'cancelled' && !item.getSavePath()) {
+			downloads = downloads.filter(({ id }) => id !== download.id)
+			notifyDownloadsUpdate()
+			return
+		}
+
+		download.savePath = item.getSavePath()
+		download.fileName = path.basename(download.savePath)
+		download.state = state
+		download.receivedBytes = item.getReceivedBytes()
+		download.totalBytes = item.getTotalBytes()
+		notifyDownloadChange(download)
+		writeDownloadsFile()
+
+		showDownloadNotification(download)
+	})
+
+	writeDownloadsFile()
+}
+
 /**
  * Handle downloads from a browser window to:
- * - show notifications
- * - use suggested filenames
+ * - use suggested filenames and the download directory
+ * - keep the downloads history
+ * - show the progress and notifications
  *
  * @param browserWindow - Browser window
  */
 export function applyDownloadHandler(browserWindow: BrowserWindow) {
-	browserWindow.webContents.session.on('will-download', (event, item) => {
-		const suggestedFilename = popDownloadUrlFilenameSuggestion(item.getURL())
-		if (suggestedFilename) {
-			item.setSaveDialogOptions({
-				defaultPath: suggestedFilename,
-			})
-		}
+	progressWindows.add(browserWindow)
+	browserWindow.once('closed', () => progressWindows.delete(browserWindow))
 
-		item.once('done', (event, state) => {
-			const pathToFile = item.getSavePath()
-			const { base, dir } = path.parse(pathToFile)
-			let notification
-
-			if (state === 'completed') {
-				notification = new Notification({
-					title: 'Download complete',
-					body: `File '${base}' can be found at '${dir}'.`,
-				})
-				notification.on('click', () => {
-					shell.showItemInFolder(pathToFile)
-				})
-			} else if (state === 'interrupted') {
-				notification = new Notification({
-					title: 'Download Failed',
-					body: `Something went wrong with the download of '${base}'.`,
-				})
+	const session = browserWindow.webContents.session
+	// Windows of the same account share the session
+	if (handledSessions.has(session)) {
+		return
+	}
+	handledSessions.add(session)
+	session.on('will-download', (event, item) => handleDownload(item, session))
+}
+
+/**
+ * Get the session to download a file again
+ *
+ * @param download - Download
+ * @param webContents - Web contents of the Talk window requesting the download
+ */
+function getDownloadSession(download: Download, webContents: WebContents) {
+	return download.accountId ? getAccountSession(download.accountId) : webContents.session
+}
+
+/**
+ * Control a download from the downloads list
+ *
+ * @param webContents - Web contents of the Talk window
+ * @param id - Download ID
+ * @param action - Action
+ * @return Whether the action succeeded
+ */
+export async function controlDownload(webContents: WebContents, id: string, action: DownloadAction) {
+	const download = getDownloads(webContents).find((download) => download.id === id)
+	if (!download) {
+		return false
+	}
+	const item = downloadItems.get(id)
+
+	switch (action) {
+		case 'pause':
+			item?.pause()
+			return !!item
+		case 'resume':
+			item?.resume()
+			return !!item
+		case 'cancel':
+			item?.cancel()
+			return !!item
+		case 'retry':
+			// Continue the interrupted download in the same file if possible
+			if (item?.canResume()) {
+				item.resume()
+				return true
 			}
+			downloads = downloads.filter((download) => download.id !== id)
+			notifyDownloadsUpdate()
+			pushDownloadUrlFilenameSuggestion(download.url, download.fileName)
+			// Download again with the same account's cookies
+			getDownloadSession(download, webContents).downloadURL(download.url)
+			return true
+		case 'open':
+			// Empty string means no error
+			return existsSync(download.savePath) && !(await shell.openPath(download.savePath))
+		case 'showInFolder':
+			if (!existsSync(download.savePath)) {
+				return false
+			}
+			shell.showItemInFolder(download.savePath)
+			return true
+		case 'remove':
+			item?.cancel()
+			downloads = downloads.filter((download) => download.id !== id)
+			notifyDownloadsUpdate()
+			writeDownloadsFile()
+			return true
+	}
+}
 
-			notification?.show()
-		})
+/**
+ * Remove all finished downloads from the history
+ *
+ * @param webContents - Web contents of the Talk window to clear downloads of its account
+ */
+export function clearDownloads(webContents: WebContents) {
+	const cleared = new Set(getDownloads(webContents).filter((download) => !downloadItems.has(download.id)))
+	downloads = downloads.filter((download) => !cleared.has(download))
+	notifyDownloadsUpdate()
+	writeDownloadsFile()
+}
+
+/**
+ * Ask the user to choose the default download directory
+ *
+ * @param browserWindow - Parent window of the dialog
+ * @return Chosen directory or null if canceled
+ */
+export async function selectDownloadDirectory(browserWindow: BrowserWindow) {
+	const { canceled, filePaths } = await dialog.showOpenDialog(browserWindow, {
+		defaultPath: getDownloadDirectory(),
+		properties: ['openDirectory', 'createDirectory'],
 	})
+	return canceled ? null : filePaths[0]
 }
@@ -12,8 +12,10 @@ import type {
 	WindowOpenHandlerResponse,
 } from 'electron'
 import { shell } from 'electron'
-import { appData } from './AppData.js'
-import { APP_ORIGIN } from '../constants.js'
+import { getAccountBySession } from './accounts.ts'
+import { dispatchDeepLink, parseDeepLink } from './deepLinks.ts'
+import { APP_ORIGIN, DETACHED_WINDOW_NAME_PREFIX } from '../constants.js'
+import { getMiniCallWindowOptions, isMiniCallWindowName, setupMiniCallWindow } from '../talk/miniCall.window.ts'
 
 /**
  * Check if a link is an internal application link
@@ -39,12 +41,13 @@ const talkPathRe = new RegExp('^/apps/spreed(?:/(?:not-found|forbidden|duplicate
  * Try to extract Talk route from the link
  *
  * @param link - URL link
+ * @param serverUrl - Nextcloud server URL of the account
  */
-function tryExtractTalkRoute(link: string) {
+function tryExtractTalkRoute(link: string, serverUrl: string | null | undefined) {
 	const url = new URL(link)
 
 	// Not a link to this instance
-	if (!appData.serverUrl || url.origin !== appData.serverUrl) {
+	if (!serverUrl || url.origin !== serverUrl) {
 		return null
 	}
 
@@ -67,17 +70,71 @@ function tryExtractTalkRoute(link: string) {
  * @param browserWindowOptions - options for new BrowserWindow, usually based on parent options
  */
 export function applyExternalLinkHandler(browserWindow: BrowserWindow, browserWindowOptions: Partial<BrowserWindowConstructorOptions> = {}) {
-	browserWindow.webContents.on('will-navigate', willNavigateExternalLinkHandler)
-	browserWindow.webContents.setWindowOpenHandler((details) => windowOpenExternalLinkHandler(details, browserWindowOptions))
+	browserWindow.webContents.on('will-navigate', (event) => willNavigateExternalLinkHandler(event, browserWindow))
+	browserWindow.webContents.setWindowOpenHandler((details) => windowOpenExternalLinkHandler(details, browserWindow, browserWindowOptions))
+	browserWindow.webContents.on('did-create-window', (childWindow, { frameName }) => {
+		// Detached windows show a part of the parent window and cannot exist without it
+		if (frameName.startsWith(DETACHED_WINDOW_NAME_PREFIX)) {
+			browserWindow.once('closed', () => !childWindow.isDestroyed() && childWindow.close())
+		}
+		if (isMiniCallWindowName(frameName)) {
+			setupMiniCallWindow(childWindow)
+		}
+	})
+}
+
+/**
+ * Open an nctalk:// deep link in the app itself instead of passing it to the OS.
+ * Share links are only allowed from the OS.
+ *
+ * @param url - URL
+ * @param browserWindow - Browser window
+ * @return Whether the URL is a deep link
+ */
+function tryOpenDeepLink(url: string, browserWindow: BrowserWindow) {
+	const deepLink = isExternalLink(url) ? parseDeepLink(url) : null
+	if (!deepLink) {
+		return false
+	}
+	// Links in messages must not access local files
+	if (deepLink.type === 'share') {
+		return true
+	}
+	dispatchDeepLink(deepLink, browserWindow.webContents)
+	return true
 }
 
 /**
  * Handle new window open
  *
  * @param details - HandlerDetails
+ * @param browserWindow - Browser window
  * @param browserWindowOptions - Options for new BrowserWindow, usually based on parent options
  */
-function windowOpenExternalLinkHandler(details: HandlerDetails, browserWindowOptions: BrowserWindowConstructorOptions = {}): WindowOpenHandlerResponse {
+function windowOpenExternalLinkHandler(details: HandlerDetails, browserWindow: BrowserWindow, browserWindowOptions: BrowserWindowConstructorOptions = {}): WindowOpenHandlerResponse {
+	if (tryOpenDeepLink(details.url, browserWindow)) {
+		return { action: 'deny' }
+	}
+
+	// A part of the window, detached to a separate window, rendered by the parent window
+	if (details.url === 'about:blank' && details.frameName.startsWith(DETACHED_WINDOW_NAME_PREFIX)) {
+		if (isMiniCallWindowName(details.frameName)) {
+			return {
+				action: 'allow',
+				overrideBrowserWindowOptions: getMiniCallWindowOptions(browserWindowOptions),
+			}
+		}
+		return {
+			action: 'allow',
+			overrideBrowserWindowOptions: {
+				...browserWindowOptions,
+				// There is no custom title bar in a detached window
+				titleBarStyle: 'default',
+				titleBarOverlay: false,
+			},
+		}
+	}
+
 	// Open external links in the default web-browser instead of a new app window
 	if (isExternalLink(details.url)) {
 		shell.openExternal(details.url)
@@ -95,8 +152,9 @@ function windowOpenExternalLinkHandler(details: HandlerDetails, browserWindowOpt
  * Open external link in the default OS handler (i.e. Web-Browser) on navigate
  *
  * @param event - Will Navigate Electron Event
+ * @param browserWindow - Browser window
  */
-async function willNavigateExternalLinkHandler(event: Event<WebContentsWillNavigateEventParams>) {
+async function willNavigateExternalLinkHandler(event: Event<WebContentsWillNavigateEventParams>, browserWindow: BrowserWindow) {
 	const { url, initiator: webFrameMain } = event
 
 	// Internal navigation - do nothing
@@ -110,7 +168,13 @@ async function willNavigateExternalLinkHandler(event: Event<WebContentsWillNavig
 	// Prevent opening a web-page in the window
 	event.preventDefault()
 
-	const talkRoute = tryExtractTalkRoute(url)
+	if (tryOpenDeepLink(url, browserWindow)) {
+		return
+	}
+
+	// Only links to the server of the window's account are Talk routes
+	const serverUrl = getAccountBySession(browserWindow.webContents.session)?.serverUrl
+	const talkRoute = tryExtractTalkRoute(url, serverUrl)
 	if (talkRoute && webFrameMain) {
 		// Talk route is about to open - navigate in app internally instead
 		// TODO: is it better to use browserWindow API here?
@@ -0,0 +1,144 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { WebContents } from 'electron'
+import type { ReadableStream } from 'node:stream/web'
+import path from 'node:path'
+import { createWriteStream, mkdtempSync, rmSync } from 'node:fs'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { app } from 'electron'
+import { getAccountBySession } from './accounts.ts'
+
+/** Max size of a file to drag out, the whole file is downloaded before dragging */
+const MAX_DRAG_FILE_SIZE = 512 * 1024 * 1024
+
+/** Temporary directory with downloaded files to drag out */
+let dragFilesDirectory: string | null = null
+
+/** Downloaded files to drag out by URL with the ETag of the downloaded version */
+const dragFiles: Map<string, { etag: string, file: Promise<string | null> }> = new Map()
+
+/**
+ * Get the temporary directory for files to drag out, created on the first use
+ */
+function getDragFilesDirectory() {
+	dragFilesDirectory ??= mkdtempSync(path.join(app.getPath('temp'), `${app.getName()}-drag-`))
+	return dragFilesDirectory
+}
+
+/**
+ * Download a file to the temporary directory
+ *
+ * @param webContents - Web contents of the Talk window to download with its account
+ * @param url - File URL on the account's server
+ * @param fileName - File name
+ * @return Path to the downloaded file
+ */
+async function downloadDragFile(webContents: WebContents, url: string, fileName: string) {
+	// Do not allow requesting any URL with the account's credentials from a renderer
+	const serverUrl = getAccountBySession(webContents.session)?.serverUrl
+	if (!serverUrl || new URL(url).origin !== new URL(serverUrl).origin) {
+		throw new Error('The file is not on the account\'s server')
+	}
+
+	const response = await webContents.session.fetch(url)
+	if (!response.ok || !response.body) {
+		throw new Error(`Unexpected response status ${response.status}`)
+	}
+	if (Number(response.headers.get('Content-Length')) > MAX_DRAG_FILE_SIZE) {
+		throw new Error('The file is too large')
+	}
+
+	// Every file in its own directory to keep the original name
+	const directory = await mkdtemp(path.join(getDragFilesDirectory(), 'file-'))
+	const filePath = path.join(directory, path.basename(fileName))
+
+	// Content-Length is not always known, check the size while downloading
+	let receivedBytes = 0
+	try {
+		await pipeline(
+			Readable.fromWeb(response.body as ReadableStream),
+			async function* (source: AsyncIterable<Buffer>) {
+				for await (const chunk of source) {
+					receivedBytes += chunk.length
+					if (receivedBytes > MAX_DRAG_FILE_SIZE) {
+						throw new Error('The file is too large')
+					}
+					yield chunk
+				}
+			},
+			createWriteStream(filePath),
+		)
+	} catch (error) {
+		await rm(directory, { recursive: true, force: true })
+		throw error
+	}
+	return filePath
+}
+
+/**
+ * Download a file to drag it out.
+ * A file is downloaded again, when it has changed on the server since the last download.
+ *
+ * @param webContents - Web contents of the Talk window
+ * @param url - File URL on the account's server
+ * @param fileName - File name
+ * @param etag - ETag of the file on the server
+ * @return Path to the downloaded file or null if it cannot be downloaded
+ */
+function prepareFileDrag(webContents: WebContents, url: string, fileName: string, etag: string) {
+	const dragFile = dragFiles.get(url)
+	if (dragFile?.etag === etag) {
+		return dragFile.file
+	}
+
+	// Remove the outdated version
+	dragFile?.file.then(async (file) => {
+		if (file) {
+			await rm(path.dirname(file), { recursive: true, force: true })
+		}
+	}).catch((error) => console.error('Failed to remove the outdated file to drag', error))
+
+	const file = downloadDragFile(webContents, url, fileName).catch((error) => {
+		console.error('Failed to download the file to drag', error)
+		// Try again next time
+		if (dragFiles.get(url)?.file === file) {
+			dragFiles.delete(url)
+		}
+		return null
+	})
+	dragFiles.set(url, { etag, file })
+	return file
+}
+
+/**
+ * Start native dragging of a file from the Talk window to other apps, for example, to a file manager
+ *
+ * @param webContents - Web contents of the Talk window
+ * @param url - File URL on the account's server
+ * @param fileName - File name
+ * @param etag - ETag of the file on the server
+ */
+export async function startFileDrag(webContents: WebContents, url: string, fileName: string, etag: string) {
+	const file = await prepareFileDrag(webContents, url, fileName, etag)
+	if (!file || webContents.isDestroyed()) {
+		return
+	}
+	webContents.startDrag({
+		file,
+		icon: await app.getFileIcon(file),
+	})
+}
+
+/**
+ * Remove all downloaded files to drag out
+ */
+export function cleanUpFileDrag() {
+	if (dragFilesDirectory) {
+		rmSync(dragFilesDirectory, { recursive: true, force: true })
+	}
+}
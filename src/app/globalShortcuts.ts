@@ -0,0 +1,139 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { AppConfig } from './AppConfig.ts'
+import { app, globalShortcut } from 'electron'
+import { getAppConfig, onAppConfigChange } from './AppConfig.ts'
+
+/** Configurable global shortcut actions and push-to-talk */
+export type GlobalShortcutAction = keyof AppConfig['globalShortcuts'] | 'pushToTalk'
+
+/**
+ * Why a shortcut cannot be used:
+ * - invalid - not a valid accelerator
+ * - duplicate - already used by another action of the application
+ * - unavailable - already registered by another application or the OS
+ */
+export type GlobalShortcutConflict = {
+	reason: 'invalid' | 'duplicate' | 'unavailable'
+	/** Action using the same shortcut, if the reason is duplicate */
+	action?: GlobalShortcutAction
+}
+
+/** Status of a configured global shortcut */
+export type GlobalShortcutStatus = {
+	accelerator: string | null
+	/** Whether the shortcut is registered and works */
+	registered: boolean
+}
+
+type GlobalShortcutHandlers = Record<GlobalShortcutAction, () => void>
+
+let handlers: GlobalShortcutHandlers | null = null
+
+/** Accelerators registered by the application */
+const registeredShortcuts: Map<GlobalShortcutAction, string> = new Map()
+
+/**
+ * Get shortcuts used by the application, including in-window push-to-talk, without disabled ones
+ */
+function getUsedShortcuts() {
+	const shortcuts = Object.entries(getAppConfig('globalShortcuts')) as [GlobalShortcutAction, string | null][]
+	if (getAppConfig('pushToTalk')) {
+		shortcuts.push(['pushToTalk', getAppConfig('pushToTalkShortcut')])
+	}
+	return shortcuts.filter((entry): entry is [GlobalShortcutAction, string] => !!entry[1])
+}
+
+/**
+ * Get shortcuts to register globally
+ */
+function getConfiguredShortcuts() {
+	return getUsedShortcuts().filter(([action]) => action !== 'pushToTalk' || getAppConfig('pushToTalkGlobal'))
+}
+
+/**
+ * Register global shortcuts from the application config, replacing the previously registered ones
+ */
+function registerGlobalShortcuts() {
+	for (const accelerator of registeredShortcuts.values()) {
+		globalShortcut.unregister(accelerator)
+	}
+	registeredShortcuts.clear()
+
+	for (const [action, accelerator] of getConfiguredShortcuts()) {
+		try {
+			if (globalShortcut.register(accelerator, () => handlers![action]())) {
+				registeredShortcuts.set(action, accelerator)
+			} else {
+				console.warn(`Global shortcut "${accelerator}" for "${action}" is already used by another application`)
+			}
+		} catch (error) {
+			console.error(`Failed to register global shortcut "${accelerator}" for "${action}"`, error)
+		}
+	}
+}
+
+/**
+ * Initialize global shortcuts and keep them in sync with the application config.
+ * Must be called after the app is ready.
+ *
+ * @param shortcutHandlers - Handlers of the shortcut actions
+ */
+export function initGlobalShortcuts(shortcutHandlers: GlobalShortcutHandlers) {
+	handlers = shortcutHandlers
+	registerGlobalShortcuts()
+	onAppConfigChange('globalShortcuts', () => registerGlobalShortcuts())
+	onAppConfigChange('pushToTalk', () => registerGlobalShortcuts())
+	onAppConfigChange('pushToTalkShortcut', () => registerGlobalShortcuts())
+	onAppConfigChange('pushToTalkGlobal', () => registerGlobalShortcuts())
+	app.on('will-quit', () => globalShortcut.unregisterAll())
+}
+
+/**
+ * Check whether a shortcut can be used for an action
+ *
+ * @param action - Shortcut action
+ * @param accelerator - Shortcut in the Electron accelerator format
+ * @param options - Options
+ * @param options.inWindow - Whether the shortcut is only used inside the application window, so other applications do not matter
+ * @return Conflict or null if the shortcut can be used
+ */
+export function checkGlobalShortcut(action: GlobalShortcutAction, accelerator: string, { inWindow = false }: { inWindow?: boolean } = {}): GlobalShortcutConflict | null {
+	const duplicate = getUsedShortcuts().find(([otherAction, otherAccelerator]) => otherAction !== action && otherAccelerator === accelerator)
+	if (duplicate) {
+		return { reason: 'duplicate', action: duplicate[0] }
+	}
+
+	// Already registered by the application for the same action
+	if (inWindow || registeredShortcuts.get(action) === accelerator) {
+		return null
+	}
+
+	// There is no API to check whether a shortcut is used by another application - try to register it
+	try {
+		if (!globalShortcut.register(accelerator, () => {})) {
+			return { reason: 'unavailable' }
+		}
+		globalShortcut.unregister(accelerator)
+		return null
+	} catch {
+		return { reason: 'invalid' }
+	}
+}
+
+/**
+ * Get the status of all configured global shortcuts
+ */
+export function getGlobalShortcutsStatus(): Record<GlobalShortcutAction, GlobalShortcutStatus> {
+	const status = {} as Record<GlobalShortcutAction, GlobalShortcutStatus>
+	for (const [action, accelerator] of getConfiguredShortcuts()) {
+		status[action] = {
+			accelerator,
+			registered: registeredShortcuts.has(action),
+		}
+	}
+	return status
+}
@@ -4,7 +4,7 @@
  */
 
 import { app } from 'electron'
-import { getAppConfig, onAppConfigChange } from './AppConfig.ts'
+import { getAppConfig, isAppConfigLocked, onAppConfigChange } from './AppConfig.ts'
 
 /**
  * Set the application to launch at startup according to the configuration
@@ -32,5 +32,9 @@ function applyLaunchAtStartup() {
  * Initialize the listener for the launch at startup configuration
  */
 export function initLaunchAtStartupListener() {
+	// The value enforced by the system policy may differ from the current system setting
+	if (isAppConfigLocked('launchAtStartup')) {
+		applyLaunchAtStartup()
+	}
 	onAppConfigChange('launchAtStartup', applyLaunchAtStartup)
 }
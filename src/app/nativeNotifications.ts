@@ -0,0 +1,115 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { WebContents } from 'electron'
+import { Notification } from 'electron'
+import { isMac } from './system.utils.ts'
+
+export type NativeNotificationParams = {
+	/** Notification ID on the server */
+	id: number
+	title: string
+	body: string
+	/** Action buttons with translated labels */
+	actions: { id: string, label: string }[]
+	/** Translated placeholder of the inline reply input, no inline reply if not set */
+	replyPlaceholder?: string
+	/** Whether the notification is critical, for example, an incoming call */
+	critical?: boolean
+}
+
+/**
+ * User interaction with a native notification:
+ * - open - the notification is clicked
+ * - reply - the inline reply is sent
+ * - replyInApp - the notification with a reply is clicked, where the inline reply is not supported
+ * - any action ID from the notification params
+ */
+export type NativeNotificationEvent = {
+	id: number
+	action: 'open' | 'reply' | 'replyInApp' | string
+	/** Reply text for the reply action */
+	reply?: string
+}
+
+/**
+ * Electron supports action buttons and inline reply only on macOS.
+ * On other platforms, the actions are available in the app after clicking the notification.
+ */
+const supportsActions = isMac
+
+/**
+ * Shown notifications by the renderer and the notification ID, different accounts may have the same notification IDs.
+ * References must be kept, otherwise notifications are garbage collected with their listeners.
+ */
+const notifications: Map<string, Notification> = new Map()
+
+/**
+ * Get the key of a notification in the shown notifications
+ *
+ * @param webContents - Renderer of the notification
+ * @param id - Notification ID
+ */
+function getNotificationKey(webContents: WebContents, id: number) {
+	return `${webContents.id}/${id}`
+}
+
+/**
+ * Show a native notification on behalf of a renderer
+ *
+ * @param webContents - Renderer that handles notification events
+ * @param params - Notification params
+ */
+export function showNativeNotification(webContents: WebContents, params: NativeNotificationParams) {
+	if (!Notification.isSupported()) {
+		return
+	}
+
+	// Replace the previous notification with the same ID, if any
+	closeNativeNotification(webContents, params.id)
+	const key = getNotificationKey(webContents, params.id)
+
+	const notification = new Notification({
+		title: params.title,
+		body: params.body,
+		// Talk Desktop plays its own sounds
+		silent: true,
+		actions: supportsActions ? params.actions.map(({ label }) => ({ type: 'button', text: label })) : [],
+		hasReply: supportsActions && !!params.replyPlaceholder,
+		replyPlaceholder: params.replyPlaceholder,
+		urgency: params.critical ? 'critical' : 'normal',
+		timeoutType: params.critical ? 'never' : 'default',
+	})
+
+	const sendEvent = (event: NativeNotificationEvent) => {
+		if (!webContents.isDestroyed()) {
+			webContents.send('notifications:event', event)
+		}
+	}
+
+	notification.on('click', () => sendEvent({ id: params.id, action: !supportsActions && params.replyPlaceholder ? 'replyInApp' : 'open' }))
+	notification.on('action', (event, index) => sendEvent({ id: params.id, action: params.actions[index].id }))
+	notification.on('reply', (event, reply) => sendEvent({ id: params.id, action: 'reply', reply }))
+	notification.on('close', () => {
+		if (notifications.get(key) === notification) {
+			notifications.delete(key)
+		}
+	})
+
+	notifications.set(key, notification)
+	notification.show()
+}
+
+/**
+ * Close a shown native notification, for example, when it is dismissed on the server
+ *
+ * @param webContents - Renderer of the notification
+ * @param id - Notification ID
+ */
+export function closeNativeNotification(webContents: WebContents, id: number) {
+	const key = getNotificationKey(webContents, id)
+	notifications.get(key)?.close()
+	notifications.delete(key)
+}
@@ -0,0 +1,107 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { AppConfig } from './AppConfig.ts'
+import path from 'node:path'
+import { readFile } from 'node:fs/promises'
+import { isMac, isWindows } from './system.utils.ts'
+import { BUILD_CONFIG } from '../shared/build.config.ts'
+
+const POLICY_FILE_NAME = 'policy.json'
+
+/**
+ * System-wide policy, managed by administrators.
+ * Stored in a system directory, not writable by users.
+ *
+ * @example
+ * {
+ *   "defaults": { "theme": "dark" },
+ *   "locked": { "checkForUpdates": false, "trustedFingerprints": ["AB:CD:..."] },
+ *   "domain": "cloud.example.com"
+ * }
+ */
+export type Policy = {
+	/**
+	 * Application config values preset for all users instead of the default values.
+	 * Users can change them.
+	 */
+	defaults: Partial<AppConfig>
+	/**
+	 * Application config values enforced for all users.
+	 * Users cannot change them.
+	 */
+	locked: Partial<AppConfig>
+	/**
+	 * Server address to log in to.
+	 * Users cannot log in to another server.
+	 */
+	domain: string | null
+}
+
+let policy: Policy = {
+	defaults: {},
+	locked: {},
+	domain: null,
+}
+
+/**
+ * Get the path to the system policy file
+ * - Windows: C:\ProgramData\Nextcloud Talk\policy.json
+ * - Linux: /etc/nextcloud-talk/policy.json
+ * - macOS: /Library/Application Support/Nextcloud Talk/policy.json
+ */
+export function getPolicyFilePath() {
+	if (isWindows) {
+		return path.join(process.env.ProgramData ?? 'C:\\ProgramData', BUILD_CONFIG.applicationName, POLICY_FILE_NAME)
+	}
+	if (isMac) {
+		return path.join('/Library/Application Support', BUILD_CONFIG.applicationName, POLICY_FILE_NAME)
+	}
+	return path.join('/etc', BUILD_CONFIG.applicationName.toLowerCase().replaceAll(' ', '-'), POLICY_FILE_NAME)
+}
+
+/**
+ * Check whether a value is a plain object
+ *
+ * @param value - Value to check
+ */
+function isObject(value: unknown): value is Record<string, unknown> {
+	return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Load the system policy into the application memory
+ */
+export async function loadPolicy() {
+	let content: unknown
+	try {
+		content = JSON.parse(await readFile(getPolicyFilePath(), 'utf-8'))
+	} catch (error) {
+		if (error instanceof Error && 'code' in error && error.code !== 'ENOENT') {
+			console.error('Failed to read the policy file', error)
+		}
+		// No file or invalid file - no policy
+		return
+	}
+
+	if (!isObject(content)) {
+		console.error('Invalid policy file: the content must be an object')
+		return
+	}
+
+	// Values are validated when applied to the application config
+	policy = {
+		defaults: isObject(content.defaults) ? content.defaults as Partial<AppConfig> : {},
+		locked: isObject(content.locked) ? content.locked as Partial<AppConfig> : {},
+		domain: typeof content.domain === 'string' && content.domain ? content.domain : null,
+	}
+}
+
+/**
+ * Get the system policy
+ */
+export function getPolicy() {
+	return policy
+}
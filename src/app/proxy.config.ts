@@ -0,0 +1,139 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { AuthInfo, BrowserWindow, ProxyConfig, Session } from 'electron'
+import type { AppConfig } from './AppConfig.ts'
+import { app, session } from 'electron'
+import { getAppConfig, onAppConfigChange } from './AppConfig.ts'
+import { promptProxyCredentials } from '../proxyAuth/proxyAuth.window.ts'
+
+export type ProxyCredentials = {
+	username: string
+	password: string
+}
+
+/** All sessions to apply the proxy config to, including accounts and login sessions */
+const sessions = new Set<Session>()
+
+/** Proxy credentials entered by the user by proxy host */
+const proxyCredentials = new Map<string, ProxyCredentials>()
+
+/** Sessions, which already got the remembered credentials, by proxy host */
+const sessionsWithProxyCredentials = new Map<string, WeakSet<Session>>()
+
+/** Opened prompts by proxy host, to ask only once for several requests */
+const pendingPrompts = new Map<string, Promise<ProxyCredentials | null>>()
+
+/**
+ * Get Electron proxy config from the application config
+ */
+function getProxyConfig(): ProxyConfig {
+	const proxyMode = getAppConfig('proxyMode')
+
+	if (proxyMode === 'none') {
+		return { mode: 'direct' }
+	}
+
+	if (proxyMode === 'manual' && getAppConfig('proxyServer')) {
+		return {
+			mode: 'fixed_servers',
+			proxyRules: getAppConfig('proxyServer'),
+			proxyBypassRules: getAppConfig('proxyBypassRules'),
+		}
+	}
+
+	if (proxyMode === 'pac' && getAppConfig('proxyPacUrl')) {
+		return {
+			mode: 'pac_script',
+			pacScript: getAppConfig('proxyPacUrl'),
+		}
+	}
+
+	// Incomplete manual or PAC config also falls back to the system settings
+	return { mode: 'system' }
+}
+
+/**
+ * Apply the proxy config to a session
+ *
+ * @param targetSession - Session
+ */
+export async function applyProxy(targetSession: Session) {
+	sessions.add(targetSession)
+	await targetSession.setProxy(getProxyConfig())
+	// Do not reuse connections established with the previous proxy config
+	await targetSession.closeAllConnections()
+}
+
+/**
+ * Apply the proxy config to all sessions and requests without a session
+ */
+async function applyProxyToAllSessions() {
+	await Promise.all([
+		app.setProxy(getProxyConfig()),
+		...[...sessions].map((targetSession) => applyProxy(targetSession)),
+	])
+}
+
+/**
+ * Apply the proxy config to the default session and every new session, and listen to the config changes
+ */
+export async function initProxy() {
+	app.on('session-created', (createdSession) => applyProxy(createdSession))
+
+	const proxyConfigKeys: (keyof AppConfig)[] = ['proxyMode', 'proxyServer', 'proxyBypassRules', 'proxyPacUrl']
+	for (const key of proxyConfigKeys) {
+		onAppConfigChange(key, applyProxyToAllSessions)
+	}
+
+	sessions.add(session.defaultSession)
+	await applyProxyToAllSessions()
+}
+
+/**
+ * Get credentials for a proxy authentication challenge.
+ * Credentials are asked once and remembered until the app quits.
+ * Chromium remembers successful credentials in a session, so a repeated challenge in the same session means the credentials are wrong.
+ *
+ * @param requestSession - Session of the request, if it has one
+ * @param authInfo - Proxy authentication info
+ * @param parentWindow - Window to show the prompt for
+ * @return Credentials or null if canceled
+ */
+export async function getProxyCredentials(requestSession: Session | undefined, authInfo: AuthInfo, parentWindow?: BrowserWindow) {
+	// Requests without a web page, for example, update checks, are in the default session
+	const targetSession = requestSession ?? session.defaultSession
+	const proxy = `${authInfo.host}:${authInfo.port}`
+
+	const rememberedCredentials = proxyCredentials.get(proxy)
+	const sessionsWithCredentials = sessionsWithProxyCredentials.get(proxy)
+	if (rememberedCredentials && sessionsWithCredentials && !sessionsWithCredentials.has(targetSession)) {
+		sessionsWithCredentials.add(targetSession)
+		return rememberedCredentials
+	}
+
+	if (!pendingPrompts.has(proxy)) {
+		const prompt = promptProxyCredentials({
+			host: authInfo.host,
+			port: authInfo.port,
+			realm: authInfo.realm,
+			isRetry: !!rememberedCredentials,
+		}, parentWindow).then((credentials) => {
+			if (credentials) {
+				proxyCredentials.set(proxy, credentials)
+				// New credentials - other sessions should try them as well
+				sessionsWithProxyCredentials.set(proxy, new WeakSet())
+			}
+			return credentials
+		}).finally(() => pendingPrompts.delete(proxy))
+		pendingPrompts.set(proxy, prompt)
+	}
+
+	const credentials = await pendingPrompts.get(proxy)!
+	if (credentials) {
+		sessionsWithProxyCredentials.get(proxy)!.add(targetSession)
+	}
+	return credentials
+}
@@ -0,0 +1,153 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { execFile, execFileSync } from 'node:child_process'
+import { promisify } from 'node:util'
+import { app } from 'electron'
+
+/** Application playing audio, which can be shared */
+export type ScreenShareAudioApp = {
+	/** Stable ID to remember the choice across shares: the process binary or the application name */
+	id: string
+	name: string
+}
+
+/** Playback stream of an application in the PulseAudio API, provided by pipewire-pulse on PipeWire */
+type SinkInput = {
+	index: number
+	sink: number
+	properties: Record<string, string | undefined>
+}
+
+/** Name of the virtual output device, the shared applications are routed to */
+const SHARE_SINK_NAME = 'talk_desktop_screen_share'
+
+/** Description of the virtual output device, its monitor is captured by the renderer as "Monitor of <description>" */
+const SHARE_SINK_DESCRIPTION = 'Talk-Desktop-Screen-Share'
+
+const execFileAsync = promisify(execFile)
+
+/** Routing of the currently shared application, to restore it when the sharing stops */
+let activeShare: { moduleIds: string[], sinkInputs: SinkInput[] } | null = null
+
+/**
+ * Run pactl, available with PulseAudio and with PipeWire via pipewire-pulse
+ *
+ * @param args - pactl arguments
+ * @return Output of the command
+ */
+async function pactl(...args: string[]) {
+	const { stdout } = await execFileAsync('pactl', args)
+	return stdout.trim()
+}
+
+/**
+ * Get the ID of the application of a playback stream
+ *
+ * @param sinkInput - Playback stream
+ */
+function getAppId(sinkInput: SinkInput) {
+	return sinkInput.properties['application.process.binary'] || sinkInput.properties['application.name'] || ''
+}
+
+/**
+ * Get playback streams of other applications, excluding Talk Desktop itself to not share the call audio back
+ */
+async function getSinkInputs(): Promise<SinkInput[]> {
+	const ownPids = new Set(app.getAppMetrics().map((metric) => metric.pid.toString()))
+	const sinkInputs: SinkInput[] = JSON.parse(await pactl('-f', 'json', 'list', 'sink-inputs'))
+	return sinkInputs.filter((sinkInput) => getAppId(sinkInput)
+		&& sinkInput.sink !== -1
+		&& !ownPids.has(sinkInput.properties['application.process.id'] ?? ''))
+}
+
+/**
+ * Get applications currently playing audio
+ *
+ * @return Applications or an empty list if the audio server is not available
+ */
+export async function getScreenShareAudioApps(): Promise<ScreenShareAudioApp[]> {
+	try {
+		const apps = new Map<string, ScreenShareAudioApp>()
+		for (const sinkInput of await getSinkInputs()) {
+			const id = getAppId(sinkInput)
+			apps.set(id, { id, name: sinkInput.properties['application.name'] || id })
+		}
+		return [...apps.values()]
+	} catch (error) {
+		console.error('Failed to get applications playing audio', error)
+		return []
+	}
+}
+
+/**
+ * Start sharing the audio of an application.
+ * Its playback is moved to a virtual output device, which monitor can be captured as an audio input,
+ * and looped back to the original output device for the user to still hear it.
+ *
+ * @param appId - Application ID
+ * @return Description of the virtual output device or null if the application is not playing audio
+ */
+export async function startScreenShareAudio(appId: string) {
+	await stopScreenShareAudio()
+
+	const sinkInputs = (await getSinkInputs()).filter((sinkInput) => getAppId(sinkInput) === appId)
+	if (!sinkInputs.length) {
+		return null
+	}
+
+	const sinks: { index: number, name: string }[] = JSON.parse(await pactl('-f', 'json', 'list', 'sinks'))
+	const outputSink = sinks.find((sink) => sink.index === sinkInputs[0].sink)?.name ?? await pactl('get-default-sink')
+
+	activeShare = { moduleIds: [], sinkInputs }
+	try {
+		activeShare.moduleIds.push(await pactl('load-module', 'module-null-sink', `sink_name=${SHARE_SINK_NAME}`, `sink_properties=device.description=${SHARE_SINK_DESCRIPTION}`))
+		activeShare.moduleIds.push(await pactl('load-module', 'module-loopback', `source=${SHARE_SINK_NAME}.monitor`, `sink=${outputSink}`))
+		for (const sinkInput of sinkInputs) {
+			await pactl('move-sink-input', sinkInput.index.toString(), SHARE_SINK_NAME)
+		}
+	} catch (error) {
+		await stopScreenShareAudio()
+		throw error
+	}
+
+	return SHARE_SINK_DESCRIPTION
+}
+
+/**
+ * Stop sharing the audio and move the application back to its original output device
+ */
+export async function stopScreenShareAudio() {
+	if (!activeShare) {
+		return
+	}
+	const { moduleIds, sinkInputs } = activeShare
+	activeShare = null
+
+	// The application might have stopped its playback meanwhile
+	for (const sinkInput of sinkInputs) {
+		await pactl('move-sink-input', sinkInput.index.toString(), sinkInput.sink.toString()).catch(() => {})
+	}
+	for (const moduleId of moduleIds.reverse()) {
+		await pactl('unload-module', moduleId).catch((error) => console.error('Failed to unload the screen share audio module', error))
+	}
+}
+
+/**
+ * Remove the virtual output device synchronously on quit, the audio server keeps it otherwise
+ */
+export function cleanUpScreenShareAudio() {
+	if (!activeShare) {
+		return
+	}
+	for (const moduleId of activeShare.moduleIds.reverse()) {
+		try {
+			execFileSync('pactl', ['unload-module', moduleId])
+		} catch (error) {
+			console.error('Failed to unload the screen share audio module', error)
+		}
+	}
+	activeShare = null
+}
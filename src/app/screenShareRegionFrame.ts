@@ -0,0 +1,87 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { Rectangle } from 'electron'
+import { BrowserWindow, screen } from 'electron'
+
+/** Region of a screen in fractions of the screen size from 0 to 1 */
+export type ScreenShareRegion = {
+	x: number
+	y: number
+	width: number
+	height: number
+}
+
+/** Width of the frame border, drawn outside of the shared region to not be visible in the stream */
+const BORDER_WIDTH = 3
+
+let frameWindow: BrowserWindow | null = null
+
+/**
+ * Get the bounds of the frame window around a region of a display
+ *
+ * @param displayId - Display ID of the shared screen
+ * @param region - Shared region
+ */
+function getFrameBounds(displayId: string, region: ScreenShareRegion): Rectangle {
+	const display = screen.getAllDisplays().find((display) => display.id.toString() === displayId) ?? screen.getPrimaryDisplay()
+	const { bounds } = display
+	return {
+		x: Math.round(bounds.x + region.x * bounds.width) - BORDER_WIDTH,
+		y: Math.round(bounds.y + region.y * bounds.height) - BORDER_WIDTH,
+		width: Math.round(region.width * bounds.width) + BORDER_WIDTH * 2,
+		height: Math.round(region.height * bounds.height) + BORDER_WIDTH * 2,
+	}
+}
+
+/**
+ * Show a frame around the shared region of a screen.
+ * The frame is click-through and stays on top of other windows until hidden.
+ *
+ * @param displayId - Display ID of the shared screen
+ * @param region - Shared region
+ */
+export function showScreenShareRegionFrame(displayId: string, region: ScreenShareRegion) {
+	hideScreenShareRegionFrame()
+
+	frameWindow = new BrowserWindow({
+		...getFrameBounds(displayId, region),
+		show: false,
+		frame: false,
+		transparent: true,
+		hasShadow: false,
+		resizable: false,
+		movable: false,
+		minimizable: false,
+		maximizable: false,
+		fullscreenable: false,
+		focusable: false,
+		skipTaskbar: true,
+		webPreferences: {
+			sandbox: true,
+		},
+	})
+
+	frameWindow.setIgnoreMouseEvents(true)
+	frameWindow.setAlwaysOnTop(true, 'screen-saver')
+	frameWindow.setVisibleOnAllWorkspaces(true)
+	// Exclude the frame from screen capturing where supported (Windows and macOS)
+	frameWindow.setContentProtection(true)
+
+	const html = `<body style="margin: 0; height: 100vh; box-sizing: border-box; border: ${BORDER_WIDTH}px solid #e9322d;"></body>`
+	frameWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`)
+	frameWindow.once('ready-to-show', () => frameWindow?.showInactive())
+	frameWindow.on('closed', () => {
+		frameWindow = null
+	})
+}
+
+/**
+ * Hide the frame around the shared region
+ */
+export function hideScreenShareRegionFrame() {
+	frameWindow?.destroy()
+	frameWindow = null
+}
@@ -0,0 +1,99 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import os from 'node:os'
+import path from 'node:path'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { getLockedAppConfigKeys, setAppConfigValues } from './AppConfig.ts'
+import { findImportConfigInArgv, importSettingsFile } from './settingsBackup.ts'
+
+vi.mock('electron', () => ({ app: {}, dialog: {}, webContents: {} }))
+vi.mock('./policy.ts', () => ({}))
+vi.mock('./AppConfig.ts', async (importOriginal) => ({
+	...await importOriginal<typeof import('./AppConfig.ts')>(),
+	getLockedAppConfigKeys: vi.fn(() => []),
+	setAppConfigValues: vi.fn(),
+}))
+
+describe('settingsBackup', () => {
+	describe('importSettingsFile', () => {
+		let directory: string
+
+		/**
+		 * Write a settings file to import
+		 *
+		 * @param content - File content
+		 */
+		async function writeSettingsFile(content: unknown) {
+			const filePath = path.join(directory, 'settings.json')
+			await writeFile(filePath, typeof content === 'string' ? content : JSON.stringify(content))
+			return filePath
+		}
+
+		beforeEach(async () => {
+			directory = await mkdtemp(path.join(os.tmpdir(), 'talk-desktop-settings-'))
+		})
+
+		afterEach(async () => {
+			await rm(directory, { recursive: true, force: true })
+		})
+
+		it('should import valid values and local state of the current version', async () => {
+			const filePath = await writeSettingsFile({
+				format: 'nextcloud-talk-desktop-settings',
+				version: 1,
+				appVersion: '1.2.0',
+				exportedAt: '2025-01-31T14:05:09.000Z',
+				appConfig: { theme: 'dark', zoomFactor: 'large', unknown: true },
+				localState: { draft: 'Hello' },
+			})
+
+			expect(await importSettingsFile(filePath)).toEqual({
+				localState: { draft: 'Hello' },
+				skippedKeys: ['zoomFactor', 'unknown'],
+			})
+			expect(setAppConfigValues).toHaveBeenCalledWith({ theme: 'dark' })
+		})
+
+		it('should migrate a plain config.json', async () => {
+			const filePath = await writeSettingsFile({ theme: 'light', launchAtStartup: true })
+
+			expect(await importSettingsFile(filePath)).toEqual({ localState: {}, skippedKeys: [] })
+			expect(setAppConfigValues).toHaveBeenCalledWith({ theme: 'light', launchAtStartup: true })
+		})
+
+		it('should skip values locked by the system policy', async () => {
+			vi.mocked(getLockedAppConfigKeys).mockReturnValue(['checkForUpdates'])
+			const filePath = await writeSettingsFile({ theme: 'light', checkForUpdates: false })
+
+			expect(await importSettingsFile(filePath)).toEqual({ localState: {}, skippedKeys: ['checkForUpdates'] })
+			expect(setAppConfigValues).toHaveBeenCalledWith({ theme: 'light' })
+		})
+
+		it.each([
+			['not a JSON file', 'The file is not a valid JSON file'],
+			[[{ theme: 'dark' }], 'The file is not a settings file'],
+			[{ format: 'other-app-settings', version: 1 }, 'The file is not a settings file'],
+			[{ format: 'nextcloud-talk-desktop-settings', version: 99 }, 'The settings were exported from a newer version of the app'],
+		])('should reject %j', async (content, error) => {
+			const filePath = await writeSettingsFile(content)
+
+			await expect(importSettingsFile(filePath)).rejects.toThrow(error)
+			expect(setAppConfigValues).not.toHaveBeenCalled()
+		})
+	})
+
+	describe('findImportConfigInArgv', () => {
+		it.each([
+			[['talk', '--import-config', 'settings.json'], path.resolve('/home/user', 'settings.json')],
+			[['talk', '--import-config=/etc/talk/settings.json'], '/etc/talk/settings.json'],
+			[['talk', '--import-config'], null],
+			[['talk', '--background'], null],
+		])('should find the settings file in %j', (argv, expected) => {
+			expect(findImportConfigInArgv(argv, '/home/user')).toBe(expected)
+		})
+	})
+})
@@ -0,0 +1,195 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { BrowserWindow } from 'electron'
+import type { AppConfig, AppConfigKey } from './AppConfig.ts'
+import path from 'node:path'
+import { readFile, writeFile } from 'node:fs/promises'
+import { app, dialog } from 'electron'
+import { getLockedAppConfigKeys, getUserAppConfig, setAppConfigValues, validateAppConfig } from './AppConfig.ts'
+
+/** Identifies settings files among other JSON files */
+const SETTINGS_FILE_FORMAT = 'nextcloud-talk-desktop-settings'
+
+/** Current version of the settings file, increase with a new migration on incompatible changes */
+const SETTINGS_FILE_VERSION = 1
+
+/**
+ * Local state of a Talk window, stored in the renderer, for example, chat input drafts
+ */
+export type SettingsLocalState = Record<string, unknown>
+
+/**
+ * Exported settings file
+ */
+export type SettingsFile = {
+	format: typeof SETTINGS_FILE_FORMAT
+	version: number
+	/** Version of the app the settings were exported from */
+	appVersion: string
+	/** Export date in ISO format */
+	exportedAt: string
+	/** Application config values set by the user */
+	appConfig: Partial<AppConfig>
+	/** Local state of the account the settings were exported from */
+	localState: SettingsLocalState
+}
+
+/**
+ * Result of a settings import
+ */
+export type SettingsImportResult = {
+	/** Local state to restore in the Talk window */
+	localState: SettingsLocalState
+	/** Application config keys not imported because they are unknown, invalid or locked by the system policy */
+	skippedKeys: string[]
+}
+
+/**
+ * Migrations of the settings file from a version to the next one
+ */
+const migrations: Record<number, (settings: Record<string, unknown>) => Record<string, unknown>> = {
+	// Version 0 is a plain config.json from the userData directory
+	0: (config) => ({
+		format: SETTINGS_FILE_FORMAT,
+		version: 1,
+		appVersion: 'unknown',
+		exportedAt: new Date(0).toISOString(),
+		appConfig: config,
+		localState: {},
+	}),
+}
+
+/**
+ * Check whether a value is a plain object
+ *
+ * @param value - Value to check
+ */
+function isObject(value: unknown): value is Record<string, unknown> {
+	return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Parse a settings file and migrate it to the current version
+ *
+ * @param content - Settings file content
+ */
+function parseSettingsFile(content: string) {
+	let settings: unknown
+	try {
+		settings = JSON.parse(content)
+	} catch {
+		throw new Error('The file is not a valid JSON file')
+	}
+
+	if (!isObject(settings)) {
+		throw new Error('The file is not a settings file')
+	}
+
+	if (!('format' in settings)) {
+		settings = { version: 0, ...settings }
+	} else if (settings.format !== SETTINGS_FILE_FORMAT || typeof settings.version !== 'number') {
+		throw new Error('The file is not a settings file')
+	}
+
+	let migrated = settings as Record<string, unknown> & { version: number }
+	if (migrated.version > SETTINGS_FILE_VERSION) {
+		throw new Error('The settings were exported from a newer version of the app')
+	}
+	while (migrated.version < SETTINGS_FILE_VERSION) {
+		const { version, ...data } = migrated
+		migrated = migrations[version](data) as typeof migrated
+	}
+
+	return {
+		appConfig: isObject(migrated.appConfig) ? migrated.appConfig : {},
+		localState: isObject(migrated.localState) ? migrated.localState : {},
+	}
+}
+
+/**
+ * Import settings from a file
+ *
+ * @param filePath - Path to the settings file
+ */
+export async function importSettingsFile(filePath: string): Promise<SettingsImportResult> {
+	const { appConfig, localState } = parseSettingsFile(await readFile(filePath, 'utf-8'))
+
+	const { validConfig, invalidKeys } = validateAppConfig(appConfig)
+	const lockedKeys: string[] = getLockedAppConfigKeys().filter((key) => key in validConfig)
+	for (const key of lockedKeys) {
+		delete validConfig[key as AppConfigKey]
+	}
+	setAppConfigValues(validConfig)
+
+	return {
+		localState,
+		skippedKeys: [...invalidKeys, ...lockedKeys],
+	}
+}
+
+/**
+ * Ask the user for a settings file and import it
+ *
+ * @param parentWindow - Parent window of the dialog
+ * @return Import result or null if canceled
+ */
+export async function importSettings(parentWindow: BrowserWindow) {
+	const { canceled, filePaths } = await dialog.showOpenDialog(parentWindow, {
+		title: 'Import settings',
+		filters: [{ name: 'Settings', extensions: ['json'] }],
+		properties: ['openFile'],
+	})
+	if (canceled) {
+		return null
+	}
+	return importSettingsFile(filePaths[0])
+}
+
+/**
+ * Ask the user where to save the settings and export them
+ *
+ * @param parentWindow - Parent window of the dialog
+ * @param localState - Local state of the Talk window
+ * @return Path to the exported file or null if canceled
+ */
+export async function exportSettings(parentWindow: BrowserWindow, localState: SettingsLocalState) {
+	const { canceled, filePath } = await dialog.showSaveDialog(parentWindow, {
+		title: 'Export settings',
+		defaultPath: path.join(app.getPath('documents'), `${app.getName()} settings.json`),
+		filters: [{ name: 'Settings', extensions: ['json'] }],
+	})
+	if (canceled || !filePath) {
+		return null
+	}
+
+	const settings: SettingsFile = {
+		format: SETTINGS_FILE_FORMAT,
+		version: SETTINGS_FILE_VERSION,
+		appVersion: app.getVersion(),
+		exportedAt: new Date().toISOString(),
+		// Only the user's own values, so defaults and policy presets keep applying after import
+		appConfig: getUserAppConfig(),
+		localState,
+	}
+	await writeFile(filePath, JSON.stringify(settings, null, 2))
+	return filePath
+}
+
+/**
+ * Find a settings file to import in command line arguments: --import-config <file> or --import-config=<file>
+ *
+ * @param argv - Command line arguments
+ * @param cwd - Working directory to resolve a relative path
+ * @return Absolute path to the settings file or null
+ */
+export function findImportConfigInArgv(argv: string[], cwd = process.cwd()) {
+	const index = argv.findIndex((arg) => arg === '--import-config' || arg.startsWith('--import-config='))
+	if (index === -1) {
+		return null
+	}
+	const filePath = argv[index].includes('=') ? argv[index].slice(argv[index].indexOf('=') + 1) : argv[index + 1]
+	return filePath ? path.resolve(cwd, filePath) : null
+}
@@ -0,0 +1,192 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { MenuItemConstructorOptions, Session } from 'electron'
+import { app, session } from 'electron'
+import { getAppConfig, onAppConfigChange, setAppConfig } from './AppConfig.ts'
+import { isMac } from './system.utils.ts'
+
+/**
+ * Whether spell checker languages can be selected.
+ * macOS uses the native spell checker, which detects the language automatically.
+ */
+export const isSpellCheckLanguageSelectionSupported = !isMac
+
+/** Sessions with the conversation currently opened in the Talk window of the session */
+const sessionConversations = new Map<Session, string | null>()
+
+/** Human-readable language names in English for the context menu */
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' })
+
+/**
+ * Get the system languages supported by the spell checker, used when no languages are selected
+ *
+ * @param targetSession - Session
+ */
+function getDefaultSpellCheckLanguages(targetSession: Session) {
+	const available = targetSession.availableSpellCheckerLanguages
+	const languages = new Set<string>()
+	for (const language of app.getPreferredSystemLanguages()) {
+		// Dictionaries are either for a language (de) or a regional variant (de-DE)
+		const match = available.find((code) => code === language)
+			?? available.find((code) => code === language.split('-')[0])
+			?? available.find((code) => code.split('-')[0] === language.split('-')[0])
+		if (match) {
+			languages.add(match)
+		}
+	}
+	return languages.size ? [...languages] : available.filter((code) => code === 'en-US')
+}
+
+/**
+ * Get the spell checker languages selected for a conversation
+ *
+ * @param token - Conversation token or null for no conversation
+ * @return Selected languages, empty for the default languages
+ */
+function getSelectedSpellCheckLanguages(token: string | null) {
+	// A conversation without own languages selected yet uses the app languages
+	const conversationLanguages = token ? getAppConfig('conversationSpellCheckLanguages')[token] : undefined
+	return conversationLanguages?.length ? conversationLanguages : getAppConfig('spellCheckLanguages')
+}
+
+/**
+ * Apply the selected spell checker languages for the current conversation to a session
+ *
+ * @param targetSession - Session
+ */
+function applySpellCheckLanguages(targetSession: Session) {
+	if (!isSpellCheckLanguageSelectionSupported) {
+		return
+	}
+
+	const available = targetSession.availableSpellCheckerLanguages
+	const languages = getSelectedSpellCheckLanguages(sessionConversations.get(targetSession) ?? null)
+		.filter((language) => available.includes(language))
+	targetSession.setSpellCheckerLanguages(languages.length ? languages : getDefaultSpellCheckLanguages(targetSession))
+}
+
+/**
+ * Apply the spell checker languages to the default session and every new session, and listen to the config changes
+ */
+export function initSpellCheck() {
+	const applyToAllSessions = () => {
+		for (const targetSession of sessionConversations.keys()) {
+			applySpellCheckLanguages(targetSession)
+		}
+	}
+
+	app.on('session-created', (createdSession) => {
+		sessionConversations.set(createdSession, null)
+		applySpellCheckLanguages(createdSession)
+	})
+	onAppConfigChange('spellCheckLanguages', applyToAllSessions)
+	onAppConfigChange('conversationSpellCheckLanguages', applyToAllSessions)
+
+	sessionConversations.set(session.defaultSession, null)
+	applySpellCheckLanguages(session.defaultSession)
+}
+
+/**
+ * Set the conversation opened in the Talk window of a session to use its spell checker languages
+ *
+ * @param targetSession - Session of the Talk window
+ * @param token - Conversation token or null if no conversation is open
+ */
+export function setSpellCheckConversation(targetSession: Session, token: string | null) {
+	sessionConversations.set(targetSession, token)
+	applySpellCheckLanguages(targetSession)
+}
+
+/**
+ * Get spell checker languages available to select
+ *
+ * @param targetSession - Session
+ * @return Language codes or an empty list if languages cannot be selected
+ */
+export function getAvailableSpellCheckLanguages(targetSession: Session) {
+	return isSpellCheckLanguageSelectionSupported ? targetSession.availableSpellCheckerLanguages : []
+}
+
+/**
+ * Toggle a spell checker language of the current conversation, if it has own languages, or of the whole app
+ *
+ * @param targetSession - Session
+ * @param language - Language code
+ */
+function toggleSpellCheckLanguage(targetSession: Session, language: string) {
+	const token = sessionConversations.get(targetSession) ?? null
+	const current = targetSession.getSpellCheckerLanguages()
+	const languages = current.includes(language)
+		? current.filter((code) => code !== language)
+		: [...current, language]
+
+	const conversationLanguages = getAppConfig('conversationSpellCheckLanguages')
+	if (token && conversationLanguages[token]) {
+		setAppConfig('conversationSpellCheckLanguages', { ...conversationLanguages, [token]: languages })
+	} else {
+		setAppConfig('spellCheckLanguages', languages)
+	}
+}
+
+/**
+ * Use own spell checker languages in the current conversation or the app languages again
+ *
+ * @param targetSession - Session
+ * @param token - Conversation token
+ */
+function toggleConversationSpellCheckLanguages(targetSession: Session, token: string) {
+	const conversationLanguages = { ...getAppConfig('conversationSpellCheckLanguages') }
+	if (conversationLanguages[token]) {
+		delete conversationLanguages[token]
+	} else {
+		conversationLanguages[token] = targetSession.getSpellCheckerLanguages()
+	}
+	setAppConfig('conversationSpellCheckLanguages', conversationLanguages)
+}
+
+/**
+ * Get the "Languages" context menu items to select spell checker languages
+ *
+ * @param targetSession - Session of the window with the context menu
+ * @return Menu items or an empty list if languages cannot be selected
+ */
+export function getSpellCheckLanguagesMenuItems(targetSession: Session): MenuItemConstructorOptions[] {
+	if (!isSpellCheckLanguageSelectionSupported) {
+		return []
+	}
+
+	const token = sessionConversations.get(targetSession) ?? null
+	const current = targetSession.getSpellCheckerLanguages()
+	const languageItems: MenuItemConstructorOptions[] = targetSession.availableSpellCheckerLanguages
+		.map((language) => ({ language, label: languageNames.of(language) ?? language }))
+		.sort((a, b) => a.label.localeCompare(b.label))
+		.map(({ language, label }) => ({
+			label,
+			type: 'checkbox',
+			checked: current.includes(language),
+			click: () => toggleSpellCheckLanguage(targetSession, language),
+		}))
+
+	return [
+		{
+			label: 'Languages',
+			submenu: [
+				...(token
+					? [
+							{
+								label: 'Only for this conversation',
+								type: 'checkbox',
+								checked: !!getAppConfig('conversationSpellCheckLanguages')[token],
+								click: () => toggleConversationSpellCheckLanguages(targetSession, token),
+							} as const,
+							{ type: 'separator' } as const,
+						]
+					: []),
+				...languageItems,
+			],
+		},
+	]
+}
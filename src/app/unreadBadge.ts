@@ -0,0 +1,46 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { BrowserWindow } from 'electron'
+import { app, nativeImage } from 'electron'
+import { isWindows } from './system.utils.ts'
+
+/** Unread counts of Talk windows - one per account */
+const unreadCounts: Map<BrowserWindow, number> = new Map()
+
+/**
+ * Update the application badge with the total unread count of all windows.
+ * Supported on macOS dock and Linux Unity launcher.
+ */
+function updateAppBadge() {
+	const total = [...unreadCounts.values()].reduce((sum, count) => sum + count, 0)
+	app.setBadgeCount(total)
+}
+
+/**
+ * Set the unread count of a Talk window.
+ * On Windows, the badge is shown as an overlay icon on the window's taskbar button.
+ *
+ * @param browserWindow - Talk window
+ * @param count - Unread count, 0 to remove the badge
+ * @param overlayDataUrl - Numbered badge icon for the taskbar overlay
+ */
+export function setUnreadBadge(browserWindow: BrowserWindow, count: number, overlayDataUrl: string | null) {
+	if (!unreadCounts.has(browserWindow)) {
+		browserWindow.once('closed', () => {
+			unreadCounts.delete(browserWindow)
+			updateAppBadge()
+		})
+	}
+	unreadCounts.set(browserWindow, count)
+	updateAppBadge()
+
+	if (isWindows) {
+		browserWindow.setOverlayIcon(
+			count && overlayDataUrl ? nativeImage.createFromDataURL(overlayDataUrl) : null,
+			count ? `${count} unread` : '',
+		)
+	}
+}
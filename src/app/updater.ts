@@ -0,0 +1,626 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { BrowserWindow } from 'electron'
+import type { ReadableStream } from 'node:stream/web'
+import path from 'node:path'
+import { execFile, spawn } from 'node:child_process'
+import { createHash, verify } from 'node:crypto'
+import { accessSync, constants, createWriteStream, existsSync, renameSync, rmSync } from 'node:fs'
+import { chmod, mkdir, readdir, readFile, rm } from 'node:fs/promises'
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { promisify } from 'node:util'
+import { app, net, Notification, webContents } from 'electron'
+import semver from 'semver'
+import { getAppConfig, isAppConfigLocked, onAppConfigChange } from './AppConfig.ts'
+import { isLinux, isWindows } from './system.utils.ts'
+import { BUILD_CONFIG } from '../shared/build.config.ts'
+import { createUpgradeWindow } from '../upgrade/upgrade.window.ts'
+
+export type UpdateChannel = 'stable' | 'beta'
+
+export type UpdateInfo = {
+	/** New version, for example, v1.2.0-beta.1 */
+	version: string
+	/** Release notes in Markdown */
+	releaseNotes: string
+	/** Release page URL */
+	releaseUrl: string
+}
+
+export type UpdateStatus = {
+	/** Whether this build checks for updates */
+	enabled: boolean
+	/** Whether updates can be installed by the app or only downloaded from the release page */
+	canInstall: boolean
+	/** Update state */
+	state: 'idle' | 'checking' | 'up-to-date' | 'available' | 'downloading' | 'ready' | 'error'
+	/** The latest available update */
+	update: UpdateInfo | null
+	/** Download progress from 0 to 1 */
+	progress: number
+	/** Error message of the last failed check or installation */
+	error: string | null
+}
+
+/** Release in the GitHub releases API format */
+type Release = {
+	tag_name: string
+	html_url: string
+	body: string | null
+	draft: boolean
+	prerelease: boolean
+	assets: {
+		name: string
+		browser_download_url: string
+	}[]
+}
+
+/** Signed release manifest of a build platform */
+type ReleaseManifest = {
+	/** Release version, the same as the release tag */
+	version: string
+	/** SHA-256 checksums of the release packages by file name */
+	checksums: Record<string, string>
+}
+
+/**
+ * How the app is installed:
+ * - squirrel: Windows Squirrel installer, updated by Squirrel's Update.exe
+ * - appimage: Linux AppImage, the file is replaced
+ * - zip: Linux ZIP archive, the directory is replaced
+ */
+type InstallType = 'squirrel' | 'appimage' | 'zip'
+
+/** GitHub releases API, can be replaced with a local mock feed for testing, see scripts/mock-update-feed.mjs */
+const UPDATE_FEED_URL = process.env.TALK_DESKTOP_UPDATE_FEED_URL || 'https://api.github.com/repos/nextcloud-releases/talk-desktop/releases'
+
+/**
+ * Ed25519 public key in PEM to verify signatures of the release manifests, built into the app from UPDATE_PUBLIC_KEY.
+ * Without the key, updates cannot be verified and are only downloaded from the release page.
+ */
+const UPDATE_PUBLIC_KEY = __UPDATE_PUBLIC_KEY__
+
+const CHECK_INTERVAL = 24 * 60 * 60 * 1000
+
+const execFileAsync = promisify(execFile)
+
+let status: UpdateStatus = {
+	enabled: false,
+	canInstall: false,
+	state: 'idle',
+	update: null,
+	progress: 0,
+	error: null,
+}
+
+/** The latest available release */
+let availableRelease: Release | null = null
+
+/** Apply the downloaded update on quit, if the update cannot be applied while the app is running */
+let applyUpdate: (() => void) | null = null
+
+/** setInterval id of the scheduler */
+let checkIntervalId: NodeJS.Timeout | undefined
+
+let releaseNotesWindow: BrowserWindow | null = null
+
+/**
+ * Whether this build checks for updates.
+ * Branded builds are distributed by their vendors, and development builds are not released.
+ * Any build can check a mock feed for testing.
+ * Administrators can disable update checks completely by the system policy.
+ */
+function isUpdaterEnabled() {
+	if (isAppConfigLocked('checkForUpdates') && !getAppConfig('checkForUpdates')) {
+		return false
+	}
+	return !!process.env.TALK_DESKTOP_UPDATE_FEED_URL || (process.env.NODE_ENV === 'production' && !BUILD_CONFIG.isBranded)
+}
+
+/**
+ * Get Squirrel's Update.exe, which is installed next to the app directory
+ */
+function getSquirrelUpdateExe() {
+	return path.resolve(path.dirname(process.execPath), '..', 'Update.exe')
+}
+
+/**
+ * Get the directory of the app installed from a ZIP archive
+ */
+function getZipInstallDirectory() {
+	return path.dirname(process.execPath)
+}
+
+/**
+ * Get a temporary directory next to the app installed from a ZIP archive.
+ * It is on the same file system, so the app directory can be replaced by renaming.
+ *
+ * @param suffix - Directory suffix
+ */
+function getZipSiblingDirectory(suffix: 'update' | 'old') {
+	const installDirectory = getZipInstallDirectory()
+	return path.join(path.dirname(installDirectory), `.${path.basename(installDirectory)}.${suffix}`)
+}
+
+/**
+ * Get the directory to download updates to
+ */
+function getUpdatesDirectory() {
+	return path.join(app.getPath('userData'), 'updates')
+}
+
+/**
+ * Check whether the current user can write to a directory
+ *
+ * @param directory - Directory path
+ */
+function isWritable(directory: string) {
+	try {
+		accessSync(directory, constants.W_OK)
+		return true
+	} catch {
+		return false
+	}
+}
+
+/**
+ * Detect how the app is installed to know whether and how it can update itself.
+ * MSI, Flatpak and system-wide installations are managed by the system or administrators.
+ * macOS is not supported yet.
+ */
+function getInstallType(): InstallType | null {
+	if (!app.isPackaged || !UPDATE_PUBLIC_KEY) {
+		return null
+	}
+
+	if (isWindows) {
+		// Installed with the MSI otherwise
+		return existsSync(getSquirrelUpdateExe()) ? 'squirrel' : null
+	}
+
+	if (isLinux) {
+		if (process.env.APPIMAGE) {
+			return isWritable(path.dirname(process.env.APPIMAGE)) ? 'appimage' : null
+		}
+		if (!process.env.FLATPAK_ID && isWritable(path.dirname(getZipInstallDirectory()))) {
+			return 'zip'
+		}
+	}
+
+	return null
+}
+
+/**
+ * Get a release package file name for this platform.
+ * Same as generateDistName in forge.config.js.
+ *
+ * @param version - Release version, prereleases are built with the beta channel
+ * @param ext - File extension
+ * @example Nextcloud.Talk-beta-linux-x64.zip
+ */
+function getDistName(version: string, ext: string) {
+	const platformTitle = isWindows ? 'windows' : 'linux'
+	const archTitle = process.arch === 'arm64' ? 'arm' : process.arch
+	const channel = semver.prerelease(version) ? 'beta' : ''
+	return [BUILD_CONFIG.applicationNameSanitized, channel, platformTitle, archTitle].filter(Boolean).join('-') + ext
+}
+
+/**
+ * Update the status and send it to all windows
+ *
+ * @param changes - Changed status fields
+ */
+function setStatus(changes: Partial<UpdateStatus>) {
+	status = { ...status, ...changes }
+	for (const contents of webContents.getAllWebContents()) {
+		contents.send('updater:status', status)
+	}
+}
+
+/**
+ * Request the latest release newer than the current version on the channel
+ *
+ * @see https://docs.github.com/en/rest/releases/releases?apiVersion=2022-11-28#list-releases
+ * @param channel - Update channel
+ * @return The latest release or null if the app is up-to-date
+ */
+async function fetchLatestRelease(channel: UpdateChannel) {
+	const response = await net.fetch(UPDATE_FEED_URL, {
+		headers: {
+			Accept: 'application/vnd.github+json',
+			'X-GitHub-Api-Version': '2022-11-28',
+		},
+	})
+	if (!response.ok) {
+		throw new Error(`Unexpected response status ${response.status}`)
+	}
+
+	const releases = (await response.json() as Release[])
+		.filter((release) => !release.draft && semver.valid(release.tag_name))
+		// Stable users should not get beta versions, but beta users get stable versions when they are newer
+		.filter((release) => channel === 'beta' || (!release.prerelease && !semver.prerelease(release.tag_name)))
+		.sort((a, b) => semver.rcompare(a.tag_name, b.tag_name))
+
+	const latest = releases[0]
+	return latest && semver.gt(latest.tag_name, app.getVersion()) ? latest : null
+}
+
+/**
+ * Download a release file into memory
+ *
+ * @param url - File URL
+ */
+async function fetchReleaseAsset(url: string) {
+	const response = await net.fetch(url)
+	if (!response.ok) {
+		throw new Error(`Unexpected response status ${response.status}`)
+	}
+	return Buffer.from(await response.arrayBuffer())
+}
+
+/**
+ * Get SHA-256 checksums of the release packages from the release manifests, one per build platform.
+ * Every manifest must have a valid detached Ed25519 signature in the <name>.sig release file in base64.
+ * The signed manifest contains the release version, so an old signed release cannot be served as a newer one.
+ *
+ * @param release - Release
+ * @return Checksums by file name
+ */
+async function fetchChecksums(release: Release) {
+	const assets = release.assets.filter((asset) => asset.name.startsWith('release-manifest') && asset.name.endsWith('.json'))
+	if (!assets.length) {
+		throw new Error('The release has no manifest')
+	}
+
+	const checksums: Map<string, string> = new Map()
+	for (const asset of assets) {
+		const signatureAsset = release.assets.find(({ name }) => name === `${asset.name}.sig`)
+		if (!signatureAsset) {
+			throw new Error(`The release has no signature of ${asset.name}`)
+		}
+
+		const content = await fetchReleaseAsset(asset.browser_download_url)
+		const signature = Buffer.from((await fetchReleaseAsset(signatureAsset.browser_download_url)).toString('utf-8').trim(), 'base64')
+		if (!verify(null, content, UPDATE_PUBLIC_KEY, signature)) {
+			throw new Error(`Invalid signature of ${asset.name}`)
+		}
+
+		const manifest = JSON.parse(content.toString('utf-8')) as ReleaseManifest
+		if (manifest.version !== release.tag_name) {
+			throw new Error(`${asset.name} is signed for ${manifest.version}, not for ${release.tag_name}`)
+		}
+		for (const [name, checksum] of Object.entries(manifest.checksums)) {
+			checksums.set(name, checksum.toLowerCase())
+		}
+	}
+	return checksums
+}
+
+/**
+ * Download a release file and verify its checksum
+ *
+ * @param release - Release
+ * @param checksums - Checksums of the release files
+ * @param name - Release file name
+ * @param filePath - Path to save the file to
+ * @param onProgress - Download progress callback
+ */
+async function downloadReleaseFile(release: Release, checksums: Map<string, string>, name: string, filePath: string, onProgress?: (progress: number) => void) {
+	const asset = release.assets.find((asset) => asset.name === name)
+	if (!asset) {
+		throw new Error(`The release has no ${name} package`)
+	}
+	if (!checksums.has(name)) {
+		throw new Error(`The release has no checksum of ${name}`)
+	}
+
+	const response = await net.fetch(asset.browser_download_url)
+	if (!response.ok || !response.body) {
+		throw new Error(`Unexpected response status ${response.status}`)
+	}
+
+	const totalBytes = Number(response.headers.get('Content-Length'))
+	const hash = createHash('sha256')
+	let receivedBytes = 0
+
+	await pipeline(
+		Readable.fromWeb(response.body as ReadableStream),
+		async function* (source: AsyncIterable<Buffer>) {
+			for await (const chunk of source) {
+				hash.update(chunk)
+				receivedBytes += chunk.length
+				if (totalBytes) {
+					onProgress?.(receivedBytes / totalBytes)
+				}
+				yield chunk
+			}
+		},
+		createWriteStream(filePath),
+	)
+
+	if (hash.digest('hex') !== checksums.get(name)) {
+		await rm(filePath, { force: true })
+		throw new Error(`Checksum mismatch of ${name}`)
+	}
+}
+
+/**
+ * Download and prepare an update to be applied on restart
+ *
+ * @param release - Release to update to
+ * @param installType - How the app is installed
+ * @return Function to apply the update on quit, or null if the update is already installed side-by-side
+ */
+async function prepareUpdate(release: Release, installType: InstallType): Promise<(() => void) | null> {
+	const version = release.tag_name
+	const checksums = await fetchChecksums(release)
+	const onProgress = (progress: number) => setStatus({ progress })
+
+	const updatesDirectory = getUpdatesDirectory()
+	await rm(updatesDirectory, { recursive: true, force: true })
+	await mkdir(updatesDirectory, { recursive: true })
+
+	if (installType === 'squirrel') {
+		// Squirrel installs from a directory with the RELEASES file and the package it references
+		// Both are renamed on release, the original package name is in RELEASES: "<SHA1> <file name> <size>"
+		const releasesFile = path.join(updatesDirectory, 'RELEASES')
+		await downloadReleaseFile(release, checksums, getDistName(version, ''), releasesFile)
+		const packageName = (await readFile(releasesFile, 'utf-8'))
+			.split('\n')
+			.map((line) => line.trim().split(/\s+/)[1])
+			.find((name) => name?.endsWith('-full.nupkg'))
+		if (!packageName) {
+			throw new Error('Invalid RELEASES file')
+		}
+		await downloadReleaseFile(release, checksums, getDistName(version, '.nupkg'), path.join(updatesDirectory, packageName), onProgress)
+		// Squirrel installs the new version next to the current one and starts it on the next launch
+		await execFileAsync(getSquirrelUpdateExe(), ['--update', updatesDirectory])
+		return null
+	}
+
+	if (installType === 'appimage') {
+		const appImage = process.env.APPIMAGE!
+		const stagedAppImage = `${appImage}.update`
+		await downloadReleaseFile(release, checksums, getDistName(version, '.AppImage'), stagedAppImage, onProgress)
+		await chmod(stagedAppImage, 0o755)
+		return () => renameSync(stagedAppImage, appImage)
+	}
+
+	const archive = path.join(updatesDirectory, getDistName(version, '.zip'))
+	await downloadReleaseFile(release, checksums, getDistName(version, '.zip'), archive, onProgress)
+	const stagingDirectory = getZipSiblingDirectory('update')
+	await rm(stagingDirectory, { recursive: true, force: true })
+	// Node.js has no built-in ZIP support, and JavaScript implementations do not preserve file permissions
+	await execFileAsync('unzip', ['-q', archive, '-d', stagingDirectory])
+	await rm(archive)
+	// The archive contains a single directory with the packaged app
+	const [packagedDirectory] = await readdir(stagingDirectory)
+	if (!packagedDirectory) {
+		throw new Error('Empty update archive')
+	}
+
+	return () => {
+		const installDirectory = getZipInstallDirectory()
+		const backupDirectory = getZipSiblingDirectory('old')
+		renameSync(installDirectory, backupDirectory)
+		try {
+			renameSync(path.join(stagingDirectory, packagedDirectory), installDirectory)
+		} catch (error) {
+			renameSync(backupDirectory, installDirectory)
+			throw error
+		}
+	}
+}
+
+/**
+ * Remove files left from the previous update
+ */
+function cleanUpPreviousUpdate() {
+	const directories = [getUpdatesDirectory()]
+	if (getInstallType() === 'zip') {
+		directories.push(getZipSiblingDirectory('update'), getZipSiblingDirectory('old'))
+	}
+	for (const directory of directories) {
+		rmSync(directory, { recursive: true, force: true })
+	}
+	if (process.env.APPIMAGE) {
+		rmSync(`${process.env.APPIMAGE}.update`, { force: true })
+	}
+}
+
+/**
+ * Apply the downloaded update when the app quits
+ */
+function applyUpdateOnQuit() {
+	if (!applyUpdate) {
+		return
+	}
+	try {
+		applyUpdate()
+	} catch (error) {
+		console.error('Failed to apply the update', error)
+	}
+	applyUpdate = null
+}
+
+/**
+ * Show a notification about a new version.
+ * It opens the release notes on click.
+ *
+ * @param title - Notification title
+ * @param body - Notification body
+ */
+function notifyAboutUpdate(title: string, body: string) {
+	const notification = new Notification({ title, body })
+	notification.on('click', () => showReleaseNotes())
+	notification.show()
+}
+
+/**
+ * Get the current update status
+ */
+export function getUpdateStatus() {
+	return status
+}
+
+/**
+ * Check for a new version on the selected channel and download it, when automatic updates are enabled
+ *
+ * @return The status after the check
+ */
+export async function checkForUpdates() {
+	if (!status.enabled || ['checking', 'downloading', 'ready'].includes(status.state)) {
+		return status
+	}
+
+	setStatus({ state: 'checking', error: null })
+
+	let release
+	try {
+		release = await fetchLatestRelease(getAppConfig('updateChannel'))
+	} catch (error) {
+		console.error('Failed to check for updates', error)
+		setStatus({ state: 'error', error: (error as Error).message })
+		return status
+	}
+
+	if (!release) {
+		availableRelease = null
+		setStatus({ state: 'up-to-date', update: null })
+		return status
+	}
+
+	const isNewRelease = availableRelease?.tag_name !== release.tag_name
+	availableRelease = release
+	setStatus({
+		state: 'available',
+		update: {
+			version: release.tag_name,
+			releaseNotes: release.body ?? '',
+			releaseUrl: release.html_url,
+		},
+	})
+
+	if (status.canInstall && getAppConfig('autoUpdate')) {
+		await installUpdate()
+	} else if (isNewRelease) {
+		notifyAboutUpdate(
+			`🎉 New version of ${BUILD_CONFIG.applicationName} is available!`,
+			`${BUILD_CONFIG.applicationName} ${release.tag_name} is now available. Click to see what's new.`,
+		)
+	}
+
+	return status
+}
+
+/**
+ * Download the available update and prepare it to be applied on restart
+ *
+ * @return The status after the download
+ */
+export async function installUpdate() {
+	const installType = getInstallType()
+	if (!availableRelease || !installType || status.state === 'downloading' || status.state === 'ready') {
+		return status
+	}
+
+	setStatus({ state: 'downloading', progress: 0, error: null })
+
+	try {
+		applyUpdate = await prepareUpdate(availableRelease, installType)
+	} catch (error) {
+		console.error('Failed to download the update', error)
+		setStatus({ state: 'error', error: (error as Error).message })
+		return status
+	}
+
+	setStatus({ state: 'ready', progress: 1 })
+	notifyAboutUpdate(
+		'Update is ready to install',
+		`${BUILD_CONFIG.applicationName} ${availableRelease.tag_name} will be installed on restart. Click to see what's new.`,
+	)
+
+	return status
+}
+
+/**
+ * Restart the app to apply the downloaded update
+ */
+export function restartToUpdate() {
+	if (status.state !== 'ready') {
+		return
+	}
+
+	if (getInstallType() === 'squirrel') {
+		// Update.exe starts the latest installed version
+		spawn(getSquirrelUpdateExe(), ['--processStart', path.basename(process.execPath)], { detached: true }).unref()
+	} else {
+		// The running AppImage is mounted to a temporary directory, it must be restarted from the file
+		app.relaunch({ execPath: process.env.APPIMAGE ?? process.execPath, args: process.argv.slice(1) })
+	}
+
+	app.quit()
+}
+
+/**
+ * Show the release notes of the available update
+ */
+export function showReleaseNotes() {
+	if (releaseNotesWindow && !releaseNotesWindow.isDestroyed()) {
+		releaseNotesWindow.show()
+		releaseNotesWindow.focus()
+		return
+	}
+	releaseNotesWindow = createUpgradeWindow(undefined, 'update')
+}
+
+/**
+ * (Re)start scheduler with regular update checks, if enabled in the config
+ */
+function scheduleUpdateChecks() {
+	clearInterval(checkIntervalId)
+	if (!getAppConfig('checkForUpdates')) {
+		return
+	}
+	checkForUpdates()
+	checkIntervalId = setInterval(() => checkForUpdates(), CHECK_INTERVAL)
+}
+
+/**
+ * Initialize the updater: clean up the previous update and start regular update checks
+ */
+export function initUpdater() {
+	if (!isUpdaterEnabled()) {
+		return
+	}
+
+	cleanUpPreviousUpdate()
+	status = {
+		...status,
+		enabled: true,
+		canInstall: getInstallType() !== null,
+	}
+
+	app.on('will-quit', applyUpdateOnQuit)
+
+	onAppConfigChange('checkForUpdates', scheduleUpdateChecks)
+	onAppConfigChange('updateChannel', () => {
+		// The available update may be not on the new channel
+		if (status.state !== 'downloading' && status.state !== 'ready') {
+			availableRelease = null
+			setStatus({ state: 'idle', update: null })
+			checkForUpdates()
+		}
+	})
+	onAppConfigChange('autoUpdate', (autoUpdate) => {
+		if (autoUpdate && status.state === 'available') {
+			installUpdate()
+		}
+	})
+
+	scheduleUpdateChecks()
+}
@@ -83,7 +83,7 @@ export function buildTitle(title?: string) {
 	return title ? `${title} - ${base}` : base
 }
 
-type WindowName = 'authentication_window' | 'callbox_window' | 'help_window' | 'talk_window' | 'upgrade_window' | 'welcome_window'
+type WindowName = 'authentication_window' | 'callbox_window' | 'help_window' | 'proxy_auth_window' | 'talk_window' | 'upgrade_window' | 'welcome_window'
 
 /**
  * Get the URL for a window to load
@@ -11,7 +11,7 @@ const { APP_ORIGIN } = require('../constants.js')
 const USER_AGENT = `Mozilla/5.0 (${osTitle}) Nextcloud-Talk v${packageJson.version}`
 
 /**
- * Patch requests on the default session to a specific Nextcloud server for Cookies or CORS.
+ * Patch requests on a session to a specific Nextcloud server for Cookies or CORS.
  *
  * @param {string} serverUrl - Nextcloud server URL
  * @param {object} [options] - Patching options
@@ -19,18 +19,19 @@ const USER_AGENT = `Mozilla/5.0 (${osTitle}) Nextcloud-Talk v${packageJson.versi
  * @param {boolean} [options.enableCookies] - Enable aka cross-origin cookie without setting SameSate=None.
  *                                                  Some Talk and Files API requests require cookie session.
  * @param {import('../accounts/login.service.js').Credentials} [options.credentials] - User credentials for the Authentication header
+ * @param {import('electron').Session} [targetSession] - Session to patch, the default session by default
  */
 function enableWebRequestInterceptor(serverUrl, {
 	enableCors = false,
 	enableCookies = false,
 	credentials = null,
-}) {
+}, targetSession = session.defaultSession) {
 	/**
 	 * Note: this function affects ALL requests. Performance is important here.
 	 */
 
 	// Cleanup because Electron doesn't support an interceptor update...
-	disableWebRequestInterceptor()
+	disableWebRequestInterceptor(targetSession)
 
 	/**
 	 * CookieStorage. There are not many cookies (2-3). POJO is faster, than a Map.
@@ -140,9 +141,7 @@ function enableWebRequestInterceptor(serverUrl, {
 		urls: [`${serverUrl}/*`],
 	}
 
-	// TODO: should use concrete window session instead of defaultSession ?
-
-	session.defaultSession.webRequest.onBeforeSendHeaders(
+	targetSession.webRequest.onBeforeSendHeaders(
 		filter,
 		(details, callback) => {
 			details.requestHeaders['User-Agent'] = USER_AGENT
@@ -156,7 +155,7 @@ function enableWebRequestInterceptor(serverUrl, {
 		},
 	)
 
-	session.defaultSession.webRequest.onHeadersReceived(
+	targetSession.webRequest.onHeadersReceived(
 		filter,
 		(details, callback) => {
 			if (enableCookies) {
@@ -171,11 +170,13 @@ function enableWebRequestInterceptor(serverUrl, {
 }
 
 /**
- * Disable any request patching on the default session
+ * Disable any request patching on a session
+ *
+ * @param {import('electron').Session} [targetSession] - Session to clean up, the default session by default
  */
-function disableWebRequestInterceptor() {
-	session.defaultSession.webRequest.onBeforeSendHeaders(null)
-	session.defaultSession.webRequest.onHeadersReceived(null)
+function disableWebRequestInterceptor(targetSession = session.defaultSession) {
+	targetSession.webRequest.onBeforeSendHeaders(null)
+	targetSession.webRequest.onHeadersReceived(null)
 }
 
 module.exports = {
@@ -11,9 +11,10 @@ const { getAppConfig } = require('../app/AppConfig.ts')
 const { getScaledWindowSize, applyZoom, buildTitle, getWindowUrl } = require('../app/utils.ts')
 
 /**
+ * @param {import('electron').Session} [session] - Session of the account
  * @return {import('electron').BrowserWindow}
  */
-function createAuthenticationWindow() {
+function createAuthenticationWindow(session) {
 	const zoomFactor = getAppConfig('zoomFactor')
 	const window = new BrowserWindow({
 		title: buildTitle('Authentication'),
@@ -28,6 +29,7 @@ function createAuthenticationWindow() {
 		autoHideMenuBar: true,
 		webPreferences: {
 			preload: AUTHENTICATION_WINDOW_PRELOAD_WEBPACK_ENTRY,
+			session,
 		},
 		icon: getBrowserWindowIcon(),
 		titleBarStyle: getAppConfig('systemTitleBar') ? 'default' : 'hidden',
@@ -11,6 +11,7 @@ const { applyContextMenu } = require('../app/applyContextMenu.js')
 const { getBrowserWindowIcon } = require('../shared/icons.utils.js')
 const { getScaledWindowMinSize, getScaledWindowSize, applyZoom, buildTitle } = require('../app/utils.ts')
 const { getAppConfig } = require('../app/AppConfig.ts')
+const { applyProxy } = require('../app/proxy.config.ts')
 
 const genId = () => Math.random().toString(36).slice(2, 9)
 
@@ -55,7 +56,8 @@ function openLoginWebView(parentWindow, serverUrl) {
 		})
 		window.removeMenu()
 
-		window.loadURL(`${serverUrl}/index.php/login/flow`, {
+		// The login session is new - make sure the proxy is applied before the first request
+		applyProxy(window.webContents.session).then(() => window.loadURL(`${serverUrl}/index.php/login/flow`, {
 			// This header value is used as an application name on the Login page
 			// Use BASE_TITLE instead of the USER_AGENT as User-Agent header
 			userAgent: `${os.hostname()} (Talk Desktop Client - ${osTitle})`,
@@ -63,7 +65,7 @@ function openLoginWebView(parentWindow, serverUrl) {
 				'OCS-APIRequest: true',
 				`Accept-Language: ${app.getPreferredSystemLanguages().join(',')}`,
 			].join('\n'),
-		})
+		}))
 
 		window.webContents.on('did-start-loading', () => {
 			window.setTitle(`${TITLE} [Loading...]`)
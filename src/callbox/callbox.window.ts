@@ -3,6 +3,7 @@
  * SPDX-License-Identifier: AGPL-3.0-or-later
  */
 
+import type { Session } from 'electron'
 import { BrowserWindow, screen } from 'electron'
 import { applyZoom, getScaledWindowSize, getWindowUrl } from '../app/utils.ts'
 import { getBrowserWindowIcon } from '../shared/icons.utils.js'
@@ -18,6 +19,10 @@ export type CallboxParams = {
 	type: 'one2one' | 'group' | 'public'
 	/** Conversation avatar URL */
 	avatar: string
+	/**
+	 * Do not play the ringtone, for example, muted by notification rules
+	 */
+	silent?: 'true' | 'false'
 	/**
 	 * Debug mode without auto-dismiss on joined/missed
 	 */
@@ -28,8 +33,9 @@ export type CallboxParams = {
  * Create a callbox window
  *
  * @param params - Callbox parameters
+ * @param session - Session of the account with the call
  */
-export function createCallboxWindow(params: CallboxParams) {
+export function createCallboxWindow(params: CallboxParams, session?: Session) {
 	const { width: screenWidth } = screen.getPrimaryDisplay().workAreaSize
 
 	const { width, height } = getScaledWindowSize({
@@ -59,6 +65,7 @@ export function createCallboxWindow(params: CallboxParams) {
 		webPreferences: {
 			preload: CALLBOX_WINDOW_PRELOAD_WEBPACK_ENTRY,
 			zoomFactor: getAppConfig('zoomFactor'),
+			session,
 		},
 	})
 
@@ -13,6 +13,8 @@ const MIN_REQUIRED_BUILT_IN_TALK_VERSION = '19.0.0'
 const TITLE_BAR_HEIGHT = 34 + 2 * 4 + 2 * 2 // default-clickable-area + 2 * default-grid-baseline + 2 * focus outline-width
 const ZOOM_MIN = 0.55
 const ZOOM_MAX = 5
+const DETACHED_WINDOW_NAME_PREFIX = 'talk-desktop-detached:'
+const MINI_CALL_WINDOW_NAME = 'miniCall'
 
 module.exports = {
 	APP_PROTOCOL,
@@ -25,4 +27,6 @@ module.exports = {
 	TITLE_BAR_HEIGHT,
 	ZOOM_MIN,
 	ZOOM_MAX,
+	DETACHED_WINDOW_NAME_PREFIX,
+	MINI_CALL_WINDOW_NAME,
 }
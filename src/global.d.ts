@@ -49,6 +49,16 @@ declare module '@nextcloud/vue/composables/useHotKey' {
 	): () => void
 }
 
+// Insertable streams for MediaStreamTrack are only available in Chromium
+declare class MediaStreamTrackProcessor {
+	constructor(init: { track: MediaStreamTrack })
+	readonly readable: ReadableStream<VideoFrame>
+}
+declare class MediaStreamTrackGenerator extends MediaStreamTrack {
+	constructor(init: { kind: 'video' })
+	readonly writable: WritableStream<VideoFrame>
+}
+
 // Built-time constants
 declare const IS_DESKTOP: true
 declare const __IS_DESKTOP__: true
@@ -56,6 +66,7 @@ declare const __CHANNEL__: 'stable' | 'beta' | 'dev'
 declare const __VERSION_TAG__: string
 declare const __TALK_VERSION_TAG__: string
 declare const __BUILD_CONFIG__: import('../build/BuildConfig.types.ts').BuildConfig
+declare const __UPDATE_PUBLIC_KEY__: string
 
 declare interface Window {
 	// Nextcloud Globals
@@ -70,7 +81,13 @@ declare interface Window {
 	} & any
 	// Talk Desktop IPC
 	TALK_DESKTOP: any
-	systemInfo: typeof import('./app/system.utils.ts').systemInfo
+	systemInfo: typeof import('./app/system.utils.ts').systemInfo & {
+		credentialsStorageMode: import('./app/credentials.ts').CredentialsStorageMode
+		proxy: {
+			mode: import('./app/AppConfig.ts').AppConfig['proxyMode']
+			resolved: string
+		}
+	}
 }
 
 /**
@@ -82,6 +99,7 @@ declare const AUTHENTICATION_WINDOW_PRELOAD_WEBPACK_ENTRY: string
 declare const CALLBOX_WINDOW_PRELOAD_WEBPACK_ENTRY: string
 declare const TALK_WINDOW_PRELOAD_WEBPACK_ENTRY: string
 declare const HELP_WINDOW_PRELOAD_WEBPACK_ENTRY: string
+declare const PROXY_AUTH_WINDOW_PRELOAD_WEBPACK_ENTRY: string
 declare const UPGRADE_WINDOW_PRELOAD_WEBPACK_ENTRY: string
 declare const WELCOME_WINDOW_PRELOAD_WEBPACK_ENTRY: string
 
@@ -31,6 +31,8 @@ function createHelpWindow(parentWindow) {
 		modal: true,
 		webPreferences: {
 			preload: HELP_WINDOW_PRELOAD_WEBPACK_ENTRY,
+			// Show information about the account of the parent window
+			session: parentWindow?.webContents.session,
 		},
 		titleBarStyle: 'hidden',
 		icon: getBrowserWindowIcon(),
@@ -4,7 +4,7 @@
  */
 
 import { appData } from '../../app/AppData.js'
-import { getAppConfig } from '../../shared/appConfig.service.ts'
+import { getAppConfig, getPolicy } from '../../shared/appConfig.service.ts'
 
 /**
  * Generate diagnosis report data
@@ -16,7 +16,7 @@ export function generateDiagnosisReport() {
 			builtInTalkVersion: __TALK_VERSION_TAG__,
 			execPath: window.systemInfo.execPath,
 		},
-		server: appData.credentials
+		server: appData.userMetadata
 			? {
 					channel: __CHANNEL__,
 					version: appData.version.nextcloud?.string ?? 'Not available',
@@ -63,6 +63,9 @@ ${table('Nextcloud Talk Desktop', {
 			? { 'Using Wayland': printBool(window.systemInfo.isWayland) }
 			: {}
 		),
+		'Credentials storage': window.systemInfo.credentialsStorageMode,
+		'Proxy mode': window.systemInfo.proxy.mode,
+		'Effective proxy': window.systemInfo.proxy.resolved,
 		...(report.server
 			? {
 					'**Connected to**': '-',
@@ -82,5 +85,14 @@ ${table('Nextcloud Talk Desktop', {
 \`\`\`json
 ${JSON.stringify(getAppConfig(), null, 2)}
 \`\`\`
+
+#### System policy
+
+${table('Policy', {
+		'Policy file': getPolicy().filePath,
+		'Enforced server': getPolicy().domain ?? 'none',
+		'Locked settings': getPolicy().lockedKeys.join(', ') || 'none',
+	})
+}
 `
 }
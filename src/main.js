@@ -8,7 +8,7 @@ const fs = require('node:fs')
 const { spawn } = require('node:child_process')
 const { app, dialog, ipcMain, desktopCapturer, systemPreferences, shell, BrowserWindow } = require('electron')
 const { setupMenu } = require('./app/app.menu.js')
-const { setupReleaseNotificationScheduler } = require('./app/githubReleaseNotification.service.js')
+const { initUpdater, getUpdateStatus, checkForUpdates, installUpdate, restartToUpdate, showReleaseNotes } = require('./app/updater.ts')
 const { enableWebRequestInterceptor, disableWebRequestInterceptor } = require('./app/webRequestInterceptor.js')
 const { createAuthenticationWindow } = require('./authentication/authentication.window.js')
 const { openLoginWebView } = require('./authentication/login.window.js')
@@ -16,16 +16,30 @@ const { createHelpWindow } = require('./help/help.window.js')
 const { createUpgradeWindow } = require('./upgrade/upgrade.window.ts')
 const { systemInfo, isLinux, isMac, isWindows } = require('./app/system.utils.ts')
 const { createTalkWindow } = require('./talk/talk.window.js')
+const { updateTrayState } = require('./app/app.tray.js')
 const { createWelcomeWindow } = require('./welcome/welcome.window.js')
 const { installVueDevtools } = require('./install-vue-devtools.js')
-const { loadAppConfig, getAppConfig, setAppConfig } = require('./app/AppConfig.ts')
-const { appData } = require('./app/AppData.js')
-const { triggerDownloadUrl } = require('./app/downloads.ts')
+const { loadAppConfig, getAppConfig, setAppConfig, getLockedAppConfigKeys, isAppConfigLocked } = require('./app/AppConfig.ts')
+const { loadPolicy, getPolicy, getPolicyFilePath } = require('./app/policy.ts')
+const { loadAccounts, getAccounts, getAccount, getActiveAccount, setActiveAccount, addAccount, updateAccount, removeAccount, getAccountSession, getAccountBySession } = require('./app/accounts.ts')
+const { loadCredentials, getCredentials, setCredentials, removeCredentials, getCredentialsStorageMode } = require('./app/credentials.ts')
+const { triggerDownloadUrl, loadDownloads, subscribeDownloads, controlDownload, clearDownloads, selectDownloadDirectory } = require('./app/downloads.ts')
+const { setUnreadBadge } = require('./app/unreadBadge.ts')
+const { showNativeNotification, closeNativeNotification } = require('./app/nativeNotifications.ts')
 const { applyTheme } = require('./app/theme.config.ts')
 const { initLaunchAtStartupListener } = require('./app/launchAtStartup.config.ts')
 const { createCallboxWindow } = require('./callbox/callbox.window.ts')
+const { initGlobalShortcuts, checkGlobalShortcut, getGlobalShortcutsStatus } = require('./app/globalShortcuts.ts')
 const { openChromeWebRtcInternals } = require('./app/dev.utils.ts')
 const { registerAppProtocolHandler } = require('./app/appProtocol.ts')
+const { startFileDrag, cleanUpFileDrag } = require('./app/fileDrag.ts')
+const { parseDeepLink, findDeepLinkInArgv, registerDeepLinkProtocolClient, dispatchDeepLink, consumePendingDeepLink, readDeepLinkSharedFile } = require('./app/deepLinks.ts')
+const { initProxy, getProxyCredentials } = require('./app/proxy.config.ts')
+const { initSpellCheck, setSpellCheckConversation, getAvailableSpellCheckLanguages } = require('./app/spellCheck.config.ts')
+const { importSettings, importSettingsFile, exportSettings, findImportConfigInArgv } = require('./app/settingsBackup.ts')
+const { showScreenShareRegionFrame, hideScreenShareRegionFrame } = require('./app/screenShareRegionFrame.ts')
+const { getScreenShareAudioApps, startScreenShareAudio, stopScreenShareAudio, cleanUpScreenShareAudio } = require('./app/screenShareAudio.ts')
+const { CLI_USAGE, parseCliArgs, createCliResponseFilePath, writeCliResponse, waitForCliResponse, printCliResult, executeCliCommandInRenderer, consumePendingCliCommands, resolveCliCommand } = require('./app/cli.ts')
 const { BUILD_CONFIG } = require('./shared/build.config.ts')
 
 /**
@@ -34,6 +48,25 @@ const { BUILD_CONFIG } = require('./shared/build.config.ts')
 const ARGUMENTS = {
 	// Open Talk window in the background, minimized to the system tray
 	openInBackground: process.argv.includes('--background'),
+	// Open with an nctalk:// deep link on Windows and Linux
+	deepLink: findDeepLinkInArgv(process.argv),
+	// Import settings from a file on start for provisioning: --import-config <file>
+	importConfig: findImportConfigInArgv(process.argv),
+	// Command for the running app, for example, --open <token> or --quit
+	cliCommand: (() => {
+		try {
+			return parseCliArgs(process.argv)
+		} catch (error) {
+			console.error(error.message)
+			console.error(CLI_USAGE)
+			process.exit(1)
+		}
+	})(),
+}
+
+if (ARGUMENTS.cliCommand?.command === 'version') {
+	console.log(app.getVersion())
+	process.exit(0)
 }
 
 /**
@@ -64,36 +97,102 @@ if (require('electron-squirrel-startup')) {
 }
 
 /**
- * Only one instance is allowed at the same time
+ * Only one instance is allowed at the same time.
+ * A command from the command line is executed by the running instance, which writes the result to a file for this instance to print.
  */
-if (!app.requestSingleInstanceLock()) {
-	app.quit()
+const cliResponseFile = ARGUMENTS.cliCommand ? createCliResponseFilePath() : null
+const isPrimaryInstance = app.requestSingleInstanceLock({ cliResponseFile })
+if (!isPrimaryInstance) {
+	if (cliResponseFile) {
+		waitForCliResponse(cliResponseFile).then((result) => app.exit(printCliResult(result)))
+	} else {
+		app.quit()
+	}
+} else if (ARGUMENTS.cliCommand && ['quit', 'logout', 'diagnose'].includes(ARGUMENTS.cliCommand.command)) {
+	console.error(`${app.getName()} is not running`)
+	process.exit(1)
 }
 
 /**
- * Schedule check for a new version available to download from GitHub
+ * Handle nctalk:// deep links from the OS
  */
-if (process.env.NODE_ENV === 'production' && !BUILD_CONFIG.isBranded) {
-	setupReleaseNotificationScheduler(24 * 60)
+registerDeepLinkProtocolClient()
+
+/**
+ * Open a deep link in the Talk window of the active account.
+ * Until the app is ready, deep links are kept pending.
+ *
+ * @type {(deepLink: import('./app/deepLinks.ts').DeepLink) => void}
+ */
+let openDeepLink = (deepLink) => dispatchDeepLink(deepLink, undefined)
+
+// macOS passes deep links via the open-url event, also on the app launch
+app.on('open-url', (event, url) => {
+	event.preventDefault()
+	const deepLink = parseDeepLink(url)
+	if (deepLink) {
+		openDeepLink(deepLink)
+	}
+})
+
+if (ARGUMENTS.deepLink) {
+	openDeepLink(ARGUMENTS.deepLink)
 }
 
 ipcMain.on('app:quit', () => app.quit())
-ipcMain.handle('app:getSystemInfo', () => systemInfo)
+ipcMain.handle('app:getSystemInfo', async (event) => ({
+	...systemInfo,
+	credentialsStorageMode: getCredentialsStorageMode(),
+	proxy: {
+		mode: getAppConfig('proxyMode'),
+		// Proxy to the account's server, or any server before login
+		resolved: await event.sender.session.resolveProxy(getAccountBySession(event.sender.session)?.serverUrl ?? 'https://nextcloud.com'),
+	},
+}))
 ipcMain.handle('app:getTitle', (event) => BrowserWindow.fromWebContents(event.sender).title || app.getName())
 ipcMain.handle('app:getSystemL10n', () => ({
 	locale: app.getLocale().replace('-', '_') ?? 'en',
 	// Note: Linux may have C (POSIX) locale, which results in an empty preferred languages list
 	language: app.getPreferredSystemLanguages()[0]?.replace('-', '_') ?? 'en-US',
 }))
-ipcMain.handle('app:enableWebRequestInterceptor', (event, ...args) => enableWebRequestInterceptor(...args))
-ipcMain.handle('app:disableWebRequestInterceptor', (event, ...args) => disableWebRequestInterceptor(...args))
-ipcMain.handle('app:setBadgeCount', async (event, count) => app.setBadgeCount(count))
+ipcMain.handle('app:enableWebRequestInterceptor', (event, serverUrl, options) => enableWebRequestInterceptor(serverUrl, options, event.sender.session))
+ipcMain.handle('app:disableWebRequestInterceptor', (event) => disableWebRequestInterceptor(event.sender.session))
+ipcMain.handle('credentials:apply', (event, serverUrl) => {
+	const account = getAccountBySession(event.sender.session)
+	const credentials = account && getCredentials(account.id)
+	if (!credentials) {
+		return false
+	}
+	// Credentials are only sent to the server of the account, not to any server requested by the renderer
+	const accountServerUrl = account.serverUrl ?? credentials.server
+	if (serverUrl !== accountServerUrl) {
+		return false
+	}
+	enableWebRequestInterceptor(accountServerUrl, { enableCors: true, enableCookies: true, credentials }, event.sender.session)
+	return true
+})
+ipcMain.handle('credentials:migrate', (event, credentials) => {
+	const account = getAccountBySession(event.sender.session)
+	if (account) {
+		setCredentials(account.id, credentials)
+	}
+})
+ipcMain.on('notifications:show', (event, params) => showNativeNotification(event.sender, params))
+ipcMain.on('notifications:close', (event, id) => closeNativeNotification(event.sender, id))
+ipcMain.handle('deepLinks:readSharedFile', (event, file) => readDeepLinkSharedFile(file))
+ipcMain.on('spellCheck:setConversation', (event, token) => setSpellCheckConversation(event.sender.session, token))
+ipcMain.handle('spellCheck:getAvailableLanguages', (event) => getAvailableSpellCheckLanguages(event.sender.session))
+ipcMain.handle('spellCheck:listDictionaryWords', (event) => event.sender.session.listWordsInSpellCheckerDictionary())
+ipcMain.handle('spellCheck:removeDictionaryWord', (event, word) => event.sender.session.removeWordFromSpellCheckerDictionary(word))
+ipcMain.on('cli:result', (event, id, result) => resolveCliCommand(id, result))
+ipcMain.handle('app:setBadgeCount', async (event, count, overlayDataUrl) => setUnreadBadge(BrowserWindow.fromWebContents(event.sender), count, overlayDataUrl ?? null))
 ipcMain.on('app:relaunch', () => {
 	app.relaunch()
 	app.exit(0)
 })
 ipcMain.handle('app:config:get', (event, key) => getAppConfig(key))
 ipcMain.handle('app:config:set', (event, key, value) => setAppConfig(key, value))
+ipcMain.handle('policy:get', () => ({ filePath: getPolicyFilePath(), domain: getPolicy().domain, lockedKeys: getLockedAppConfigKeys() }))
 ipcMain.on('app:toggleDevTools', (event) => event.sender.toggleDevTools())
 ipcMain.handle('app:anything', () => { /* Put any code here to run it from UI */ })
 ipcMain.on('app:openChromeWebRtcInternals', () => openChromeWebRtcInternals())
@@ -121,10 +220,16 @@ ipcMain.handle('app:getDesktopCapturerSources', async () => {
 	return sources.map((source) => ({
 		id: source.id,
 		name: source.name,
+		displayId: source.display_id,
 		icon: source.appIcon && !source.appIcon.isEmpty() ? source.appIcon.toDataURL() : null,
 		thumbnail: source.thumbnail && !source.thumbnail.isEmpty() ? source.thumbnail.toDataURL() : null,
 	}))
 })
+ipcMain.on('screenShare:showRegionFrame', (event, displayId, region) => showScreenShareRegionFrame(displayId, region))
+ipcMain.on('screenShare:hideRegionFrame', () => hideScreenShareRegionFrame())
+ipcMain.handle('screenShare:getAudioApps', () => isLinux ? getScreenShareAudioApps() : [])
+ipcMain.handle('screenShare:startAudio', (event, appId) => isLinux ? startScreenShareAudio(appId) : null)
+ipcMain.handle('screenShare:stopAudio', () => stopScreenShareAudio())
 
 /**
  * Whether the window is being relaunched.
@@ -133,10 +238,32 @@ ipcMain.handle('app:getDesktopCapturerSources', async () => {
 let isInWindowRelaunch = false
 
 app.whenReady().then(async () => {
+	// The second instance only waits for the command result
+	if (!isPrimaryInstance) {
+		return
+	}
+
+	await loadPolicy()
 	await loadAppConfig()
+	if (ARGUMENTS.importConfig) {
+		try {
+			const { skippedKeys } = await importSettingsFile(ARGUMENTS.importConfig)
+			if (skippedKeys.length) {
+				console.warn('Some settings were not imported:', skippedKeys.join(', '))
+			}
+		} catch (error) {
+			console.error(`Failed to import settings from ${ARGUMENTS.importConfig}`, error)
+		}
+	}
+	await initProxy()
+	initSpellCheck()
+	await loadAccounts()
+	await loadCredentials()
+	await loadDownloads()
 	applyTheme()
 	initLaunchAtStartupListener()
 	registerAppProtocolHandler()
+	initUpdater()
 
 	// Open in the background if it is explicitly set, or the app was open at login on macOS
 	const openInBackground = ARGUMENTS.openInBackground || app.getLoginItemSettings().wasOpenedAtLogin
@@ -157,48 +284,223 @@ app.whenReady().then(async () => {
 		console.log()
 	}
 
-	// TODO: add windows manager
 	/**
-	 * @type {import('electron').BrowserWindow}
+	 * Main windows of the accounts by account ID.
+	 * Every account has its own main window (welcome, authentication, upgrade or Talk window) in the account's session.
+	 *
+	 * @type {Map<string, { session: import('electron').Session, mainWindow: import('electron').BrowserWindow|null, createMainWindow: Function, openInBackground: boolean }>}
 	 */
-	let mainWindow
-	let createMainWindow
+	const accountWindows = new Map()
 
 	setupMenu()
 
 	/**
-	 * Focus the main window. Restore/re-create it if needed.
+	 * Get the account main window of the IPC event sender
+	 *
+	 * @param {import('electron').IpcMainEvent|import('electron').IpcMainInvokeEvent} event - IPC event
 	 */
-	function focusMainWindow() {
-		// There is no main window at all, the app is not initialized yet - ignore
-		if (!createMainWindow) {
+	function getSenderAccountWindow(event) {
+		const account = getAccountBySession(event.sender.session)
+		return account ? accountWindows.get(account.id) : undefined
+	}
+
+	/**
+	 * Get the main window of the active account
+	 *
+	 * @return {import('electron').BrowserWindow|null|undefined}
+	 */
+	function getActiveMainWindow() {
+		return accountWindows.get(getActiveAccount().id)?.mainWindow
+	}
+
+	/**
+	 * Focus the main window of an account. Restore/re-create it if needed.
+	 *
+	 * @param {string} [accountId] - Account ID, the active account by default
+	 */
+	function focusMainWindow(accountId = getActiveAccount().id) {
+		const accountWindow = accountWindows.get(accountId)
+
+		// There is no main window at all, the account is not initialized yet - ignore
+		if (!accountWindow) {
 			return
 		}
 
-		// There is no window (possible on macOS) - create
-		if (!mainWindow || mainWindow.isDestroyed()) {
-			mainWindow = createMainWindow()
+		setActiveAccount(accountId)
+
+		// There is no window (possible on macOS or for an account in the background) - create
+		if (!accountWindow.mainWindow || accountWindow.mainWindow.isDestroyed()) {
+			const mainWindow = accountWindow.createMainWindow(accountWindow.session)
+			accountWindow.mainWindow = mainWindow
 			mainWindow.once('ready-to-show', () => mainWindow.show())
 			return
 		}
 
 		// The window is minimized - restore
-		if (mainWindow.isMinimized()) {
-			mainWindow.restore()
+		if (accountWindow.mainWindow.isMinimized()) {
+			accountWindow.mainWindow.restore()
 		}
 
 		// Show the window in case it is hidden in the system tray and focus it
-		mainWindow.show()
+		accountWindow.mainWindow.show()
+	}
+
+	/**
+	 * Start an account with the welcome window, which restores the account data
+	 *
+	 * @param {import('./app/accounts.ts').Account} account - Account
+	 * @param {object} options - Options
+	 * @param {boolean} options.showWelcome - Whether to show the welcome window
+	 * @param {boolean} options.openInBackground - Whether to open the Talk window in the background
+	 */
+	function startAccount(account, { showWelcome, openInBackground }) {
+		const session = getAccountSession(account.id)
+		registerAppProtocolHandler(session)
+
+		const mainWindow = createWelcomeWindow(session)
+		accountWindows.set(account.id, {
+			session,
+			mainWindow,
+			createMainWindow: createWelcomeWindow,
+			openInBackground,
+		})
+		if (showWelcome) {
+			mainWindow.once('ready-to-show', () => mainWindow.show())
+		}
+	}
+
+	/**
+	 * Open the authentication window for an account without data, for example, a new one
+	 *
+	 * @param {string} accountId - Account ID
+	 */
+	function startAccountAuthentication(accountId) {
+		const session = getAccountSession(accountId)
+		registerAppProtocolHandler(session)
+
+		accountWindows.set(accountId, {
+			session,
+			mainWindow: null,
+			createMainWindow: createAuthenticationWindow,
+			openInBackground: false,
+		})
+		focusMainWindow(accountId)
+	}
+
+	/**
+	 * Log out from an account logged in to Talk
+	 *
+	 * @param {string} accountId - Account ID
+	 * @return {Promise<boolean>} Whether the account was logged out
+	 */
+	async function logout(accountId) {
+		const accountWindow = accountWindows.get(accountId)
+
+		if (accountWindow?.createMainWindow !== createTalkWindow) {
+			return false
+		}
+
+		await accountWindow.session.clearStorageData()
+		disableWebRequestInterceptor(accountWindow.session)
+		removeCredentials(accountId)
+		removeAccount(accountId)
+
+		// There are other accounts - switch to another account instead of logging in again
+		if (getAccount(accountId) === undefined) {
+			accountWindows.delete(accountId)
+			accountWindow.mainWindow.destroy()
+			if (accountWindows.has(getActiveAccount().id)) {
+				focusMainWindow()
+			} else {
+				// The last account was removed and replaced with a new empty one
+				startAccountAuthentication(getActiveAccount().id)
+			}
+			return true
+		}
+
+		const authenticationWindow = createAuthenticationWindow(accountWindow.session)
+		accountWindow.createMainWindow = createAuthenticationWindow
+		authenticationWindow.once('ready-to-show', () => authenticationWindow.show())
+
+		accountWindow.mainWindow.destroy()
+		accountWindow.mainWindow = authenticationWindow
+		return true
+	}
+
+	/**
+	 * Execute a command from the command line
+	 *
+	 * @param {import('./app/cli.ts').CliCommand} cliCommand - Command
+	 * @return {Promise<import('./app/cli.ts').CliResult>}
+	 */
+	async function executeCliCommand(cliCommand) {
+		if (cliCommand.command === 'version') {
+			return { output: app.getVersion() }
+		}
+
+		// The app quits after responding
+		if (cliCommand.command === 'quit') {
+			return {}
+		}
+
+		const accountWindow = accountWindows.get(getActiveAccount().id)
+		if (accountWindow?.createMainWindow === createAuthenticationWindow) {
+			return { error: 'Not logged in' }
+		}
+
+		if (cliCommand.command === 'logout') {
+			return await logout(getActiveAccount().id) ? {} : { error: 'Not logged in' }
+		}
+
+		if (cliCommand.command === 'open' || cliCommand.command === 'call') {
+			focusMainWindow()
+		}
+
+		// Other commands are executed in the Talk window, which might be still loading
+		return executeCliCommandInRenderer(getActiveMainWindow()?.webContents, cliCommand)
 	}
 
+	openDeepLink = (deepLink) => {
+		focusMainWindow()
+		dispatchDeepLink(deepLink, getActiveMainWindow()?.webContents)
+	}
+
+	ipcMain.handle('deepLinks:consumePending', (event) => consumePendingDeepLink(event.sender, getActiveMainWindow()?.webContents))
+	ipcMain.handle('cli:consumePending', (event) => consumePendingCliCommands(event.sender, getActiveMainWindow()?.webContents))
+
 	/**
 	 * Instead of creating a new app instance - focus existence one
 	 */
-	app.on('second-instance', (event, argv, cwd) => {
+	app.on('second-instance', async (event, argv, cwd, additionalData) => {
+		// A command from the command line - execute and respond to the second instance, whichever installation it is
+		if (additionalData?.cliResponseFile) {
+			let cliCommand = null
+			let result
+			try {
+				cliCommand = parseCliArgs(argv)
+				result = cliCommand ? await executeCliCommand(cliCommand) : { error: 'No command' }
+			} catch (error) {
+				result = { error: error.message }
+			}
+			try {
+				await writeCliResponse(additionalData.cliResponseFile, result)
+			} catch (error) {
+				console.error('Failed to respond to the command line', error)
+			}
+			if (cliCommand?.command === 'quit') {
+				app.quit()
+			}
+			return
+		}
+
 		// Instead of creating a new application instance - focus the current window
 		const secondInstanceExecPath = path.isAbsolute(argv[0]) ? argv[0] : path.resolve(cwd, argv[0])
 		if (process.execPath === secondInstanceExecPath) {
 			focusMainWindow()
+			const deepLink = findDeepLinkInArgv(argv)
+			if (deepLink) {
+				openDeepLink(deepLink)
+			}
 			return
 		}
 
@@ -221,61 +523,76 @@ app.whenReady().then(async () => {
 		}
 	})
 
+	// Authenticating proxy - ask for credentials
+	app.on('login', (event, webContents, details, authInfo, callback) => {
+		if (!authInfo.isProxy) {
+			return
+		}
+
+		event.preventDefault()
+		const parentWindow = (webContents && BrowserWindow.fromWebContents(webContents)) ?? getActiveMainWindow() ?? undefined
+		getProxyCredentials(webContents?.session, authInfo, parentWindow)
+			.then((credentials) => credentials ? callback(credentials.username, credentials.password) : callback())
+	})
+
 	/** To store pending "trust certificate" dialogs on Linux */
 	const openMessageBoxes = new Map()
 	app.on('certificate-error', (event, webContents, url, error, certificate, callback) => {
 		event.preventDefault()
 
-		if (isLinux) {
-			const trustedFingerprints = getAppConfig('trustedFingerprints') ?? []
-			if (trustedFingerprints.includes(certificate.fingerprint)) {
-				callback(true)
+		const parentWindow = BrowserWindow.fromWebContents(webContents) ?? getActiveMainWindow()
+		const trustedFingerprints = getAppConfig('trustedFingerprints') ?? []
+
+		if (trustedFingerprints.includes(certificate.fingerprint)) {
+			callback(true)
+		} else if (isAppConfigLocked('trustedFingerprints')) {
+			// Only certificates trusted by the system policy are allowed
+			callback(false)
+		} else if (isLinux) {
+			let messageBox = null
+			if (openMessageBoxes.has(certificate.fingerprint)) {
+				messageBox = openMessageBoxes.get(certificate.fingerprint)
 			} else {
-				let messageBox = null
-				if (openMessageBoxes.has(certificate.fingerprint)) {
-					messageBox = openMessageBoxes.get(certificate.fingerprint)
-				} else {
-					messageBox = dialog.showMessageBox(mainWindow, {
-						type: 'warning',
-						title: 'Security Warning',
-						detail:
-							[
-								`Error: ${error}`,
-								'',
-								`Subject: ${certificate.subjectName}`,
-								'',
-								`Issuer: ${certificate.issuerName ?? 'UNKNOWN'}`,
-								`- Organisations: ${certificate.issuer.organizations.join(', ')}`,
-								`- Organisation units: ${certificate.issuer.organizationUnits.join(', ')}`,
-								`- Country: ${certificate.issuer.country}`,
-								`- State: ${certificate.issuer.state}`,
-								`- Locality: ${certificate.issuer.locality}`,
-								'',
-								`Fingerprint: ${certificate.fingerprint}`,
-								'',
-								`Valid from: ${new Date(certificate.validStart * 1_000).toLocaleDateString()}`,
-								`Valid until: ${new Date(certificate.validExpiry * 1_000).toLocaleDateString()}`,
-								'',
-								'Do you trust this certificate?',
-							].join('\n'),
-						buttons: ['Yes', 'Cancel'],
-					})
-					openMessageBoxes.set(certificate.fingerprint, messageBox)
-				}
-				messageBox.then(({ response }) => {
-					const isFirst = openMessageBoxes.delete(certificate.fingerprint)
-					if (response === 0) {
-						if (isFirst) {
-							setAppConfig('trustedFingerprints', [certificate.fingerprint, ...trustedFingerprints])
-						}
-						callback(true)
-					} else {
-						callback(false)
-					}
+				messageBox = dialog.showMessageBox(parentWindow, {
+					type: 'warning',
+					title: 'Security Warning',
+					detail:
+						[
+							`Error: ${error}`,
+							'',
+							`Subject: ${certificate.subjectName}`,
+							'',
+							`Issuer: ${certificate.issuerName ?? 'UNKNOWN'}`,
+							`- Organisations: ${certificate.issuer.organizations.join(', ')}`,
+							`- Organisation units: ${certificate.issuer.organizationUnits.join(', ')}`,
+							`- Country: ${certificate.issuer.country}`,
+							`- State: ${certificate.issuer.state}`,
+							`- Locality: ${certificate.issuer.locality}`,
+							'',
+							`Fingerprint: ${certificate.fingerprint}`,
+							'',
+							`Valid from: ${new Date(certificate.validStart * 1_000).toLocaleDateString()}`,
+							`Valid until: ${new Date(certificate.validExpiry * 1_000).toLocaleDateString()}`,
+							'',
+							'Do you trust this certificate?',
+						].join('\n'),
+					buttons: ['Yes', 'Cancel'],
 				})
+				openMessageBoxes.set(certificate.fingerprint, messageBox)
 			}
+			messageBox.then(({ response }) => {
+				const isFirst = openMessageBoxes.delete(certificate.fingerprint)
+				if (response === 0) {
+					if (isFirst) {
+						setAppConfig('trustedFingerprints', [certificate.fingerprint, ...trustedFingerprints])
+					}
+					callback(true)
+				} else {
+					callback(false)
+				}
+			})
 		} else {
-			dialog.showCertificateTrustDialog(mainWindow, {
+			dialog.showCertificateTrustDialog(parentWindow, {
 				certificate,
 				message: 'Untrusted certificate',
 			}).then(() => {
@@ -286,36 +603,66 @@ app.whenReady().then(async () => {
 		}
 	})
 
-	mainWindow = createWelcomeWindow()
-	createMainWindow = createWelcomeWindow
-	mainWindow.once('ready-to-show', () => mainWindow.show())
+	// Start all the accounts: the active one in the foreground, others - in the background to receive notifications
+	const activeAccount = getActiveAccount()
+	for (const account of getAccounts()) {
+		const isActive = account === activeAccount
+		startAccount(account, {
+			showWelcome: isActive,
+			openInBackground: !isActive || openInBackground,
+		})
+	}
 
-	ipcMain.once('appData:receive', async (event, newAppData) => {
-		appData.fromJSON(newAppData)
+	// The app was started with a command, e.g. --open <token> - execute it when the Talk window is ready
+	if (ARGUMENTS.cliCommand) {
+		executeCliCommandInRenderer(undefined, ARGUMENTS.cliCommand).then((result) => printCliResult(result))
+	}
 
-		const welcomeWindow = mainWindow
+	ipcMain.on('appData:receive', async (event, newAppData) => {
+		const account = getAccountBySession(event.sender.session)
+		// Login and proxy windows share the preload but are not bound to an account
+		if (!account) {
+			return
+		}
+		const accountWindow = accountWindows.get(account.id)
+		const welcomeWindow = accountWindow.mainWindow
+		const storedCredentials = getCredentials(account.id)
+		// Stored credentials are only valid for the server of the account
+		const credentials = newAppData.serverUrl && newAppData.serverUrl === (account.serverUrl ?? storedCredentials?.server) ? storedCredentials : null
 
-		if (appData.credentials) {
+		if (credentials) {
 			// User is authenticated - setup and start main window
-			enableWebRequestInterceptor(appData.serverUrl, {
+			updateAccount(account.id, {
+				serverUrl: newAppData.serverUrl,
+				userId: newAppData.userMetadata?.id ?? null,
+				displayName: newAppData.userMetadata?.displayname ?? newAppData.userMetadata?.['display-name'] ?? null,
+			})
+			enableWebRequestInterceptor(newAppData.serverUrl, {
 				enableCors: true,
 				enableCookies: true,
-				credentials: appData.credentials,
-			})
-			mainWindow = createTalkWindow()
-			createMainWindow = createTalkWindow
+				credentials,
+			}, accountWindow.session)
+			accountWindow.mainWindow = createTalkWindow(accountWindow.session)
+			accountWindow.createMainWindow = createTalkWindow
 		} else {
 			// User is unauthenticated - start login window
+			removeCredentials(account.id)
 			await welcomeWindow.webContents.session.clearStorageData()
-			mainWindow = createAuthenticationWindow()
-			createMainWindow = createAuthenticationWindow
+			accountWindow.createMainWindow = createAuthenticationWindow
+			if (accountWindow.openInBackground) {
+				// No need to log in to an account in the background until the user switches to it
+				accountWindow.mainWindow = null
+				welcomeWindow.close()
+				return
+			}
+			accountWindow.mainWindow = createAuthenticationWindow(accountWindow.session)
 		}
 
-		mainWindow.once('ready-to-show', () => {
+		accountWindow.mainWindow.once('ready-to-show', () => {
 			// Do not show the main window if it is the Talk Window opened in the background
-			const isTalkWindow = createMainWindow === createTalkWindow
-			if (!isTalkWindow || !openInBackground) {
-				mainWindow.show()
+			const isTalkWindow = accountWindow.createMainWindow === createTalkWindow
+			if (!isTalkWindow || !accountWindow.openInBackground) {
+				accountWindow.mainWindow.show()
 			}
 			welcomeWindow.close()
 		})
@@ -336,74 +683,180 @@ app.whenReady().then(async () => {
 			}
 		} else {
 			// TODO: check if flashFrame also works on Mac since Electron 31
-			mainWindow.flashFrame(shouldFlash)
+			getSenderAccountWindow(event)?.mainWindow?.flashFrame(shouldFlash)
 		}
 	})
 
-	ipcMain.handle('talk:focus', async () => focusMainWindow())
+	ipcMain.on('tray:update', (event, state) => updateTrayState(BrowserWindow.fromWebContents(event.sender), state))
 
-	ipcMain.handle('authentication:openLoginWebView', async (event, serverUrl) => openLoginWebView(mainWindow, serverUrl))
+	ipcMain.handle('talk:focus', async (event) => focusMainWindow(getAccountBySession(event.sender.session)?.id))
 
-	ipcMain.handle('authentication:login', async () => {
-		mainWindow.close()
-		mainWindow = createTalkWindow()
-		createMainWindow = createTalkWindow
-		mainWindow.once('ready-to-show', () => mainWindow.show())
+	ipcMain.handle('accounts:getAll', async (event) => ({
+		accounts: getAccounts(),
+		currentAccountId: getAccountBySession(event.sender.session)?.id,
+	}))
+
+	ipcMain.handle('accounts:switch', async (event, accountId) => focusMainWindow(accountId))
+
+	ipcMain.handle('accounts:add', async () => startAccountAuthentication(addAccount().id))
+
+	/**
+	 * Logins to a server with credentials received from the login web view by account ID, until the login is finished.
+	 * Credentials never leave the main process.
+	 *
+	 * @type {Map<string, { serverUrl: string, credentials: import('./app/credentials.ts').Credentials }>}
+	 */
+	const pendingLogins = new Map()
+
+	ipcMain.handle('authentication:openLoginWebView', async (event, serverUrl) => {
+		const account = getAccountBySession(event.sender.session)
+		if (!account) {
+			return new Error('No account for the window')
+		}
+		const credentials = await openLoginWebView(getSenderAccountWindow(event).mainWindow, serverUrl)
+		if (credentials instanceof Error) {
+			return credentials
+		}
+		pendingLogins.set(account.id, { serverUrl, credentials })
+		enableWebRequestInterceptor(serverUrl, { enableCors: true, enableCookies: true, credentials }, event.sender.session)
 	})
 
-	ipcMain.handle('authentication:logout', async () => {
-		if (createMainWindow === createTalkWindow) {
-			await mainWindow.webContents.session.clearStorageData()
-			const authenticationWindow = createAuthenticationWindow()
-			createMainWindow = createAuthenticationWindow
-			authenticationWindow.once('ready-to-show', () => authenticationWindow.show())
+	ipcMain.handle('authentication:login', async (event, accountInfo) => {
+		const account = getAccountBySession(event.sender.session)
+		if (!account) {
+			return new Error('No account for the window')
+		}
+		const pendingLogin = pendingLogins.get(account.id)
+		if (!pendingLogin) {
+			return new Error('No credentials received from the login')
+		}
+		if (accountInfo?.serverUrl !== pendingLogin.serverUrl) {
+			return new Error('The server does not match the login')
+		}
+		const accountWindow = accountWindows.get(account.id)
+		// Only take the account info, the renderer cannot change the account itself
+		updateAccount(account.id, {
+			serverUrl: pendingLogin.serverUrl,
+			userId: accountInfo.userId ?? null,
+			displayName: accountInfo.displayName ?? null,
+		})
+		setCredentials(account.id, pendingLogin.credentials)
+		pendingLogins.delete(account.id)
 
-			mainWindow.destroy()
-			mainWindow = authenticationWindow
+		accountWindow.mainWindow.close()
+		const mainWindow = createTalkWindow(accountWindow.session)
+		accountWindow.mainWindow = mainWindow
+		accountWindow.createMainWindow = createTalkWindow
+		mainWindow.once('ready-to-show', () => mainWindow.show())
+	})
+
+	ipcMain.handle('authentication:logout', (event) => {
+		const account = getAccountBySession(event.sender.session)
+		if (account) {
+			return logout(account.id)
 		}
 	})
 
+	let lastCallboxWindow
 	ipcMain.on('callbox:show', (event, callboxParams) => {
-		createCallboxWindow(callboxParams)
+		lastCallboxWindow = createCallboxWindow(callboxParams, event.sender.session)
 	})
 
-	ipcMain.handle('help:show', () => {
-		createHelpWindow(mainWindow)
+	/**
+	 * Send a global shortcut action to the Talk windows of all accounts
+	 *
+	 * @param {string} action - Shortcut action
+	 */
+	function sendGlobalShortcutToTalkWindows(action) {
+		for (const { mainWindow } of accountWindows.values()) {
+			if (mainWindow && !mainWindow.isDestroyed()) {
+				mainWindow.webContents.send('shortcuts:trigger', action)
+			}
+		}
+	}
+
+	initGlobalShortcuts({
+		toggleAudio: () => sendGlobalShortcutToTalkWindows('toggleAudio'),
+		toggleVideo: () => sendGlobalShortcutToTalkWindows('toggleVideo'),
+		raiseHand: () => sendGlobalShortcutToTalkWindows('raiseHand'),
+		pushToTalk: () => sendGlobalShortcutToTalkWindows('pushToTalk'),
+		toggleMainWindow: () => {
+			const mainWindow = getActiveMainWindow()
+			if (mainWindow && !mainWindow.isDestroyed() && mainWindow.isVisible() && mainWindow.isFocused()) {
+				mainWindow.hide()
+			} else {
+				focusMainWindow()
+			}
+		},
+		acceptCall: () => {
+			if (lastCallboxWindow && !lastCallboxWindow.isDestroyed()) {
+				lastCallboxWindow.webContents.send('shortcuts:trigger', 'acceptCall')
+			}
+		},
+	})
+
+	ipcMain.handle('shortcuts:check', (event, action, accelerator, options) => checkGlobalShortcut(action, accelerator, options))
+	ipcMain.handle('shortcuts:getStatus', () => getGlobalShortcutsStatus())
+
+	ipcMain.handle('help:show', (event) => {
+		createHelpWindow(getSenderAccountWindow(event)?.mainWindow ?? getActiveMainWindow())
 	})
 
-	ipcMain.handle('upgrade:show', () => {
-		const upgradeWindow = createUpgradeWindow()
-		createMainWindow = createUpgradeWindow
+	ipcMain.handle('upgrade:show', (event) => {
+		const accountWindow = getSenderAccountWindow(event)
+		// Login and proxy windows share the preload but are not bound to an account
+		if (!accountWindow) {
+			return
+		}
+		const upgradeWindow = createUpgradeWindow(accountWindow.session)
+		accountWindow.createMainWindow = createUpgradeWindow
 
-		mainWindow.destroy()
-		mainWindow = upgradeWindow
+		accountWindow.mainWindow.destroy()
+		accountWindow.mainWindow = upgradeWindow
 	})
 
-	ipcMain.on('app:relaunchWindow', () => {
+	ipcMain.on('app:relaunchWindow', (event) => {
+		const accountWindow = getSenderAccountWindow(event)
+		if (!accountWindow) {
+			return
+		}
 		isInWindowRelaunch = true
-		mainWindow.destroy()
-		mainWindow = createMainWindow()
+		accountWindow.mainWindow.destroy()
+		const mainWindow = accountWindow.createMainWindow(accountWindow.session)
+		accountWindow.mainWindow = mainWindow
 		mainWindow.once('ready-to-show', () => mainWindow.show())
 		isInWindowRelaunch = false
 	})
 
-	ipcMain.on('app:downloadURL', (event, url, filename) => triggerDownloadUrl(mainWindow, url, filename))
+	ipcMain.on('app:downloadURL', (event, url, filename) => triggerDownloadUrl(BrowserWindow.fromWebContents(event.sender), url, filename))
+	ipcMain.handle('downloads:subscribe', (event) => subscribeDownloads(event.sender))
+	ipcMain.handle('downloads:control', (event, id, action) => controlDownload(event.sender, id, action))
+	ipcMain.handle('downloads:clear', (event) => clearDownloads(event.sender))
+	ipcMain.handle('downloads:selectDirectory', (event) => selectDownloadDirectory(BrowserWindow.fromWebContents(event.sender)))
+	ipcMain.on('fileDrag:start', (event, url, fileName, etag) => startFileDrag(event.sender, url, fileName, etag))
+	ipcMain.handle('settings:export', (event, localState) => exportSettings(BrowserWindow.fromWebContents(event.sender), localState))
+	ipcMain.handle('settings:import', (event) => importSettings(BrowserWindow.fromWebContents(event.sender)))
+	ipcMain.handle('updater:getStatus', () => getUpdateStatus())
+	ipcMain.handle('updater:check', () => checkForUpdates())
+	ipcMain.handle('updater:install', () => installUpdate())
+	ipcMain.on('updater:restart', () => restartToUpdate())
+	ipcMain.on('updater:showReleaseNotes', () => showReleaseNotes())
 
 	// Click on the dock icon on macOS
 	app.on('activate', () => {
-		if (mainWindow && !mainWindow.isDestroyed()) {
-			// Show the main window if it exists but hidden (not closed), e.g., minimized to the system tray
-			mainWindow.show()
-		} else {
-			// On macOS, it is common to re-create a window in the app when the
-			// dock icon is clicked and there are no other windows open.
-			// See window-all-closed event handler.
-			mainWindow = createMainWindow()
-			mainWindow.once('ready-to-show', () => mainWindow.show())
-		}
+		// Show the main window if it exists but hidden (not closed), e.g., minimized to the system tray
+		// On macOS, it is common to re-create a window in the app when the
+		// dock icon is clicked and there are no other windows open.
+		// See window-all-closed event handler.
+		focusMainWindow()
 	})
 })
 
+app.on('will-quit', () => {
+	cleanUpFileDrag()
+	cleanUpScreenShareAudio()
+})
+
 app.on('window-all-closed', () => {
 	// Recreating a window - keep app running
 	if (isInWindowRelaunch) {
@@ -64,22 +64,65 @@ const TALK_DESKTOP = {
 	/**
 	 * Set or remove notifications badge
 	 *
-	 * @param {number} [count] - Count of notification or 0 to disable
+	 * @param {number} count - Count of unread messages or 0 to disable
+	 * @param {string|null} [overlayDataUrl] - Numbered badge icon for the taskbar overlay on Windows
 	 * @return {Promise<void>}
 	 */
-	setBadgeCount: (count) => ipcRenderer.invoke('app:setBadgeCount', count),
+	setBadgeCount: (count, overlayDataUrl) => ipcRenderer.invoke('app:setBadgeCount', count, overlayDataUrl),
 	/**
 	 * Start or stop flashing (on Windows) or bouncing (on Mac) of app icon
 	 *
 	 * @param {boolean} shouldFlash - True to enable, false to disable
 	 */
 	flashAppIcon: (shouldFlash) => ipcRenderer.send('talk:flashAppIcon', shouldFlash),
+	/**
+	 * Update the tray menu state of the window
+	 *
+	 * @param {import('./app/app.tray.js').TrayState} state - Tray state
+	 */
+	updateTray: (state) => ipcRenderer.send('tray:update', state),
+	/**
+	 * Listen for actions from the tray menu
+	 *
+	 * @param {(event: import('electron').IpcRendererEvent, action: { type: string } & Record<string, unknown>) => void} callback - Callback
+	 */
+	onTrayAction: (callback) => ipcRenderer.on('tray:action', callback),
 	/**
 	 * Get available desktop capture sources: screens and windows
 	 *
 	 * @return {Promise<{ id: string, name: string, icon?: string }[]|null>}
 	 */
 	getDesktopCapturerSources: () => ipcRenderer.invoke('app:getDesktopCapturerSources'),
+	/**
+	 * Show a frame around the shared region of a screen
+	 *
+	 * @param {string} displayId - Display ID of the shared screen
+	 * @param {import('./app/screenShareRegionFrame.ts').ScreenShareRegion} region - Shared region
+	 */
+	showScreenShareRegionFrame: (displayId, region) => ipcRenderer.send('screenShare:showRegionFrame', displayId, region),
+	/**
+	 * Hide the frame around the shared region
+	 */
+	hideScreenShareRegionFrame: () => ipcRenderer.send('screenShare:hideRegionFrame'),
+	/**
+	 * Get applications currently playing audio, which audio can be shared (Linux only)
+	 *
+	 * @return {Promise<import('./app/screenShareAudio.ts').ScreenShareAudioApp[]>}
+	 */
+	getScreenShareAudioApps: () => ipcRenderer.invoke('screenShare:getAudioApps'),
+	/**
+	 * Route the audio of an application to a virtual output device to capture its monitor (Linux only)
+	 *
+	 * @param {string} appId - Application ID
+	 * @return {Promise<string|null>} Description of the virtual output device or null if the application is not playing audio
+	 */
+	startScreenShareAudio: (appId) => ipcRenderer.invoke('screenShare:startAudio', appId),
+	/**
+	 * Stop sharing the audio of an application
+	 *
+	 * @return {Promise<void>}
+	 */
+	stopScreenShareAudio: () => ipcRenderer.invoke('screenShare:stopAudio'),
 	/**
 	 * Relaunch an entire application
 	 */
@@ -109,6 +152,25 @@ const TALK_DESKTOP = {
 	 * @param {(event: import('electron').IpcRedererEvent, payload: { key: string, value: unknown, appConfig: import('./app/AppConfig.ts').AppConfig}) => void} callback - Callback
 	 */
 	onAppConfigChange: (callback) => ipcRenderer.on('app:config:change', callback),
+	/**
+	 * Get the system policy set by administrators
+	 *
+	 * @return {Promise<{ filePath: string, domain: string | null, lockedKeys: import('./app/AppConfig.ts').AppConfigKey[] }>}
+	 */
+	getPolicy: () => ipcRenderer.invoke('policy:get'),
+	/**
+	 * Export the application settings with the local state to a file chosen by the user
+	 *
+	 * @param {import('./app/settingsBackup.ts').SettingsLocalState} localState - Local state of the Talk window
+	 * @return {Promise<string|null>} - Path to the exported file or null if canceled
+	 */
+	exportSettings: (localState) => ipcRenderer.invoke('settings:export', localState),
+	/**
+	 * Import the application settings from a file chosen by the user
+	 *
+	 * @return {Promise<import('./app/settingsBackup.ts').SettingsImportResult|null>} - Import result or null if canceled
+	 */
+	importSettings: () => ipcRenderer.invoke('settings:import'),
 	/**
 	 * Trigger download of a URL
 	 *
@@ -116,6 +178,52 @@ const TALK_DESKTOP = {
 	 * @param {string} [filename] - Filename suggestion for the download
 	 */
 	downloadURL: (url, filename) => ipcRenderer.send('app:downloadURL', url, filename),
+	/**
+	 * Get the downloads history of the account and listen for its updates
+	 *
+	 * @return {Promise<import('./app/downloads.ts').Download[]>}
+	 */
+	subscribeDownloads: () => ipcRenderer.invoke('downloads:subscribe'),
+	/**
+	 * Listen for updates of the downloads history
+	 *
+	 * @param {(event: import('electron').IpcRendererEvent, downloads: import('./app/downloads.ts').Download[]) => void} callback - Callback
+	 */
+	onDownloadsUpdate: (callback) => ipcRenderer.on('downloads:update', callback),
+	/**
+	 * Listen for changes of a single download in the history, e.g. its progress
+	 *
+	 * @param {(event: import('electron').IpcRendererEvent, download: import('./app/downloads.ts').Download) => void} callback - Callback
+	 */
+	onDownloadChange: (callback) => ipcRenderer.on('downloads:change', callback),
+	/**
+	 * Pause, resume, cancel, retry, open, show in folder or remove a download
+	 *
+	 * @param {string} id - Download ID
+	 * @param {import('./app/downloads.ts').DownloadAction} action - Action
+	 * @return {Promise<boolean>} - Whether the action succeeded
+	 */
+	controlDownload: (id, action) => ipcRenderer.invoke('downloads:control', id, action),
+	/**
+	 * Remove all finished downloads from the history
+	 *
+	 * @return {Promise<void>}
+	 */
+	clearDownloads: () => ipcRenderer.invoke('downloads:clear'),
+	/**
+	 * Ask the user to choose the default download directory
+	 *
+	 * @return {Promise<string|null>} - Chosen directory or null if canceled
+	 */
+	selectDownloadDirectory: () => ipcRenderer.invoke('downloads:selectDirectory'),
+	/**
+	 * Start native dragging of a file out of the window
+	 *
+	 * @param {string} url - File URL on the account's server
+	 * @param {string} fileName - File name
+	 * @param {string} etag - ETag of the file on the server
+	 */
+	startFileDrag: (url, fileName, etag) => ipcRenderer.send('fileDrag:start', url, fileName, etag),
 	/**
 	 * Open developer tools
 	 */
@@ -137,36 +245,175 @@ const TALK_DESKTOP = {
 	 */
 	sendAppData: (appDataDto) => ipcRenderer.send('appData:receive', appDataDto),
 	/**
-	 * Open a web-view modal window with Nextcloud Server login page
+	 * Enable web request intercepting with the stored credentials of the current account
+	 *
+	 * @param {string} serverUrl - Server URL
+	 * @return {Promise<boolean>} - Whether there are stored credentials
+	 */
+	applyCredentials: (serverUrl) => ipcRenderer.invoke('credentials:apply', serverUrl),
+	/**
+	 * Move credentials stored in plaintext by a previous version to the secure storage
+	 *
+	 * @param {import('./app/credentials.ts').Credentials} credentials - Credentials
+	 * @return {Promise<void>}
+	 */
+	migrateCredentials: (credentials) => ipcRenderer.invoke('credentials:migrate', credentials),
+	/**
+	 * Open a web-view modal window with Nextcloud Server login page.
+	 * On success, the credentials are kept in the main process and applied to the requests.
 	 *
 	 * @param {string} server - Server URL
-	 * @return {Promise<import('./accounts/login.service.js').Credentials|Error>}
+	 * @return {Promise<void|Error>}
 	 */
 	openLoginWebView: (server) => ipcRenderer.invoke('authentication:openLoginWebView', server),
 	/**
 	 * Open main window after logging in
 	 *
-	 * @return {Promise<void>}
+	 * @param {import('./app/accounts.ts').AccountInfo} accountInfo - Information about the logged in account
+	 * @return {Promise<void|Error>}
 	 */
-	login: () => ipcRenderer.invoke('authentication:login'),
+	login: (accountInfo) => ipcRenderer.invoke('authentication:login', accountInfo),
 	/**
 	 * Logout and open accounts window
 	 *
 	 * @return {Promise<void>}
 	 */
 	logout: () => ipcRenderer.invoke('authentication:logout'),
+	/**
+	 * Get all accounts and the ID of the current window's account
+	 *
+	 * @return {Promise<{ accounts: import('./app/accounts.ts').Account[], currentAccountId: string }>}
+	 */
+	getAccounts: () => ipcRenderer.invoke('accounts:getAll'),
+	/**
+	 * Switch to another account's window
+	 *
+	 * @param {string} accountId - Account ID
+	 * @return {Promise<void>}
+	 */
+	switchAccount: (accountId) => ipcRenderer.invoke('accounts:switch', accountId),
+	/**
+	 * Add a new account and open its authentication window
+	 *
+	 * @return {Promise<void>}
+	 */
+	addAccount: () => ipcRenderer.invoke('accounts:add'),
 	/**
 	 * Focus and restore the talk window
 	 *
 	 * @return {Promise<void>}
 	 */
 	focusTalk: () => ipcRenderer.invoke('talk:focus'),
+	/**
+	 * Show a native notification with actions
+	 *
+	 * @param {import('./app/nativeNotifications.ts').NativeNotificationParams} params - Notification params
+	 */
+	showNotification: (params) => ipcRenderer.send('notifications:show', params),
+	/**
+	 * Close a shown native notification
+	 *
+	 * @param {number} id - Notification ID
+	 */
+	closeNotification: (id) => ipcRenderer.send('notifications:close', id),
+	/**
+	 * Listen for user interactions with native notifications
+	 *
+	 * @param {(event: import('electron').IpcRendererEvent, notificationEvent: import('./app/nativeNotifications.ts').NativeNotificationEvent) => void} callback - Callback
+	 */
+	onNotificationEvent: (callback) => ipcRenderer.on('notifications:event', callback),
 	/**
 	 * Show the callbox window
 	 *
 	 * @param {object} params - Callbox parameters
 	 */
 	showCallbox: (params) => ipcRenderer.send('callbox:show', params),
+	/**
+	 * Check whether a global shortcut can be used for an action
+	 *
+	 * @type {typeof import('./app/globalShortcuts.ts').checkGlobalShortcut}
+	 */
+	checkGlobalShortcut: (...args) => ipcRenderer.invoke('shortcuts:check', ...args),
+	/**
+	 * Get the status of all configured global shortcuts
+	 *
+	 * @return {Promise<ReturnType<typeof import('./app/globalShortcuts.ts').getGlobalShortcutsStatus>>}
+	 */
+	getGlobalShortcutsStatus: () => ipcRenderer.invoke('shortcuts:getStatus'),
+	/**
+	 * Listen for triggered global shortcuts
+	 *
+	 * @param {(event: import('electron').IpcRendererEvent, action: import('./app/globalShortcuts.ts').GlobalShortcutAction) => void} callback - Callback
+	 */
+	onGlobalShortcut: (callback) => ipcRenderer.on('shortcuts:trigger', callback),
+	/**
+	 * Listen for external nctalk:// deep links
+	 *
+	 * @param {(event: import('electron').IpcRendererEvent, deepLink: import('./app/deepLinks.ts').DeepLink) => void} callback - Callback
+	 */
+	onDeepLink: (callback) => ipcRenderer.on('deepLinks:open', callback),
+	/**
+	 * Mark the window as ready to handle deep links and get a deep link received before
+	 *
+	 * @return {Promise<import('./app/deepLinks.ts').DeepLink|null>}
+	 */
+	consumePendingDeepLink: () => ipcRenderer.invoke('deepLinks:consumePending'),
+	/**
+	 * Read a local file to share from a deep link
+	 *
+	 * @type {typeof import('./app/deepLinks.ts').readDeepLinkSharedFile}
+	 */
+	readDeepLinkSharedFile: (...args) => ipcRenderer.invoke('deepLinks:readSharedFile', ...args),
+	/**
+	 * Set the conversation opened in the Talk window to check spelling in its languages
+	 *
+	 * @param {string|null} token - Conversation token or null if no conversation is open
+	 */
+	setSpellCheckConversation: (token) => ipcRenderer.send('spellCheck:setConversation', token),
+	/**
+	 * Get spell checker languages available to select, empty if languages cannot be selected (on macOS)
+	 *
+	 * @return {Promise<string[]>}
+	 */
+	getAvailableSpellCheckLanguages: () => ipcRenderer.invoke('spellCheck:getAvailableLanguages'),
+	/**
+	 * Get words added to the custom spell checker dictionary of the account
+	 *
+	 * @return {Promise<string[]>}
+	 */
+	listSpellCheckDictionaryWords: () => ipcRenderer.invoke('spellCheck:listDictionaryWords'),
+	/**
+	 * Remove a word from the custom spell checker dictionary of the account
+	 *
+	 * @param {string} word - Word
+	 * @return {Promise<boolean>}
+	 */
+	removeSpellCheckDictionaryWord: (word) => ipcRenderer.invoke('spellCheck:removeDictionaryWord', word),
+	/**
+	 * Send proxy credentials from the proxy authentication window
+	 *
+	 * @param {import('./app/proxy.config.ts').ProxyCredentials} credentials - Credentials
+	 */
+	submitProxyCredentials: (credentials) => ipcRenderer.send('proxyAuth:submit', credentials),
+	/**
+	 * Listen for commands from the command line to execute in the Talk window
+	 *
+	 * @param {(event: import('electron').IpcRendererEvent, id: string, command: import('./app/cli.ts').CliCommand) => void} callback - Callback
+	 */
+	onCliCommand: (callback) => ipcRenderer.on('cli:command', callback),
+	/**
+	 * Mark the window as ready to execute commands and get commands received before
+	 *
+	 * @return {Promise<{ id: string, command: import('./app/cli.ts').CliCommand }[]>}
+	 */
+	consumePendingCliCommands: () => ipcRenderer.invoke('cli:consumePending'),
+	/**
+	 * Send the result of a command from the command line
+	 *
+	 * @param {string} id - Command ID
+	 * @param {import('./app/cli.ts').CliResult} result - Command result
+	 */
+	sendCliResult: (id, result) => ipcRenderer.send('cli:result', id, result),
 	/**
 	 * Show the help window (aka About)
 	 *
@@ -179,15 +426,39 @@ const TALK_DESKTOP = {
 	 * @return {Promise<void>}
 	 */
 	showUpgrade: () => ipcRenderer.invoke('upgrade:show'),
+	/**
+	 * Get the status of app updates
+	 *
+	 * @return {Promise<import('./app/updater.ts').UpdateStatus>}
+	 */
+	getUpdateStatus: () => ipcRenderer.invoke('updater:getStatus'),
+	/**
+	 * Listen for changes of the app updates status
+	 *
+	 * @param {(event: import('electron').IpcRendererEvent, status: import('./app/updater.ts').UpdateStatus) => void} callback - Callback
+	 */
+	onUpdateStatus: (callback) => ipcRenderer.on('updater:status', callback),
+	/**
+	 * Check for a new version
+	 *
+	 * @return {Promise<import('./app/updater.ts').UpdateStatus>}
+	 */
+	checkForUpdates: () => ipcRenderer.invoke('updater:check'),
+	/**
+	 * Download the available update to install it on restart
+	 *
+	 * @return {Promise<import('./app/updater.ts').UpdateStatus>}
+	 */
+	installUpdate: () => ipcRenderer.invoke('updater:install'),
+	/**
+	 * Restart the app to apply the downloaded update
+	 */
+	restartToUpdate: () => ipcRenderer.send('updater:restart'),
+	/**
+	 * Show the release notes of the available update
+	 */
+	showReleaseNotes: () => ipcRenderer.send('updater:showReleaseNotes'),
 }
 
 // Set global window.TALK_DESKTOP
-contextBridge.exposeInMainWorld('TALK_DESKTOP', {
-  onNewChatMessage: (msg) => {
-    ipcRenderer.send('newMessage', msg)
-  },
-  markMessagesAsRead: () => {
-    ipcRenderer.send('clearMessages')
-  }
-})
-})
+contextBridge.exposeInMainWorld('TALK_DESKTOP', TALK_DESKTOP)
@@ -0,0 +1,71 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { ProxyCredentials } from '../app/proxy.config.ts'
+import { BrowserWindow } from 'electron'
+import { getBrowserWindowIcon } from '../shared/icons.utils.js'
+import { getScaledWindowSize, applyZoom, buildTitle, getWindowUrl } from '../app/utils.ts'
+import { applyContextMenu } from '../app/applyContextMenu.js'
+
+export type ProxyAuthParams = {
+	/** Proxy host */
+	host: string
+	/** Proxy port */
+	port: number
+	/** Authentication realm, if the proxy provides it */
+	realm?: string
+	/** Whether the previously entered credentials were rejected */
+	isRetry: boolean
+}
+
+/**
+ * Ask the user for proxy credentials in a prompt window
+ *
+ * @param params - Proxy authentication parameters
+ * @param parentWindow - Parent window, if the request has one
+ * @return Credentials or null if canceled
+ */
+export function promptProxyCredentials(params: ProxyAuthParams, parentWindow?: BrowserWindow): Promise<ProxyCredentials | null> {
+	return new Promise((resolve) => {
+		const window = new BrowserWindow({
+			title: buildTitle('Proxy authentication'),
+			...getScaledWindowSize({ width: 400, height: 360 }),
+			show: false,
+			maximizable: false,
+			minimizable: false,
+			resizable: false,
+			fullscreenable: false,
+			autoHideMenuBar: true,
+			parent: parentWindow?.isVisible() ? parentWindow : undefined,
+			modal: !!parentWindow?.isVisible(),
+			webPreferences: {
+				preload: PROXY_AUTH_WINDOW_PRELOAD_WEBPACK_ENTRY,
+			},
+			icon: getBrowserWindowIcon(),
+		})
+
+		window.removeMenu()
+
+		window.loadURL(getWindowUrl('proxy_auth_window') + '?' + new URLSearchParams({
+			host: params.host,
+			port: params.port.toString(),
+			realm: params.realm ?? '',
+			isRetry: params.isRetry.toString(),
+		}))
+
+		applyContextMenu(window)
+		applyZoom(window)
+
+		let credentials: ProxyCredentials | null = null
+		window.webContents.ipc.once('proxyAuth:submit', (event, submittedCredentials: ProxyCredentials) => {
+			credentials = submittedCredentials
+			window.close()
+		})
+		// Closed without submitting - canceled
+		window.once('closed', () => resolve(credentials))
+
+		window.once('ready-to-show', () => window.show())
+	})
+}
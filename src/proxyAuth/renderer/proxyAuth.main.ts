@@ -0,0 +1,16 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import '../../shared/assets/global.styles.css'
+
+import Vue from 'vue'
+import { setupWebPage } from '../../shared/setupWebPage.js'
+
+await setupWebPage()
+
+const { default: ProxyAuth } = await import('./ProxyAuthApp.vue')
+
+const ProxyAuthApp = Vue.extend(ProxyAuth)
+new ProxyAuthApp().$mount('#app')
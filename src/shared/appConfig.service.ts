@@ -7,6 +7,9 @@ import type { AppConfig, AppConfigKey } from '../app/AppConfig.ts'
 
 let appConfig: AppConfig | null = null
 
+/** System policy set by administrators */
+let policy: { filePath: string, domain: string | null, lockedKeys: AppConfigKey[] } | null = null
+
 /**
  * Initialize the AppConfig
  */
@@ -16,6 +19,7 @@ export async function initAppConfig() {
 	}
 
 	appConfig = await window.TALK_DESKTOP.getAppConfig()
+	policy = await window.TALK_DESKTOP.getPolicy()
 }
 
 /**
@@ -44,3 +48,30 @@ export function getAppConfigValue<K extends AppConfigKey>(key: K) {
 
 	return appConfig[key]
 }
+
+/**
+ * Check whether an application config value is enforced by the system policy and cannot be changed
+ *
+ * @param key - The key of the config value
+ */
+export function isAppConfigLocked(key: AppConfigKey) {
+	return getLockedAppConfigKeys().includes(key)
+}
+
+/**
+ * Get keys of application config values enforced by the system policy
+ */
+export function getLockedAppConfigKeys() {
+	return getPolicy().lockedKeys
+}
+
+/**
+ * Get the system policy set by administrators
+ */
+export function getPolicy() {
+	if (!policy) {
+		throw new Error('AppConfig is not initialized')
+	}
+
+	return policy
+}
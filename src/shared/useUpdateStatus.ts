@@ -0,0 +1,29 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { Ref } from 'vue'
+import type { UpdateStatus } from '../app/updater.ts'
+import { readonly, shallowRef } from 'vue'
+
+/** Shared status in the window, null until received */
+let updateStatus: Ref<UpdateStatus | null> | null = null
+
+/**
+ * Get the reactive status of app updates
+ */
+export function useUpdateStatus() {
+	if (!updateStatus) {
+		const status = shallowRef<UpdateStatus | null>(null)
+		window.TALK_DESKTOP.getUpdateStatus().then((value: UpdateStatus) => {
+			status.value = value
+		})
+		window.TALK_DESKTOP.onUpdateStatus((event: unknown, value: UpdateStatus) => {
+			status.value = value
+		})
+		updateStatus = status
+	}
+
+	return readonly(updateStatus)
+}
@@ -0,0 +1,76 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { BrowserWindow, BrowserWindowConstructorOptions } from 'electron'
+import { screen } from 'electron'
+import { getScaledWindowSize } from '../app/utils.ts'
+import { isMac, isWindows } from '../app/system.utils.ts'
+import { DETACHED_WINDOW_NAME_PREFIX, MINI_CALL_WINDOW_NAME } from '../constants.js'
+
+/** Gap between the mini call window and the screen edges */
+const SCREEN_MARGIN = 16
+
+/**
+ * Check whether a child window opened by the Talk window is the mini call window
+ *
+ * @param frameName - Name of the opened window
+ */
+export function isMiniCallWindowName(frameName: string) {
+	return frameName === DETACHED_WINDOW_NAME_PREFIX + MINI_CALL_WINDOW_NAME
+}
+
+/**
+ * Get options of the mini call window - a small always-on-top window in the bottom right corner of the screen.
+ * The content is rendered by the Talk window itself.
+ *
+ * @param browserWindowOptions - Options of the Talk window
+ */
+export function getMiniCallWindowOptions(browserWindowOptions: BrowserWindowConstructorOptions): BrowserWindowConstructorOptions {
+	const { x, y, width: workAreaWidth, height: workAreaHeight } = screen.getPrimaryDisplay().workArea
+
+	const { width, height } = getScaledWindowSize({
+		// 16:9 video + controls line
+		width: 320,
+		height: 180 + 44,
+	})
+
+	return {
+		...browserWindowOptions,
+		x: x + workAreaWidth - width - SCREEN_MARGIN,
+		y: y + workAreaHeight - height - SCREEN_MARGIN,
+		width,
+		height,
+		minWidth: Math.round(width / 2),
+		minHeight: Math.round(height / 2),
+		acceptFirstMouse: true,
+		alwaysOnTop: true,
+		autoHideMenuBar: true,
+		backgroundColor: '#000000',
+		frame: false,
+		fullscreenable: false,
+		maximizable: false,
+		minimizable: false,
+		resizable: true,
+		// Shown inactive to not steal the focus from the app the user has switched to
+		show: false,
+		skipTaskbar: true,
+		titleBarStyle: 'hidden',
+		titleBarOverlay: false,
+		type: isWindows ? 'toolbar' : isMac ? 'panel' : 'normal',
+	}
+}
+
+/**
+ * Set up the created mini call window
+ *
+ * @param window - Mini call window
+ */
+export function setupMiniCallWindow(window: BrowserWindow) {
+	window.removeMenu()
+	// Above fullscreen apps as well
+	window.setAlwaysOnTop(true, 'floating')
+	window.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true })
+	window.once('ready-to-show', () => window.showInactive())
+}
@@ -0,0 +1,105 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { CliCommand, CliResult } from '../../../app/cli.ts'
+import type { UserStatusPrivate } from '../UserStatus/userStatus.types.ts'
+import type { PrepareTemporaryMessagePayload } from '@talk/src/utils/prepareTemporaryMessage.ts'
+import { prepareTemporaryMessage } from '@talk/src/utils/prepareTemporaryMessage.ts'
+import { generateDiagnosisReportMD } from '../../../help/renderer/diagnosis.service.ts'
+import { useUserStatusStore } from '../UserStatus/userStatus.store.ts'
+import { getTimestampForPredefinedClearAt } from '../UserStatus/userStatus.utils.ts'
+import { getTalkStore, openConversation } from '../TalkWrapper/talk.service.ts'
+
+/**
+ * Set the user status from the command line
+ *
+ * @param command - Status command
+ */
+async function setUserStatus(command: Extract<CliCommand, { command: 'status' }>): Promise<CliResult> {
+	const userStatusStore = useUserStatusStore()
+	if (!userStatusStore.userStatus) {
+		await userStatusStore.initPromise
+	}
+
+	// Without a message only the status type is changed, keeping the current message
+	const newUserStatus = command.message
+		? {
+				...userStatusStore.userStatus!,
+				status: command.status,
+				statusIsUserDefined: true,
+				message: command.message,
+				icon: null,
+				clearAt: getTimestampForPredefinedClearAt(command.clearAfter ? { type: 'period', time: command.clearAfter } : null),
+				messageIsPredefined: false,
+				messageId: null,
+			}
+		: { ...userStatusStore.userStatus!, status: command.status }
+
+	const isSaved = await userStatusStore.saveUserStatus(newUserStatus as UserStatusPrivate)
+	return isSaved ? {} : { error: 'Failed to set the user status' }
+}
+
+/**
+ * Send a message from the command line
+ *
+ * @param command - Send command
+ */
+async function sendMessage(command: Extract<CliCommand, { command: 'send' }>): Promise<CliResult> {
+	const store = getTalkStore()
+	if (!store.getters.conversation(command.token)) {
+		return { error: `Conversation ${command.token} not found` }
+	}
+	// A temporary message is shown in the chat until it is posted, same as a message from the Talk's new message form
+	const temporaryMessage = prepareTemporaryMessage({
+		message: command.text,
+		token: command.token,
+		actorId: store.getters.getActorId(),
+		actorType: store.getters.getActorType(),
+		actorDisplayName: store.getters.getDisplayName(),
+	} as PrepareTemporaryMessagePayload)
+	await store.dispatch('postNewMessage', { token: command.token, temporaryMessage, options: { silent: false } })
+	return {}
+}
+
+/**
+ * Execute a command from the command line
+ *
+ * @param command - Command
+ */
+async function executeCliCommand(command: CliCommand): Promise<CliResult> {
+	try {
+		if (command.command === 'open') {
+			await openConversation(command.token)
+		} else if (command.command === 'call') {
+			await openConversation(command.token, { directCall: true })
+		} else if (command.command === 'status') {
+			return await setUserStatus(command)
+		} else if (command.command === 'send') {
+			return await sendMessage(command)
+		} else if (command.command === 'diagnose') {
+			return { output: generateDiagnosisReportMD() }
+		} else {
+			return { error: `Unsupported command: ${command.command}` }
+		}
+		return {}
+	} catch (error) {
+		console.error('Failed to execute the command', command, error)
+		return { error: `Failed to execute the command: ${(error as Error).message}` }
+	}
+}
+
+/**
+ * Execute commands from the command line, including the ones received while Talk was loading
+ */
+export async function initCommandLine() {
+	window.TALK_DESKTOP.onCliCommand(async (event: unknown, id: string, command: CliCommand) => {
+		window.TALK_DESKTOP.sendCliResult(id, await executeCliCommand(command))
+	})
+
+	const pendingCommands: { id: string, command: CliCommand }[] = await window.TALK_DESKTOP.consumePendingCliCommands()
+	for (const { id, command } of pendingCommands) {
+		window.TALK_DESKTOP.sendCliResult(id, await executeCliCommand(command))
+	}
+}
@@ -0,0 +1,110 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { DeepLink } from '../../../app/deepLinks.ts'
+import Vue from 'vue'
+import { t } from '@nextcloud/l10n'
+import { showError } from '@talk/node_modules/@nextcloud/dialogs'
+import RoomSelector from '@talk/src/components/RoomSelector.vue'
+import { getTalkInstance, getTalkStore, openConversation, openUploadEditor } from '../TalkWrapper/talk.service.ts'
+
+/**
+ * Ask the user to pick a conversation to post to
+ *
+ * @param fileName - Name of the file to share
+ * @return Selected conversation or null if canceled
+ */
+function pickConversation(fileName: string): Promise<{ token: string } | null> {
+	return new Promise((resolve) => {
+		const container = document.body.appendChild(document.createElement('div'))
+
+		// Mounted as a child of the Talk instance to get its Vuex and Pinia stores
+		const vm = new Vue({
+			parent: getTalkInstance(),
+			render: (h) => h(RoomSelector, {
+				props: {
+					showPostableOnly: true,
+					dialogTitle: t('talk_desktop', 'Share a file'),
+					dialogSubtitle: t('talk_desktop', 'Choose a conversation to share "{fileName}" to', { fileName }, { escape: false }),
+				},
+			}),
+		}).$mount(container)
+
+		const done = (conversation: { token: string } | null) => {
+			vm.$destroy()
+			vm.$el.remove()
+			resolve(conversation)
+		}
+		const [roomSelector] = vm.$children
+		roomSelector.$on('close', () => done(null))
+		roomSelector.$on('select', (conversation: { token: string }) => done(conversation))
+	})
+}
+
+/**
+ * Post a local file from a deep link to a conversation, picked by the user
+ *
+ * @param file - Path to the local file
+ */
+async function shareFile(file: string) {
+	const sharedFile = await window.TALK_DESKTOP.readDeepLinkSharedFile(file)
+	if (!sharedFile) {
+		showError(t('talk_desktop', 'The file to share cannot be read'))
+		return
+	}
+
+	const conversation = await pickConversation(sharedFile.name)
+	if (!conversation) {
+		return
+	}
+
+	await openUploadEditor(conversation.token, [new File([sharedFile.data], sharedFile.name)])
+}
+
+/**
+ * Open or create a one-to-one conversation with a user
+ *
+ * @param userId - User ID
+ */
+async function openOneToOneConversation(userId: string) {
+	// The server returns the existing one-to-one conversation, if there is one
+	const conversation = await getTalkStore().dispatch('createOneToOneConversation', userId)
+	if (!conversation) {
+		showError(t('talk_desktop', 'Cannot open a conversation with {userId}', { userId }, { escape: false }))
+		return
+	}
+	await openConversation(conversation.token)
+}
+
+/**
+ * Handle a deep link
+ *
+ * @param deepLink - Deep link
+ */
+async function handleDeepLink(deepLink: DeepLink) {
+	try {
+		if (deepLink.type === 'conversation') {
+			await openConversation(deepLink.token, { messageId: deepLink.messageId })
+		} else if (deepLink.type === 'user') {
+			await openOneToOneConversation(deepLink.userId)
+		} else if (deepLink.type === 'share') {
+			await shareFile(deepLink.file)
+		}
+	} catch (error) {
+		console.error('Failed to open the deep link', deepLink, error)
+	}
+}
+
+/**
+ * Handle external nctalk:// deep links, including the one the app was opened with
+ */
+export async function initDeepLinks() {
+	window.TALK_DESKTOP.onDeepLink((event: unknown, deepLink: DeepLink) => handleDeepLink(deepLink))
+
+	const pendingDeepLink = await window.TALK_DESKTOP.consumePendingDeepLink()
+	if (pendingDeepLink) {
+		handleDeepLink(pendingDeepLink)
+	}
+}
@@ -0,0 +1,166 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { DETACHED_WINDOW_NAME_PREFIX } from '../../../constants.js'
+
+export type DetachedWindowOptions = {
+	/** Unique window name */
+	name: string
+	/** Window title */
+	title: string
+	/** Element to show in the main window instead of the detached element */
+	placeholder: HTMLElement
+	/** Called when the detached window is closed by any reason */
+	onClose: () => void
+}
+
+export type DetachedWindow = {
+	/** Window with the detached element */
+	window: Window
+	/** Return the element to the main window and close the detached window */
+	close: () => void
+}
+
+/**
+ * Whether the node is a stylesheet
+ *
+ * @param node - Node
+ */
+function isStyleNode(node: Node): node is HTMLStyleElement | HTMLLinkElement {
+	return node instanceof HTMLStyleElement || (node instanceof HTMLLinkElement && node.rel === 'stylesheet')
+}
+
+/**
+ * Copy all attributes, such as classes and theme data attributes, from one element to another
+ *
+ * @param source - Source element
+ * @param target - Target element
+ */
+function copyAttributes(source: HTMLElement, target: HTMLElement) {
+	for (const { name, value } of source.attributes) {
+		target.setAttribute(name, value)
+	}
+}
+
+/**
+ * Open a child window, rendered by the Talk window, with the same styles and theme
+ *
+ * @param name - Unique window name
+ * @param title - Window title
+ * @param signal - Stop syncing styles and theme on abort
+ * @return Child window or null if the window cannot be opened
+ */
+export function openChildWindow(name: string, title: string, signal: AbortSignal) {
+	const childWindow = window.open('about:blank', DETACHED_WINDOW_NAME_PREFIX + name)
+	if (!childWindow) {
+		return null
+	}
+
+	const childDocument = childWindow.document
+	childDocument.title = title
+	copyAttributes(document.documentElement, childDocument.documentElement)
+	copyAttributes(document.body, childDocument.body)
+	for (const node of document.head.childNodes) {
+		if (isStyleNode(node)) {
+			childDocument.head.appendChild(node.cloneNode(true))
+		}
+	}
+
+	// Lazy loaded components add their styles later
+	const stylesObserver = new MutationObserver((mutations) => {
+		for (const node of mutations.flatMap((mutation) => [...mutation.addedNodes])) {
+			if (isStyleNode(node)) {
+				childDocument.head.appendChild(node.cloneNode(true))
+			}
+		}
+	})
+	stylesObserver.observe(document.head, { childList: true })
+
+	// Theme might be changed meanwhile
+	const themeObserver = new MutationObserver(() => copyAttributes(document.body, childDocument.body))
+	themeObserver.observe(document.body, { attributes: true })
+
+	signal.addEventListener('abort', () => {
+		stylesObserver.disconnect()
+		themeObserver.disconnect()
+	})
+
+	return childWindow
+}
+
+/**
+ * Move an element of the Talk window to a separate window.
+ * The detached window is opened by the Talk window itself, so the element is still rendered by the same Vue app
+ * with the same stores, media streams and signaling session. Only the DOM is moved, with all styles copied.
+ *
+ * @param element - Element to detach
+ * @param options - Options
+ * @return Detached window or null if the window cannot be opened
+ */
+export function detachElement(element: HTMLElement, options: DetachedWindowOptions): DetachedWindow | null {
+	/** Aborts all listeners and observers on close */
+	const abortController = new AbortController()
+
+	const detachedWindow = openChildWindow(options.name, options.title, abortController.signal)
+	if (!detachedWindow) {
+		return null
+	}
+	const detachedDocument = detachedWindow.document
+
+	let isClosed = false
+
+	/**
+	 * Return the element to the main window
+	 *
+	 * @param closeWindow - Whether to also close the window, or it is already closed by the user
+	 */
+	const close = (closeWindow = true) => {
+		if (isClosed) {
+			return
+		}
+		isClosed = true
+
+		abortController.abort()
+
+		// Return the element back, unless it was removed by Vue
+		if (element.parentNode === detachedDocument.body && options.placeholder.isConnected) {
+			options.placeholder.replaceWith(element)
+		} else {
+			options.placeholder.remove()
+		}
+		window.dispatchEvent(new Event('resize'))
+
+		if (closeWindow) {
+			detachedWindow.close()
+		}
+		options.onClose()
+	}
+
+	element.replaceWith(options.placeholder)
+	detachedDocument.body.appendChild(element)
+
+	// The element is removed by Vue, for example, the call has ended
+	const elementObserver = new MutationObserver(() => {
+		if (element.parentNode !== detachedDocument.body) {
+			close()
+		}
+	})
+	elementObserver.observe(detachedDocument.body, { childList: true })
+	abortController.signal.addEventListener('abort', () => elementObserver.disconnect())
+
+	// Talk components only listen to the Talk window resize
+	detachedWindow.addEventListener('resize', () => window.dispatchEvent(new Event('resize')), { signal: abortController.signal })
+	window.dispatchEvent(new Event('resize'))
+
+	// Closed by the user
+	detachedWindow.addEventListener('pagehide', () => close(false), { signal: abortController.signal })
+	// The Talk window is reloaded or closed - the detached content cannot live without it
+	window.addEventListener('beforeunload', () => close(), { signal: abortController.signal })
+
+	return {
+		window: detachedWindow,
+		close: () => close(),
+	}
+}
@@ -0,0 +1,124 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { DetachedWindow } from './detachedWindow.ts'
+import type { DetachedWindowType } from './detachedWindows.store.ts'
+import Vue, { watch } from 'vue'
+import { t } from '@nextcloud/l10n'
+import { showError } from '@talk/node_modules/@nextcloud/dialogs'
+import DetachedPlaceholder from './DetachedPlaceholder.vue'
+import { detachElement } from './detachedWindow.ts'
+import { useDetachedWindowsStore } from './detachedWindows.store.ts'
+import { getTalkStore } from '../TalkWrapper/talk.service.ts'
+
+/** Open detached windows by type */
+const detachedWindows = new Map<DetachedWindowType, DetachedWindow>()
+
+/**
+ * Find the element rendered by Talk to detach
+ *
+ * @param type - What to detach
+ */
+function findDetachableElement(type: DetachedWindowType) {
+	if (type === 'call') {
+		return document.getElementById('call-container')
+	}
+	// The chat is either the main view or a sidebar tab during a call
+	return document.querySelector<HTMLElement>('.chatView')
+}
+
+/**
+ * Get labels of a detached window
+ *
+ * @param type - What is detached
+ * @param conversationName - Name of the conversation
+ */
+function getLabels(type: DetachedWindowType, conversationName: string) {
+	return type === 'call'
+		? { name: t('talk_desktop', 'Call'), title: t('talk_desktop', 'Call in {conversation}', { conversation: conversationName }, { escape: false }) }
+		: { name: t('talk_desktop', 'Chat'), title: conversationName }
+}
+
+/**
+ * Return a detached part back to the Talk window
+ *
+ * @param type - What to return
+ */
+export function attach(type: DetachedWindowType) {
+	detachedWindows.get(type)?.close()
+}
+
+/**
+ * Move the chat or the call of the current conversation to a separate window
+ *
+ * @param type - What to detach
+ */
+export function detach(type: DetachedWindowType) {
+	const store = useDetachedWindowsStore()
+
+	if (detachedWindows.has(type)) {
+		detachedWindows.get(type)!.window.focus()
+		return
+	}
+
+	const element = findDetachableElement(type)
+	if (!element) {
+		return
+	}
+
+	const { name, title } = getLabels(type, getTalkStore().getters.conversation(store.token)?.displayName ?? '')
+
+	const placeholder = new Vue({
+		render: (h) => h(DetachedPlaceholder, {
+			props: { name },
+			on: { attach: () => attach(type) },
+		}),
+	}).$mount()
+
+	const detachedWindow = detachElement(element, {
+		name: type,
+		title,
+		placeholder: placeholder.$el as HTMLElement,
+		onClose: () => {
+			placeholder.$destroy()
+			detachedWindows.delete(type)
+			store.isDetached[type] = false
+		},
+	})
+
+	if (!detachedWindow) {
+		placeholder.$destroy()
+		showError(t('talk_desktop', 'Cannot open a separate window'))
+		return
+	}
+
+	detachedWindows.set(type, detachedWindow)
+	store.isDetached[type] = true
+}
+
+/**
+ * Initialize detaching the chat and the call to separate windows.
+ * Detached parts are returned back when Talk is about to re-render them, for example, in another conversation.
+ */
+export function initDetachedWindows() {
+	const talkStore = getTalkStore()
+	const store = useDetachedWindowsStore()
+
+	// Sync flush to return the elements before Talk re-renders its views, otherwise Vue patches the detached window
+	watch(() => talkStore.getters.getToken(), (token) => {
+		store.token = token
+		attach('chat')
+		attach('call')
+	}, { immediate: true, flush: 'sync' })
+
+	watch(() => talkStore.getters.isInCall(talkStore.getters.getToken()), (isInCall) => {
+		store.isInCall = isInCall
+		// The chat moves between the main view and the sidebar
+		attach('chat')
+		if (!isInCall) {
+			attach('call')
+		}
+	}, { immediate: true, flush: 'sync' })
+}
@@ -0,0 +1,28 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+import { ref } from 'vue'
+
+/** Part of the Talk window, which can be detached to a separate window */
+export type DetachedWindowType = 'chat' | 'call'
+
+export const useDetachedWindowsStore = defineStore('detachedWindows', () => {
+	/** Token of the current conversation */
+	const token = ref<string | null>(null)
+	/** Whether the user is in a call in the current conversation */
+	const isInCall = ref(false)
+	/** Whether the chat or the call is detached right now */
+	const isDetached = ref<Record<DetachedWindowType, boolean>>({
+		chat: false,
+		call: false,
+	})
+
+	return {
+		token,
+		isInCall,
+		isDetached,
+	}
+})
@@ -0,0 +1,58 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { Download, DownloadAction } from '../../../app/downloads.ts'
+import { defineStore } from 'pinia'
+import { computed, ref } from 'vue'
+import { t } from '@nextcloud/l10n'
+import { showError } from '@talk/node_modules/@nextcloud/dialogs'
+
+export const useDownloadsStore = defineStore('downloads', () => {
+	/** Downloads history of the account, the latest first */
+	const downloads = ref<Download[]>([])
+
+	/** Downloads in progress, including paused */
+	const activeDownloads = computed(() => downloads.value.filter((download) => download.state === 'progressing' || download.state === 'paused'))
+
+	window.TALK_DESKTOP.onDownloadsUpdate((event: unknown, newDownloads: Download[]) => {
+		downloads.value = newDownloads
+	})
+	window.TALK_DESKTOP.onDownloadChange((event: unknown, changedDownload: Download) => {
+		const index = downloads.value.findIndex((download) => download.id === changedDownload.id)
+		if (index !== -1) {
+			downloads.value.splice(index, 1, changedDownload)
+		}
+	})
+	window.TALK_DESKTOP.subscribeDownloads().then((initialDownloads: Download[]) => {
+		downloads.value = initialDownloads
+	})
+
+	/**
+	 * Pause, resume, cancel, retry, open, show in folder or remove a download
+	 *
+	 * @param download - Download
+	 * @param action - Action
+	 */
+	async function control(download: Download, action: DownloadAction) {
+		const succeeded = await window.TALK_DESKTOP.controlDownload(download.id, action)
+		if (!succeeded && (action === 'open' || action === 'showInFolder')) {
+			showError(t('talk_desktop', 'The file "{fileName}" was moved or deleted', { fileName: download.fileName }, { escape: false }))
+		}
+	}
+
+	/**
+	 * Remove all finished downloads from the history
+	 */
+	async function clear() {
+		await window.TALK_DESKTOP.clearDownloads()
+	}
+
+	return {
+		downloads,
+		activeDownloads,
+		control,
+		clear,
+	}
+})
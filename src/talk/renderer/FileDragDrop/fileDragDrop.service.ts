@@ -0,0 +1,154 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { generateRemoteUrl } from '@nextcloud/router'
+import { CONVERSATION, PARTICIPANT } from '@talk/src/constants.ts'
+import { getTalkStore, openUploadEditor } from '../TalkWrapper/talk.service.ts'
+import './fileDragDrop.css'
+
+/** Class of a conversation in the list, files are dragged over */
+const DROP_TARGET_CLASS = 'talk-desktop-drop-target'
+
+/** File shared in a chat, a rich object parameter of the message */
+type TalkFile = {
+	type: string
+	id: string
+	name: string
+	path?: string
+	etag: string
+	link: string
+}
+
+/** Conversation in the list, files are dragged over */
+let dropTarget: HTMLElement | null = null
+
+/**
+ * Find a file shared in a chat, which can be dragged out
+ *
+ * @param target - Event target
+ * @return File's WebDAV URL, name and ETag or null if the target is not a shared file
+ */
+function findDraggableFile(target: EventTarget | null) {
+	const element = target instanceof Element ? target.closest('a.file-preview') : null
+	const messageElement = element?.closest<HTMLElement>('[data-message-id]')
+	if (!element || !messageElement) {
+		return null
+	}
+
+	// The file preview links to the file, find the file with this link in the parameters of the message in the store
+	const store = getTalkStore()
+	const message = store.getters.message(store.getters.getToken(), Number(messageElement.dataset.messageId))
+	const file = Object.values<TalkFile>(message?.messageParameters ?? {})
+		.find((parameter) => parameter.type === 'file' && parameter.link === element.getAttribute('href'))
+	const userId = store.getters.getUserId()
+	// Files being uploaded have no path yet
+	if (!file?.path || String(file.id).startsWith('temp') || !userId) {
+		return null
+	}
+
+	const path = file.path.split('/').filter(Boolean).map(encodeURIComponent).join('/')
+	return {
+		url: generateRemoteUrl(`dav/files/${encodeURIComponent(userId)}/${path}`),
+		name: file.name,
+		etag: file.etag,
+	}
+}
+
+/**
+ * Find a conversation in the left sidebar list
+ *
+ * @param target - Event target
+ * @return Conversation list item and token or null if the target is not a conversation
+ */
+function findConversation(target: EventTarget | null) {
+	const element = target instanceof Element ? target.closest<HTMLElement>('[data-nav-id^="conversation_"]') : null
+	if (!element) {
+		return null
+	}
+	return {
+		element,
+		token: element.dataset.navId!.slice('conversation_'.length),
+	}
+}
+
+/**
+ * Check whether the user can post files to a conversation
+ *
+ * @param token - Conversation token
+ */
+export function canUploadFiles(token: string) {
+	const conversation = getTalkStore().getters.conversation(token)
+	return !!conversation
+		// No attachments support in federated conversations
+		&& !conversation.remoteServer
+		&& conversation.readOnly === CONVERSATION.STATE.READ_WRITE
+		&& (conversation.permissions & PARTICIPANT.PERMISSIONS.CHAT) !== 0
+}
+
+/**
+ * Highlight a conversation, files are dragged over
+ *
+ * @param element - Conversation list item or null to remove the highlight
+ */
+function setDropTarget(element: HTMLElement | null) {
+	if (element === dropTarget) {
+		return
+	}
+	dropTarget?.classList.remove(DROP_TARGET_CLASS)
+	dropTarget = element
+	dropTarget?.classList.add(DROP_TARGET_CLASS)
+}
+
+/**
+ * Initialize native dragging of files:
+ * - drag files shared in a chat out of the app, for example, to a file manager
+ * - drop files from the OS onto any conversation in the list to upload them there
+ */
+export function initFileDragDrop() {
+	document.addEventListener('dragstart', (event) => {
+		const file = findDraggableFile(event.target)
+		if (!file) {
+			return
+		}
+		// Replace the link dragging with the native file dragging.
+		// Dragging can only start with a local file, it is downloaded only now, when the user actually drags it.
+		event.preventDefault()
+		window.TALK_DESKTOP.startFileDrag(file.url, file.name, file.etag)
+	})
+
+	document.addEventListener('dragover', (event) => {
+		if (!event.dataTransfer?.types.includes('Files')) {
+			return
+		}
+		const conversation = findConversation(event.target)
+		if (!conversation || !canUploadFiles(conversation.token)) {
+			setDropTarget(null)
+			return
+		}
+		event.preventDefault()
+		event.dataTransfer.dropEffect = 'copy'
+		setDropTarget(conversation.element)
+	})
+
+	document.addEventListener('dragleave', (event) => {
+		if (!dropTarget?.contains(event.relatedTarget as Node | null)) {
+			setDropTarget(null)
+		}
+	})
+
+	document.addEventListener('dragend', () => setDropTarget(null))
+
+	document.addEventListener('drop', (event) => {
+		setDropTarget(null)
+		const conversation = findConversation(event.target)
+		const files = [...event.dataTransfer?.files ?? []]
+		if (!conversation || !files.length || !canUploadFiles(conversation.token)) {
+			return
+		}
+		event.preventDefault()
+		event.stopPropagation()
+		openUploadEditor(conversation.token, files)
+	}, { capture: true })
+}
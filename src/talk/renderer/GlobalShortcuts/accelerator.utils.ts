@@ -0,0 +1,124 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+/** KeyboardEvent.code values of modifier keys */
+const MODIFIER_CODES = ['ControlLeft', 'ControlRight', 'ShiftLeft', 'ShiftRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight']
+
+/** KeyboardEvent.code to Electron accelerator key code, except letters, digits and function keys */
+const KEY_CODES: Record<string, string> = {
+	Space: 'Space',
+	Enter: 'Enter',
+	Tab: 'Tab',
+	Backspace: 'Backspace',
+	Delete: 'Delete',
+	Insert: 'Insert',
+	Home: 'Home',
+	End: 'End',
+	PageUp: 'PageUp',
+	PageDown: 'PageDown',
+	ArrowUp: 'Up',
+	ArrowDown: 'Down',
+	ArrowLeft: 'Left',
+	ArrowRight: 'Right',
+	Minus: '-',
+	Equal: '=',
+	BracketLeft: '[',
+	BracketRight: ']',
+	Backslash: '\\',
+	Semicolon: ';',
+	Quote: '\'',
+	Backquote: '`',
+	Comma: ',',
+	Period: '.',
+	Slash: '/',
+	NumpadAdd: 'numadd',
+	NumpadSubtract: 'numsub',
+	NumpadMultiply: 'nummult',
+	NumpadDivide: 'numdiv',
+	NumpadDecimal: 'numdec',
+}
+
+/**
+ * Get the Electron accelerator key code of a keyboard event, independent of the keyboard layout
+ *
+ * @param event - Keyboard event
+ * @return Key code or null if the key is not supported
+ */
+function getAcceleratorKeyCode(event: KeyboardEvent) {
+	const { code } = event
+	if (/^Key[A-Z]$/.test(code)) {
+		return code.slice(3)
+	}
+	if (/^Digit\d$/.test(code)) {
+		return code.slice(5)
+	}
+	if (/^Numpad\d$/.test(code)) {
+		return 'num' + code.slice(6)
+	}
+	if (/^F\d{1,2}$/.test(code)) {
+		return code
+	}
+	return KEY_CODES[code] ?? null
+}
+
+/**
+ * Whether the keyboard event is a press of a modifier key only
+ *
+ * @param event - Keyboard event
+ */
+export function isModifierKeyEvent(event: KeyboardEvent) {
+	return MODIFIER_CODES.includes(event.code)
+}
+
+/**
+ * Convert a keyboard event into an Electron accelerator, for example, "Control+Shift+M".
+ * A global shortcut must have at least one modifier, except function keys, not to steal regular typing from other applications.
+ *
+ * @param event - Keyboard event
+ * @return Accelerator or null if the key combination cannot be used as a global shortcut
+ */
+export function keyboardEventToAccelerator(event: KeyboardEvent) {
+	const keyCode = getAcceleratorKeyCode(event)
+	if (!keyCode) {
+		return null
+	}
+
+	const modifiers = [
+		event.ctrlKey && 'Control',
+		event.altKey && 'Alt',
+		event.shiftKey && 'Shift',
+		event.metaKey && (window.systemInfo.isMac ? 'Command' : 'Super'),
+	].filter(Boolean) as string[]
+
+	if (!modifiers.length && !/^F\d{1,2}$/.test(keyCode)) {
+		return null
+	}
+
+	return [...modifiers, keyCode].join('+')
+}
+
+/**
+ * Whether the keyboard event is a press or release of the main (non-modifier) key of the accelerator.
+ * Modifiers are ignored, because they can be released before the main key.
+ *
+ * @param event - Keyboard event
+ * @param accelerator - Accelerator
+ */
+export function isAcceleratorKeyEvent(event: KeyboardEvent, accelerator: string) {
+	const keyCode = getAcceleratorKeyCode(event)
+	return !!keyCode && accelerator.split(/\+(?=.)/).at(-1) === keyCode
+}
+
+/**
+ * Format an accelerator for a user
+ *
+ * @param accelerator - Accelerator
+ */
+export function formatAccelerator(accelerator: string) {
+	return accelerator
+		.replace(/\+(?=.)/g, ' + ')
+		.replace('Control', 'Ctrl')
+		.replace('Command', 'Cmd')
+}
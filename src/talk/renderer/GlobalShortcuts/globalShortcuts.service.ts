@@ -0,0 +1,29 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { GlobalShortcutAction } from '../../../app/globalShortcuts.ts'
+import { getTalkStore } from '../TalkWrapper/talk.service.ts'
+import { toggleAudio, toggleHandRaised, toggleVideo } from '../utils/callActions.ts'
+
+/**
+ * Handle call actions of global shortcuts, triggered when the application is in background
+ */
+export function initGlobalShortcuts() {
+	const store = getTalkStore()
+
+	window.TALK_DESKTOP.onGlobalShortcut((event: unknown, action: GlobalShortcutAction) => {
+		if (!store.getters.isInCall(store.getters.getToken())) {
+			return
+		}
+
+		if (action === 'toggleAudio') {
+			toggleAudio()
+		} else if (action === 'toggleVideo') {
+			toggleVideo()
+		} else if (action === 'raiseHand') {
+			toggleHandRaised()
+		}
+	})
+}
@@ -0,0 +1,110 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import Vue, { computed, ref, watch } from 'vue'
+import { t } from '@nextcloud/l10n'
+import MiniCallView from './MiniCallView.vue'
+import { openChildWindow } from '../DetachedWindows/detachedWindow.ts'
+import { useDetachedWindowsStore } from '../DetachedWindows/detachedWindows.store.ts'
+import { useAppConfigStore } from '../Settings/appConfig.store.ts'
+import { getTalkStore } from '../TalkWrapper/talk.service.ts'
+import { MINI_CALL_WINDOW_NAME } from '../../../constants.js'
+
+/** Open mini call window */
+let miniCallWindow: { window: Window, vm: Vue, abortController: AbortController } | null = null
+
+/**
+ * Close the mini call window
+ */
+function closeMiniCallWindow() {
+	if (!miniCallWindow) {
+		return
+	}
+	const { window: childWindow, vm, abortController } = miniCallWindow
+	miniCallWindow = null
+	abortController.abort()
+	vm.$destroy()
+	if (!childWindow.closed) {
+		childWindow.close()
+	}
+}
+
+/**
+ * Open the mini call window with the current call
+ *
+ * @param conversationName - Name of the conversation with the call
+ * @param onDismiss - Called when the user hides the window
+ */
+function openMiniCallWindow(conversationName: string, onDismiss: () => void) {
+	if (miniCallWindow) {
+		return
+	}
+
+	const abortController = new AbortController()
+	const title = t('talk_desktop', 'Call in {conversation}', { conversation: conversationName }, { escape: false })
+	const childWindow = openChildWindow(MINI_CALL_WINDOW_NAME, title, abortController.signal)
+	if (!childWindow) {
+		abortController.abort()
+		return
+	}
+
+	const vm = new Vue({
+		render: (h) => h(MiniCallView, {
+			on: { dismiss: onDismiss },
+		}),
+	}).$mount(childWindow.document.body.appendChild(childWindow.document.createElement('div')))
+
+	miniCallWindow = { window: childWindow, vm, abortController }
+
+	// Closed by the OS
+	childWindow.addEventListener('pagehide', () => closeMiniCallWindow(), { signal: abortController.signal })
+}
+
+/**
+ * Initialize the mini call window - a small always-on-top window with the call, shown while the Talk window is in the background
+ */
+export function initMiniCallWindow() {
+	const talkStore = getTalkStore()
+	const appConfigStore = useAppConfigStore()
+	const detachedWindowsStore = useDetachedWindowsStore()
+
+	const isTalkWindowFocused = ref(document.hasFocus())
+	// The user has hidden the mini call window until the Talk window is focused again
+	const isDismissed = ref(false)
+
+	window.addEventListener('focus', () => {
+		isTalkWindowFocused.value = true
+		isDismissed.value = false
+	})
+	window.addEventListener('blur', () => {
+		isTalkWindowFocused.value = false
+	})
+	document.addEventListener('visibilitychange', () => {
+		if (document.visibilityState === 'hidden') {
+			isTalkWindowFocused.value = false
+		}
+	})
+	window.addEventListener('beforeunload', () => closeMiniCallWindow())
+
+	const token = computed(() => talkStore.getters.getToken())
+	const isInCall = computed(() => !!token.value && talkStore.getters.isInCall(token.value))
+
+	const shouldShow = computed(() => appConfigStore.getAppConfigValue('showMiniCallWindow')
+		&& isInCall.value
+		// The call is already in a separate window
+		&& !detachedWindowsStore.isDetached.call
+		&& !isTalkWindowFocused.value
+		&& !isDismissed.value)
+
+	watch(shouldShow, (value) => {
+		if (value) {
+			openMiniCallWindow(talkStore.getters.conversation(token.value)?.displayName ?? '', () => {
+				isDismissed.value = true
+			})
+		} else {
+			closeMiniCallWindow()
+		}
+	})
+}
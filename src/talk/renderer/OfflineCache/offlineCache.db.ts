@@ -0,0 +1,206 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+// Note: IndexedDB is stored in the window's session, so every account has its own database
+
+const DB_NAME = 'TalkDesktop:offlineCache'
+const DB_VERSION = 2
+
+/** Talk conversation object, as received from the server */
+export type CachedConversation = { token: string } & Record<string, unknown>
+
+/** Talk chat message object, as received from the server */
+export type CachedMessage = { id: number, token: string } & Record<string, unknown>
+
+/** Message or file upload, composed while offline and waiting to be sent */
+export type OutboxItem = {
+	/** Auto-incremented ID, which also keeps the order of sending */
+	id?: number
+	token: string
+	/** Temporary message shown in the chat while the item is pending */
+	temporaryMessage: { id: string, token: string } & Record<string, unknown>
+	/** Options of the postNewMessage action */
+	options?: Record<string, unknown> | null
+	/** File to upload and share */
+	upload?: {
+		uploadId: string
+		index: string
+		file: File
+	}
+}
+
+/** Recent messages of a conversation */
+export type CachedMessages = {
+	token: string
+	messages: CachedMessage[]
+	cachedAt: number
+}
+
+/**
+ * Get a plain copy of an object from the Talk store without reactivity
+ *
+ * @param value - Object
+ */
+function toPlain<T>(value: T): T {
+	return JSON.parse(JSON.stringify(value))
+}
+
+let databasePromise: Promise<IDBDatabase> | null = null
+
+/**
+ * Wrap an IndexedDB request into a promise
+ *
+ * @param request - IndexedDB request
+ */
+function promisifyRequest<T>(request: IDBRequest<T>): Promise<T> {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result)
+		request.onerror = () => reject(request.error)
+	})
+}
+
+/**
+ * Wrap an IndexedDB transaction completion into a promise
+ *
+ * @param transaction - IndexedDB transaction
+ */
+function promisifyTransaction(transaction: IDBTransaction): Promise<void> {
+	return new Promise((resolve, reject) => {
+		transaction.oncomplete = () => resolve()
+		transaction.onerror = () => reject(transaction.error)
+		transaction.onabort = () => reject(transaction.error)
+	})
+}
+
+/**
+ * Open the offline cache database, create or upgrade the schema if needed
+ */
+function openDatabase() {
+	if (!databasePromise) {
+		const request = indexedDB.open(DB_NAME, DB_VERSION)
+		request.onupgradeneeded = (event) => {
+			if (event.oldVersion < 1) {
+				request.result.createObjectStore('conversations', { keyPath: 'token' })
+				request.result.createObjectStore('messages', { keyPath: 'token' })
+				request.result.createObjectStore('meta')
+			}
+			if (event.oldVersion < 2) {
+				request.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true })
+			}
+		}
+		databasePromise = promisifyRequest(request)
+	}
+	return databasePromise
+}
+
+/**
+ * Read all cached conversations and the time of the last successful sync
+ */
+export async function readConversations() {
+	const db = await openDatabase()
+	const transaction = db.transaction(['conversations', 'meta'], 'readonly')
+	const [conversations, syncedAt] = await Promise.all([
+		promisifyRequest<CachedConversation[]>(transaction.objectStore('conversations').getAll()),
+		promisifyRequest<number | undefined>(transaction.objectStore('meta').get('syncedAt')),
+	])
+	return { conversations, syncedAt: syncedAt ?? null }
+}
+
+/**
+ * Replace all cached conversations
+ *
+ * @param conversations - Conversations
+ */
+export async function writeConversations(conversations: CachedConversation[]) {
+	const db = await openDatabase()
+	const transaction = db.transaction('conversations', 'readwrite')
+	const store = transaction.objectStore('conversations')
+	store.clear()
+	for (const conversation of conversations) {
+		store.put(toPlain(conversation))
+	}
+	await promisifyTransaction(transaction)
+}
+
+/**
+ * Save the time of the last successful sync with the server
+ *
+ * @param syncedAt - Timestamp in ms
+ */
+export async function writeSyncedAt(syncedAt: number) {
+	const db = await openDatabase()
+	const transaction = db.transaction('meta', 'readwrite')
+	transaction.objectStore('meta').put(syncedAt, 'syncedAt')
+	await promisifyTransaction(transaction)
+}
+
+/**
+ * Read recent messages of all cached conversations
+ */
+export async function readAllMessages() {
+	const db = await openDatabase()
+	return promisifyRequest<CachedMessages[]>(db.transaction('messages', 'readonly').objectStore('messages').getAll())
+}
+
+/**
+ * Replace recent messages of a conversation
+ *
+ * @param token - Conversation token
+ * @param messages - Messages
+ */
+export async function writeMessages(token: string, messages: CachedMessage[]) {
+	const db = await openDatabase()
+	const transaction = db.transaction('messages', 'readwrite')
+	transaction.objectStore('messages').put({ token, messages: toPlain(messages), cachedAt: Date.now() } satisfies CachedMessages)
+	await promisifyTransaction(transaction)
+}
+
+/**
+ * Remove cached messages of a conversation
+ *
+ * @param token - Conversation token
+ */
+export async function deleteMessages(token: string) {
+	const db = await openDatabase()
+	const transaction = db.transaction('messages', 'readwrite')
+	transaction.objectStore('messages').delete(token)
+	await promisifyTransaction(transaction)
+}
+
+/**
+ * Read all outbox items in the order they were added
+ */
+export async function readOutbox() {
+	const db = await openDatabase()
+	return promisifyRequest<OutboxItem[]>(db.transaction('outbox', 'readonly').objectStore('outbox').getAll())
+}
+
+/**
+ * Add an item to the end of the outbox
+ *
+ * @param item - Outbox item
+ * @return ID of the added item
+ */
+export async function addOutboxItem(item: OutboxItem) {
+	const db = await openDatabase()
+	const transaction = db.transaction('outbox', 'readwrite')
+	// File is stored as is, the rest is a plain copy from the Talk store
+	const { upload, ...rest } = item
+	const id = await promisifyRequest(transaction.objectStore('outbox').add({ ...toPlain(rest), upload }))
+	await promisifyTransaction(transaction)
+	return id as number
+}
+
+/**
+ * Remove an item from the outbox
+ *
+ * @param id - Outbox item ID
+ */
+export async function deleteOutboxItem(id: number) {
+	const db = await openDatabase()
+	const transaction = db.transaction('outbox', 'readwrite')
+	transaction.objectStore('outbox').delete(id)
+	await promisifyTransaction(transaction)
+}
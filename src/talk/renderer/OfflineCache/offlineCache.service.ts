@@ -0,0 +1,172 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { CachedConversation, CachedMessage } from './offlineCache.db.ts'
+import {
+	deleteMessages,
+	readAllMessages,
+	readConversations,
+	writeConversations,
+	writeMessages,
+	writeSyncedAt,
+} from './offlineCache.db.ts'
+import { useOfflineCacheStore } from './offlineCache.store.ts'
+import { getTalkStore } from '../TalkWrapper/talk.service.ts'
+
+/** How many recent messages of a conversation to keep in the cache */
+const MAX_CACHED_MESSAGES = 100
+
+/** Delay to batch frequent store updates into a single write */
+const WRITE_DELAY = 2_000
+
+/** Messages store mutations with a conversation token in the payload, that change the messages list */
+const MESSAGES_MUTATIONS = ['addMessage', 'deleteMessage', 'clearMessagesHistory', 'removeExpiredMessages', 'easeMessageList']
+
+/** Message in the Talk store, temporary messages have a string ID */
+type StoreMessage = Omit<CachedMessage, 'id'> & { id: number | string }
+
+/**
+ * Whether the message is a real message from the server and not a temporary one, still being sent
+ *
+ * @param message - Message
+ */
+function isServerMessage(message: StoreMessage): message is CachedMessage {
+	return typeof message.id === 'number'
+}
+
+/**
+ * Restore conversations from the cache, unless Talk has already restored them from its own BrowserStorage cache
+ */
+async function restoreConversations() {
+	const store = getTalkStore()
+	const { conversations, syncedAt } = await readConversations()
+	useOfflineCacheStore().markRestored(syncedAt)
+
+	if (!conversations.length || store.getters.conversationsList.length) {
+		return conversations
+	}
+
+	store.dispatch('patchConversations', { conversations })
+	store.commit('setConversationsInitialised', true)
+	return conversations
+}
+
+/**
+ * Restore recent messages from the cache.
+ * The first and the last known message IDs are set, so Talk continues from the last known message
+ * instead of loading the context, and gets all missed messages by lastKnownMessageId when online.
+ *
+ * @param conversations - Cached conversations
+ */
+async function restoreMessages(conversations: CachedConversation[]) {
+	const store = getTalkStore()
+	const tokens = new Set(conversations.map((conversation) => conversation.token))
+
+	for (const { token, messages } of await readAllMessages()) {
+		// The conversation is gone - no need to keep its messages
+		if (!tokens.has(token)) {
+			deleteMessages(token)
+			continue
+		}
+
+		// Talk has already started loading the conversation
+		if (!messages.length || store.getters.getFirstKnownMessageId(token)) {
+			continue
+		}
+
+		for (const message of messages) {
+			store.commit('addMessage', { token, message })
+		}
+		store.commit('setFirstKnownMessageId', { token, id: messages.at(0)!.id })
+		store.commit('setLastKnownMessageId', { token, id: messages.at(-1)!.id })
+		store.commit('loadedMessagesOfConversation', { token })
+	}
+}
+
+/**
+ * Create a function to schedule a delayed write, batching all calls during the delay
+ *
+ * @param write - Write function
+ */
+function createScheduledWrite(write: () => Promise<void>) {
+	let timeout: ReturnType<typeof setTimeout> | undefined
+	return () => {
+		if (timeout) {
+			return
+		}
+		timeout = setTimeout(() => {
+			timeout = undefined
+			write().catch((error) => console.error('Failed to write the offline cache', error))
+		}, WRITE_DELAY)
+	}
+}
+
+/**
+ * Keep the cache up to date with the Talk store
+ */
+function subscribeToStore() {
+	const store = getTalkStore()
+	const offlineCacheStore = useOfflineCacheStore()
+
+	const scheduleConversationsWrite = createScheduledWrite(() => writeConversations(store.getters.conversationsList))
+
+	const messagesWrites = new Map<string, () => void>()
+	const scheduleMessagesWrite = (token: string) => {
+		if (!messagesWrites.has(token)) {
+			messagesWrites.set(token, createScheduledWrite(() => {
+				const messages = (store.getters.messagesList(token) as StoreMessage[])
+					.filter(isServerMessage)
+					.sort((a, b) => a.id - b.id)
+					.slice(-MAX_CACHED_MESSAGES)
+				return messages.length ? writeMessages(token, messages) : deleteMessages(token)
+			}))
+		}
+		messagesWrites.get(token)!()
+	}
+
+	store.subscribe((mutation: { type: string, payload: unknown }) => {
+		if (MESSAGES_MUTATIONS.includes(mutation.type)) {
+			scheduleMessagesWrite((mutation.payload as { token: string }).token)
+		} else if (mutation.type === 'purgeMessagesStore') {
+			deleteMessages(mutation.payload as string)
+		}
+	})
+
+	store.subscribeAction({
+		after: (action: { type: string }) => {
+			if (action.type === 'cacheConversations' || action.type === 'deleteConversation') {
+				scheduleConversationsWrite()
+			} else if (action.type === 'fetchConversations') {
+				offlineCacheStore.markSynced()
+				writeSyncedAt(offlineCacheStore.syncedAt!)
+			}
+		},
+		error: (action: { type: string }, state: unknown, error: { response?: unknown }) => {
+			// No response - network error
+			if (action.type === 'fetchConversations' && !error?.response) {
+				offlineCacheStore.markUnreachable()
+			}
+		},
+	})
+
+	// Do not wait for the next polling when the connection is back
+	window.addEventListener('online', () => {
+		store.dispatch('fetchConversations', {}).catch(() => {})
+	})
+}
+
+/**
+ * Initialize the offline cache of conversations and recent messages:
+ * restore the last known state and keep the cache up to date
+ */
+export async function initOfflineCache() {
+	try {
+		const conversations = await restoreConversations()
+		await restoreMessages(conversations)
+	} catch (error) {
+		console.error('Failed to restore the offline cache', error)
+	}
+	subscribeToStore()
+}
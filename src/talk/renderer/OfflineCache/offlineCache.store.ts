@@ -0,0 +1,57 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+import { computed, ref } from 'vue'
+
+export const useOfflineCacheStore = defineStore('offlineCache', () => {
+	const isOnline = ref(navigator.onLine)
+	const isServerReachable = ref(true)
+	/** Time of the last successful sync with the server */
+	const syncedAt = ref<number | null>(null)
+
+	/** Whether the shown conversations and messages may be outdated */
+	const isStale = computed(() => !isOnline.value || !isServerReachable.value)
+
+	window.addEventListener('online', () => {
+		isOnline.value = true
+	})
+	window.addEventListener('offline', () => {
+		isOnline.value = false
+	})
+
+	/**
+	 * Mark data as successfully synced with the server
+	 */
+	function markSynced() {
+		isServerReachable.value = true
+		syncedAt.value = Date.now()
+	}
+
+	/**
+	 * Mark the server as unreachable, for example, on a network error
+	 */
+	function markUnreachable() {
+		isServerReachable.value = false
+	}
+
+	/**
+	 * Mark data as restored from the offline cache
+	 *
+	 * @param cachedSyncedAt - Time of the last sync of the cached data
+	 */
+	function markRestored(cachedSyncedAt: number | null) {
+		syncedAt.value = cachedSyncedAt
+	}
+
+	return {
+		isOnline,
+		isStale,
+		syncedAt,
+		markSynced,
+		markUnreachable,
+		markRestored,
+	}
+})
@@ -0,0 +1,216 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { OutboxItem } from './offlineCache.db.ts'
+import { t } from '@nextcloud/l10n'
+import { showError } from '@talk/node_modules/@nextcloud/dialogs'
+import { CONVERSATION } from '@talk/src/constants.ts'
+import { addOutboxItem, deleteOutboxItem, readOutbox } from './offlineCache.db.ts'
+import { useOfflineCacheStore } from './offlineCache.store.ts'
+import { getTalkStore } from '../TalkWrapper/talk.service.ts'
+
+/** Pending items in the order of sending */
+const outbox: OutboxItem[] = []
+
+/** IDs of temporary messages, being sent from the outbox right now */
+const sendingMessageIds = new Set<string>()
+
+let isFlushing = false
+
+/**
+ * Add a pending item to the outbox and show its temporary message as pending instead of failed
+ *
+ * @param item - Outbox item
+ */
+async function enqueue(item: OutboxItem) {
+	const store = getTalkStore()
+	// The message might be removed by the user meanwhile
+	if (!store.getters.message(item.token, item.temporaryMessage.id)?.id) {
+		return
+	}
+
+	const temporaryMessage = { ...store.getters.message(item.token, item.temporaryMessage.id), sendingFailure: '' }
+	store.commit('addTemporaryMessage', { token: item.token, message: temporaryMessage })
+
+	const queuedItem = { ...item, temporaryMessage }
+	outbox.push(queuedItem)
+	queuedItem.id = await addOutboxItem(queuedItem)
+}
+
+/**
+ * Remove an item from the outbox
+ *
+ * @param item - Outbox item
+ */
+function dequeue(item: OutboxItem) {
+	const index = outbox.indexOf(item)
+	if (index !== -1) {
+		outbox.splice(index, 1)
+	}
+	if (item.id !== undefined) {
+		deleteOutboxItem(item.id).catch((error) => console.error('Failed to delete an item from the outbox', error))
+	}
+}
+
+/**
+ * Check whether the item can still be sent to its conversation
+ *
+ * @param item - Outbox item
+ * @return Whether the item should be sent
+ */
+function resolveConflicts(item: OutboxItem) {
+	const store = getTalkStore()
+	const conversation = store.getters.conversation(item.token)
+
+	if (!conversation) {
+		showError(t('talk_desktop', 'A message composed while offline was not sent, because the conversation was deleted'))
+		store.dispatch('removeTemporaryMessageFromStore', { token: item.token, id: item.temporaryMessage.id })
+		return false
+	}
+
+	if (conversation.readOnly === CONVERSATION.STATE.READ_ONLY) {
+		showError(t('talk_desktop', 'A message composed while offline was not sent, because the conversation is read-only now'))
+		store.dispatch('markTemporaryMessageAsFailed', { token: item.token, id: item.temporaryMessage.id, reason: 'read-only' })
+		return false
+	}
+
+	return true
+}
+
+/**
+ * Send an item from the outbox
+ *
+ * @param item - Outbox item
+ * @return Whether the item was handled and should be removed from the outbox, or it should be retried later
+ */
+async function send(item: OutboxItem) {
+	const store = getTalkStore()
+	const { token, temporaryMessage, options, upload } = item
+
+	try {
+		if (!upload) {
+			await store.dispatch('postNewMessage', { token, temporaryMessage, options })
+			return true
+		}
+
+		store.commit('addFileToBeUploaded', { file: upload.file, temporaryMessage, token })
+		await store.dispatch('uploadFiles', {
+			token,
+			uploadId: upload.uploadId,
+			caption: temporaryMessage.message !== '{file}' ? temporaryMessage.message : null,
+			options,
+		})
+		// Talk does not throw on failed uploads, but marks them as failed
+		const isFailed = store.getters.getUploadFile(upload.uploadId, upload.index)?.status === 'failedUpload'
+		return !isFailed || !useOfflineCacheStore().isStale
+	} catch (error) {
+		// Any response from the server means the message is rejected, and Talk has already marked it as failed
+		return !!(error as { response?: unknown })?.response
+	}
+}
+
+/**
+ * Send all pending items in order until the first one, which fails because of the network
+ */
+async function flush() {
+	if (isFlushing) {
+		return
+	}
+	isFlushing = true
+
+	const store = getTalkStore()
+
+	try {
+		while (outbox.length && !useOfflineCacheStore().isStale) {
+			const item = outbox[0]
+			let isHandled: boolean
+			sendingMessageIds.add(item.temporaryMessage.id)
+			try {
+				isHandled = !resolveConflicts(item) || await send(item)
+			} finally {
+				sendingMessageIds.delete(item.temporaryMessage.id)
+			}
+
+			if (!isHandled) {
+				// Keep the item pending and retry when the connection is back
+				store.commit('addTemporaryMessage', { token: item.token, message: { ...item.temporaryMessage, sendingFailure: '' } })
+				break
+			}
+			dequeue(item)
+		}
+	} finally {
+		isFlushing = false
+	}
+}
+
+/**
+ * Restore pending items from the outbox as pending temporary messages
+ */
+async function restoreOutbox() {
+	const store = getTalkStore()
+	for (const item of await readOutbox()) {
+		if (item.upload) {
+			// Object URLs and File objects are not persisted in the message, recreate them
+			const localUrl = URL.createObjectURL(item.upload.file)
+			const parameters = item.temporaryMessage.messageParameters as { file: Record<string, unknown> }
+			parameters.file.file = item.upload.file
+			parameters.file.localUrl = localUrl
+		}
+		store.commit('addTemporaryMessage', { token: item.token, message: item.temporaryMessage })
+		outbox.push(item)
+	}
+}
+
+/**
+ * Initialize the outbox: messages and file uploads, failed because of the network, are kept pending
+ * across app restarts and sent in order when the server is reachable again.
+ */
+export async function initOutbox() {
+	const store = getTalkStore()
+	const offlineCacheStore = useOfflineCacheStore()
+
+	try {
+		await restoreOutbox()
+	} catch (error) {
+		console.error('Failed to restore the outbox', error)
+	}
+
+	store.subscribeAction({
+		error: (action: { type: string, payload: unknown }, state: unknown, error: { response?: unknown }) => {
+			if (action.type !== 'postNewMessage') {
+				return
+			}
+			const { token, temporaryMessage, options } = action.payload as Omit<OutboxItem, 'id' | 'upload'>
+			// No response - network error
+			if (!error?.response && !sendingMessageIds.has(temporaryMessage.id)) {
+				enqueue({ token, temporaryMessage, options }).catch((error) => console.error('Failed to add a message to the outbox', error))
+			}
+		},
+		after: (action: { type: string, payload: unknown }) => {
+			if (action.type === 'markTemporaryMessageAsFailed') {
+				const { token, id, uploadId, reason } = action.payload as { token: string, id: string, uploadId: string, reason: string }
+				if (reason === 'failed-upload' && offlineCacheStore.isStale && !sendingMessageIds.has(id)) {
+					const upload = store.getters.getUploadsArray(uploadId)
+						.find(([, uploadFile]: [string, { temporaryMessage: { id: string } }]) => uploadFile.temporaryMessage.id === id)
+					if (upload) {
+						const [index, uploadFile] = upload
+						enqueue({ token, temporaryMessage: uploadFile.temporaryMessage, upload: { uploadId, index, file: uploadFile.file } })
+							.catch((error) => console.error('Failed to add an upload to the outbox', error))
+					}
+				}
+			} else if (action.type === 'removeTemporaryMessageFromStore') {
+				// Removed by the user or replaced with the real message
+				const { id } = action.payload as { id: string }
+				const item = outbox.find((item) => item.temporaryMessage.id === id)
+				if (item && !sendingMessageIds.has(item.temporaryMessage.id)) {
+					dequeue(item)
+				}
+			} else if (action.type === 'fetchConversations') {
+				// The server is reachable, and the conversations list is up to date to resolve conflicts
+				flush().catch((error) => console.error('Failed to send the outbox', error))
+			}
+		},
+	})
+}
@@ -0,0 +1,128 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { watch } from 'vue'
+import { t } from '@nextcloud/l10n'
+import { localMediaModel } from '@talk/src/utils/webrtc/index.js'
+import SpeakingWhileMutedWarner from '@talk/src/utils/webrtc/SpeakingWhileMutedWarner.js'
+import { usePushToTalkStore } from './pushToTalk.store.ts'
+import { getTalkStore } from '../TalkWrapper/talk.service.ts'
+import { formatAccelerator, isAcceleratorKeyEvent, keyboardEventToAccelerator } from '../GlobalShortcuts/accelerator.utils.ts'
+
+/**
+ * Global shortcuts have no key release event, so the global push-to-talk key toggles talking instead.
+ * Some platforms repeat the shortcut while the key is held.
+ * A new key press is detected, when there was no repeat during this time.
+ * It must be longer than the usual key repeat delay.
+ */
+const GLOBAL_REPEAT_DELAY = 700
+
+/**
+ * Suggest the push-to-talk key in the "speaking while muted" warning of Talk
+ *
+ * @param pushToTalkStore - Push-to-talk store
+ */
+function patchSpeakingWhileMutedWarner(pushToTalkStore: ReturnType<typeof usePushToTalkStore>) {
+	const showWarning = SpeakingWhileMutedWarner.prototype._showWarning
+	SpeakingWhileMutedWarner.prototype._showWarning = function(this: { message: string, _originalMessage?: string }) {
+		this._originalMessage ??= this.message
+		const key = formatAccelerator(pushToTalkStore.shortcut)
+		this.message = !pushToTalkStore.isActive
+			? this._originalMessage
+			: pushToTalkStore.isGlobal
+				? t('talk_desktop', 'You seem to be talking while muted, press {key} to talk', { key })
+				: t('talk_desktop', 'You seem to be talking while muted, hold {key} to talk', { key })
+		return showWarning.call(this)
+	}
+}
+
+/**
+ * Initialize push-to-talk in calls: the microphone is muted and unmuted only while the push-to-talk key is held.
+ * The global push-to-talk key toggles the microphone instead.
+ */
+export function initPushToTalk() {
+	const store = getTalkStore()
+	const pushToTalkStore = usePushToTalkStore()
+
+	/** Time of the last global push-to-talk shortcut, including repeats */
+	let lastGlobalShortcutAt = 0
+
+	/**
+	 * Unmute the microphone
+	 */
+	function startTalking() {
+		if (!pushToTalkStore.isActive || pushToTalkStore.isTalking || !localMediaModel.attributes.audioAvailable) {
+			return
+		}
+		pushToTalkStore.isTalking = true
+		localMediaModel.enableAudio()
+	}
+
+	/**
+	 * Mute the microphone
+	 */
+	function stopTalking() {
+		if (!pushToTalkStore.isTalking) {
+			return
+		}
+		pushToTalkStore.isTalking = false
+		localMediaModel.disableAudio()
+	}
+
+	patchSpeakingWhileMutedWarner(pushToTalkStore)
+
+	watch(() => store.getters.isInCall(store.getters.getToken()), (isInCall) => {
+		pushToTalkStore.isInCall = isInCall
+	}, { immediate: true })
+
+	// Start muted in push-to-talk mode
+	watch(() => pushToTalkStore.isActive, (isActive) => {
+		stopTalking()
+		if (isActive && localMediaModel.attributes.audioEnabled) {
+			localMediaModel.disableAudio()
+		}
+	}, { immediate: true })
+
+	// The global shortcut is received instead of the key events, when it is registered
+	window.addEventListener('keydown', (event) => {
+		if (!pushToTalkStore.isActive || pushToTalkStore.isGlobal || keyboardEventToAccelerator(event) !== pushToTalkStore.shortcut) {
+			return
+		}
+		event.preventDefault()
+		event.stopPropagation()
+		if (!event.repeat) {
+			startTalking()
+		}
+	}, { capture: true })
+
+	window.addEventListener('keyup', (event) => {
+		if (pushToTalkStore.isTalking && !pushToTalkStore.isGlobal && isAcceleratorKeyEvent(event, pushToTalkStore.shortcut)) {
+			stopTalking()
+		}
+	}, { capture: true })
+
+	// The key release is not received, when the window loses focus
+	window.addEventListener('blur', () => {
+		if (!pushToTalkStore.isGlobal) {
+			stopTalking()
+		}
+	})
+
+	window.TALK_DESKTOP.onGlobalShortcut((event: unknown, action: string) => {
+		if (action !== 'pushToTalk') {
+			return
+		}
+		const isRepeat = Date.now() - lastGlobalShortcutAt < GLOBAL_REPEAT_DELAY
+		lastGlobalShortcutAt = Date.now()
+		if (isRepeat) {
+			return
+		}
+		if (pushToTalkStore.isTalking) {
+			stopTalking()
+		} else {
+			startTalking()
+		}
+	})
+}
@@ -0,0 +1,33 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineStore } from 'pinia'
+import { computed, ref } from 'vue'
+import { useAppConfigStore } from '../Settings/appConfig.store.ts'
+
+export const usePushToTalkStore = defineStore('pushToTalk', () => {
+	const appConfigStore = useAppConfigStore()
+
+	const isEnabled = computed(() => appConfigStore.getAppConfigValue('pushToTalk'))
+	const shortcut = computed(() => appConfigStore.getAppConfigValue('pushToTalkShortcut'))
+	const isGlobal = computed(() => appConfigStore.getAppConfigValue('pushToTalkGlobal'))
+
+	/** Whether the user is in a call in the current conversation */
+	const isInCall = ref(false)
+	/** Whether the push-to-talk key is held and the microphone is unmuted */
+	const isTalking = ref(false)
+
+	/** Whether push-to-talk controls the microphone right now */
+	const isActive = computed(() => isEnabled.value && isInCall.value)
+
+	return {
+		isEnabled,
+		shortcut,
+		isGlobal,
+		isInCall,
+		isTalking,
+		isActive,
+	}
+})
@@ -0,0 +1,191 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+export type Point = {
+	x: number
+	y: number
+}
+
+export type Rect = {
+	x: number
+	y: number
+	width: number
+	height: number
+}
+
+export type Annotation =
+	| { type: 'crop', rect: Rect }
+	| { type: 'arrow', from: Point, to: Point, color: string }
+	| { type: 'rectangle', rect: Rect, color: string }
+	| { type: 'text', position: Point, text: string, color: string }
+	| { type: 'pixelate', rect: Rect }
+
+export type AnnotationTool = Annotation['type']
+
+/**
+ * Get a rectangle between two points in any direction
+ *
+ * @param from - Start point
+ * @param to - End point
+ */
+export function getRect(from: Point, to: Point): Rect {
+	return {
+		x: Math.min(from.x, to.x),
+		y: Math.min(from.y, to.y),
+		width: Math.abs(to.x - from.x),
+		height: Math.abs(to.y - from.y),
+	}
+}
+
+/**
+ * Get the crop area, the last crop wins
+ *
+ * @param annotations - Annotations
+ * @return Crop area or null if the image is not cropped
+ */
+export function getCropRect(annotations: Annotation[]): Rect | null {
+	return annotations.findLast((annotation) => annotation.type === 'crop')?.rect ?? null
+}
+
+/**
+ * Get sizes of strokes and text relative to the image, so annotations look the same on any screen resolution
+ *
+ * @param canvas - Canvas with the image
+ */
+function getScale(canvas: HTMLCanvasElement) {
+	const lineWidth = Math.max(2, Math.round(Math.max(canvas.width, canvas.height) / 400))
+	return {
+		lineWidth,
+		arrowHeadSize: lineWidth * 5,
+		fontSize: lineWidth * 10,
+		pixelSize: lineWidth * 6,
+	}
+}
+
+/**
+ * Draw an arrow
+ *
+ * @param context - Canvas context
+ * @param annotation - Arrow annotation
+ * @param arrowHeadSize - Size of the arrow head
+ */
+function drawArrow(context: CanvasRenderingContext2D, annotation: Extract<Annotation, { type: 'arrow' }>, arrowHeadSize: number) {
+	const { from, to } = annotation
+	const angle = Math.atan2(to.y - from.y, to.x - from.x)
+	context.beginPath()
+	context.moveTo(from.x, from.y)
+	context.lineTo(to.x, to.y)
+	context.moveTo(to.x - arrowHeadSize * Math.cos(angle - Math.PI / 6), to.y - arrowHeadSize * Math.sin(angle - Math.PI / 6))
+	context.lineTo(to.x, to.y)
+	context.lineTo(to.x - arrowHeadSize * Math.cos(angle + Math.PI / 6), to.y - arrowHeadSize * Math.sin(angle + Math.PI / 6))
+	context.stroke()
+}
+
+/**
+ * Pixelate an area of the canvas, including annotations drawn before
+ *
+ * @param context - Canvas context
+ * @param rect - Area to pixelate
+ * @param pixelSize - Size of a pixel block
+ */
+function pixelate(context: CanvasRenderingContext2D, rect: Rect, pixelSize: number) {
+	if (rect.width < 1 || rect.height < 1) {
+		return
+	}
+
+	// Downscale the area and draw it back without smoothing
+	const small = document.createElement('canvas')
+	small.width = Math.max(1, Math.ceil(rect.width / pixelSize))
+	small.height = Math.max(1, Math.ceil(rect.height / pixelSize))
+	small.getContext('2d')!.drawImage(context.canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, small.width, small.height)
+
+	context.save()
+	context.imageSmoothingEnabled = false
+	context.drawImage(small, 0, 0, small.width, small.height, rect.x, rect.y, rect.width, rect.height)
+	context.restore()
+}
+
+/**
+ * Draw the image with annotations on a canvas of the image size
+ *
+ * @param canvas - Canvas to draw on
+ * @param image - Original image
+ * @param annotations - Annotations to draw in order
+ * @param options - Options
+ * @param options.showCrop - Dim the area outside of the crop instead of cropping
+ */
+export function drawAnnotatedImage(canvas: HTMLCanvasElement, image: CanvasImageSource & { width: number, height: number }, annotations: Annotation[], { showCrop = false } = {}) {
+	canvas.width = image.width
+	canvas.height = image.height
+
+	const context = canvas.getContext('2d')!
+	const { lineWidth, arrowHeadSize, fontSize, pixelSize } = getScale(canvas)
+	context.drawImage(image, 0, 0)
+	context.lineWidth = lineWidth
+	context.lineCap = 'round'
+	context.lineJoin = 'round'
+	context.font = `bold ${fontSize}px sans-serif`
+	context.textBaseline = 'top'
+
+	for (const annotation of annotations) {
+		if (annotation.type === 'arrow') {
+			context.strokeStyle = annotation.color
+			drawArrow(context, annotation, arrowHeadSize)
+		} else if (annotation.type === 'rectangle') {
+			context.strokeStyle = annotation.color
+			const { x, y, width, height } = annotation.rect
+			context.strokeRect(x, y, width, height)
+		} else if (annotation.type === 'text') {
+			context.fillStyle = annotation.color
+			annotation.text.split('\n').forEach((line, index) => {
+				context.fillText(line, annotation.position.x, annotation.position.y + index * fontSize * 1.2)
+			})
+		} else if (annotation.type === 'pixelate') {
+			pixelate(context, annotation.rect, pixelSize)
+		}
+	}
+
+	const crop = getCropRect(annotations)
+	if (showCrop && crop) {
+		// Dim everything outside of the crop area
+		context.fillStyle = 'rgba(0, 0, 0, 0.5)'
+		context.beginPath()
+		context.rect(0, 0, canvas.width, canvas.height)
+		context.rect(crop.x, crop.y, crop.width, crop.height)
+		context.fill('evenodd')
+		context.setLineDash([lineWidth * 2, lineWidth * 2])
+		context.strokeStyle = 'white'
+		context.lineWidth = 1
+		context.strokeRect(crop.x, crop.y, crop.width, crop.height)
+		context.setLineDash([])
+	}
+}
+
+/**
+ * Render the annotated and cropped image to a PNG file
+ *
+ * @param image - Original image
+ * @param annotations - Annotations
+ * @param filename - File name
+ */
+export async function exportAnnotatedImage(image: CanvasImageSource & { width: number, height: number }, annotations: Annotation[], filename: string): Promise<File> {
+	const canvas = document.createElement('canvas')
+	drawAnnotatedImage(canvas, image, annotations)
+
+	let output = canvas
+	const crop = getCropRect(annotations)
+	if (crop) {
+		output = document.createElement('canvas')
+		output.width = crop.width
+		output.height = crop.height
+		output.getContext('2d')!.drawImage(canvas, crop.x, crop.y, crop.width, crop.height, 0, 0, crop.width, crop.height)
+	}
+
+	const blob = await new Promise<Blob | null>((resolve) => output.toBlob(resolve, 'image/png'))
+	if (!blob) {
+		throw new Error('Failed to encode the image')
+	}
+	return new File([blob], filename, { type: 'image/png' })
+}
@@ -0,0 +1,27 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import Vue from 'vue'
+import AppScreenshot from './AppScreenshot.vue'
+import { openUploadEditor } from '../TalkWrapper/talk.service.ts'
+
+let appScreenshotInstance: InstanceType<typeof AppScreenshot> | null = null
+
+/**
+ * Take a screenshot of a screen or a window, annotate it and post it to a conversation via the upload editor
+ *
+ * @param token - Conversation token
+ */
+export async function takeScreenshot(token: string) {
+	if (!appScreenshotInstance) {
+		const container = document.body.appendChild(document.createElement('div'))
+		appScreenshotInstance = new Vue(AppScreenshot).$mount(container) as InstanceType<typeof AppScreenshot>
+	}
+
+	const file = await appScreenshotInstance.takeScreenshot()
+	if (file) {
+		await openUploadEditor(token, [file])
+	}
+}
@@ -0,0 +1,51 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { ScreensharingSourceId } from '../screensharing/screensharing.types.ts'
+
+/** Upper limit of the capture size, large enough for 8K screens */
+const MAX_CAPTURE_SIZE = 8192
+
+/**
+ * Capture a single frame of a screen or a window in the full resolution
+ *
+ * @param sourceId - Desktop media source ID
+ */
+export async function captureDesktopMediaSource(sourceId: ScreensharingSourceId): Promise<ImageBitmap> {
+	const constraints = {
+		audio: false,
+		video: {
+			mandatory: {
+				chromeMediaSource: 'desktop',
+				chromeMediaSourceId: sourceId,
+				maxWidth: MAX_CAPTURE_SIZE,
+				maxHeight: MAX_CAPTURE_SIZE,
+			},
+		},
+	}
+
+	// @ts-expect-error Each browser has a different API, the current object is compatible with Chromium
+	const stream = await navigator.mediaDevices.getUserMedia(constraints)
+	try {
+		const video = document.createElement('video')
+		video.muted = true
+		video.srcObject = stream
+		await video.play()
+		return await createImageBitmap(video)
+	} finally {
+		for (const track of stream.getTracks()) {
+			track.stop()
+		}
+	}
+}
+
+/**
+ * Generate a file name for a screenshot, e.g. "Screenshot 2025-01-31 14-05-09.png"
+ */
+export function generateScreenshotFilename() {
+	const date = new Date()
+	const pad = (value: number) => value.toString().padStart(2, '0')
+	return `Screenshot ${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}.png`
+}
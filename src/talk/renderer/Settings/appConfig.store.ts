@@ -7,7 +7,7 @@ import type { Ref } from 'vue'
 import type { AppConfig, AppConfigKey } from '../../../app/AppConfig.ts'
 import { readonly, ref, set, watch, watchEffect } from 'vue'
 import { defineStore } from 'pinia'
-import { getAppConfig } from '../../../shared/appConfig.service.ts'
+import { getAppConfig, isAppConfigLocked } from '../../../shared/appConfig.service.ts'
 import { setInitialState } from '../../../shared/initialState.service.js'
 import { useUserStatusStore } from '../UserStatus/userStatus.store.ts'
 
@@ -57,6 +57,9 @@ export const useAppConfigStore = defineStore('appConfig', () => {
 	 * @param value - The value to set
 	 */
 	function setAppConfigValue<K extends AppConfigKey>(key: K, value: AppConfig[K]) {
+		if (isAppConfigLocked(key)) {
+			return
+		}
 		set(appConfig.value, key, value)
 		window.TALK_DESKTOP.setAppConfig(key, value)
 	}
@@ -66,5 +69,6 @@ export const useAppConfigStore = defineStore('appConfig', () => {
 		appConfig: readonly(appConfig),
 		getAppConfigValue,
 		setAppConfigValue,
+		isAppConfigLocked,
 	}
 })
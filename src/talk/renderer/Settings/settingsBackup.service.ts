@@ -0,0 +1,94 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { SettingsImportResult, SettingsLocalState } from '../../../app/settingsBackup.ts'
+import { t } from '@nextcloud/l10n'
+import { showError, showSuccess, showWarning } from '@talk/node_modules/@nextcloud/dialogs'
+import BrowserStorage from '@talk/src/services/BrowserStorage.js'
+import { useChatExtrasStore } from '@talk/src/stores/chatExtras.js'
+import { getTalkPinia, getTalkStore } from '../TalkWrapper/talk.service.ts'
+
+// Same key as in userStatus.store.ts
+const USER_STATUS_CACHE_KEY = 'TalkDesktop:userStatus'
+
+/**
+ * Collect the local state of the account to export: chat input drafts and the cached user status
+ */
+function collectLocalState(): SettingsLocalState {
+	const chatInputs: Record<string, string> = {}
+	for (const { token } of getTalkStore().getters.conversationsList) {
+		const chatInput = BrowserStorage.getItem('chatInput_' + token)
+		if (chatInput) {
+			chatInputs[token] = chatInput
+		}
+	}
+
+	return {
+		chatInputs,
+		userStatus: JSON.parse(localStorage.getItem(USER_STATUS_CACHE_KEY) ?? 'null'),
+	}
+}
+
+/**
+ * Restore the imported local state, values are from an untrusted file
+ *
+ * @param localState - Imported local state
+ */
+function restoreLocalState(localState: SettingsLocalState) {
+	const chatExtrasStore = useChatExtrasStore(getTalkPinia())
+	if (typeof localState.chatInputs === 'object' && localState.chatInputs !== null) {
+		for (const [token, text] of Object.entries(localState.chatInputs)) {
+			if (typeof text === 'string') {
+				chatExtrasStore.setChatInput({ token, text })
+			}
+		}
+	}
+
+	// The status itself is on the server, only restore the cache shown until the status is fetched
+	if (typeof localState.userStatus === 'object' && localState.userStatus !== null && !localStorage.getItem(USER_STATUS_CACHE_KEY)) {
+		localStorage.setItem(USER_STATUS_CACHE_KEY, JSON.stringify(localState.userStatus))
+	}
+}
+
+/**
+ * Export the application settings and the local state of the account to a file chosen by the user
+ */
+export async function exportSettings() {
+	try {
+		const filePath = await window.TALK_DESKTOP.exportSettings(collectLocalState())
+		if (filePath) {
+			showSuccess(t('talk_desktop', 'Settings exported to {filePath}', { filePath }, { escape: false }))
+		}
+	} catch (error) {
+		console.error('Failed to export settings', error)
+		showError(t('talk_desktop', 'Failed to export settings'))
+	}
+}
+
+/**
+ * Import the application settings and the local state from a file chosen by the user
+ */
+export async function importSettings() {
+	let result: SettingsImportResult | null
+	try {
+		result = await window.TALK_DESKTOP.importSettings()
+	} catch (error) {
+		console.error('Failed to import settings', error)
+		showError(t('talk_desktop', 'Failed to import settings. The file is not a valid settings file.'))
+		return
+	}
+
+	if (!result) {
+		return
+	}
+
+	restoreLocalState(result.localState)
+
+	if (result.skippedKeys.length) {
+		showWarning(t('talk_desktop', 'Settings imported, except for unsupported or managed settings: {keys}', { keys: result.skippedKeys.join(', ') }, { escape: false }))
+	} else {
+		showSuccess(t('talk_desktop', 'Settings imported'))
+	}
+}
@@ -0,0 +1,28 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { NcSelectOption } from '../composables/useNcSelectModel.ts'
+import { ref } from 'vue'
+import { getLanguage } from '@nextcloud/l10n'
+
+const languageOptions = ref<NcSelectOption<string>[]>([])
+let loadPromise: Promise<void> | null = null
+
+/**
+ * Get the spell checker languages available to select, with names in the user's language.
+ * The list is empty on systems, where languages cannot be selected.
+ */
+export function useSpellCheckLanguageOptions() {
+	if (!loadPromise) {
+		loadPromise = (async () => {
+			const languageNames = new Intl.DisplayNames([getLanguage().replace('_', '-'), 'en'], { type: 'language' })
+			const languages: string[] = await window.TALK_DESKTOP.getAvailableSpellCheckLanguages()
+			languageOptions.value = languages
+				.map((language) => ({ label: languageNames.of(language) ?? language, value: language }))
+				.sort((a, b) => a.label.localeCompare(b.label))
+		})()
+	}
+	return languageOptions
+}
@@ -0,0 +1,16 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { watch } from 'vue'
+import { getTalkStore } from '../TalkWrapper/talk.service.ts'
+
+/**
+ * Check spelling in the languages of the opened conversation
+ */
+export function initSpellCheck() {
+	watch(() => getTalkStore().getters.getToken() as string | undefined, (token) => {
+		window.TALK_DESKTOP.setSpellCheckConversation(token || null)
+	}, { immediate: true })
+}
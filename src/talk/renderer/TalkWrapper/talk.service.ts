@@ -9,7 +9,7 @@ import { useTalkHashStore } from '@talk/src/stores/talkHash.js'
 /**
  * Get the Talk instance
  */
-function getTalkInstance() {
+export function getTalkInstance() {
 	if (!window.OCA.Talk?.instance) {
 		throw new Error('Talk is not initialized yet or not available')
 	}
@@ -23,6 +23,20 @@ function getTalkRouter() {
 	return getTalkInstance().$router
 }
 
+/**
+ * Get the Talk Vuex store
+ */
+export function getTalkStore() {
+	return getTalkInstance().$store
+}
+
+/**
+ * Get the Talk Pinia instance to use Talk's Pinia stores
+ */
+export function getTalkPinia() {
+	return getTalkInstance().$pinia
+}
+
 /**
  * Get the current Talk route path
  */
@@ -44,17 +58,41 @@ export function openRoot() {
  * @param token - Conversation token
  * @param options - Options
  * @param options.directCall - Use direct call (open media settings to join a call)
+ * @param options.messageId - Message to jump to
  */
-export async function openConversation(token: string, { directCall = false }: { directCall?: boolean } = {}) {
+export async function openConversation(token: string, { directCall = false, messageId }: { directCall?: boolean, messageId?: number | null } = {}) {
+	let hash: string | undefined
+	if (directCall) {
+		hash = '#direct-call'
+	} else if (messageId) {
+		hash = `#message_${messageId}`
+	}
+
 	await getTalkRouter().push({
 		name: 'conversation',
 		params: { token },
-		hash: directCall ? '#direct-call' : undefined,
+		hash,
 	}).catch(passDuplicatedNavigationError)
 
 	await window.TALK_DESKTOP.focusTalk()
 }
 
+/**
+ * Open a conversation with the upload editor to post files
+ *
+ * @param token - Conversation token
+ * @param files - Files to post
+ */
+export async function openUploadEditor(token: string, files: File[]) {
+	await openConversation(token)
+	// Talk shows the upload editor to confirm and add a caption
+	getTalkStore().dispatch('initialiseUpload', {
+		uploadId: new Date().getTime(),
+		token,
+		files,
+	})
+}
+
 /**
  * Ignore duplicated navigation error
  *
@@ -79,7 +117,7 @@ type TalkHashStoreAdapter = {
  * Create a Talk hash store adapter
  */
 function createTalkHashStoreAdapter(): TalkHashStoreAdapter {
-	const talkHashStore = useTalkHashStore(getTalkInstance().$pinia)
+	const talkHashStore = useTalkHashStore(getTalkPinia())
 
 	let onDirty: Parameters<TalkHashStoreAdapter['onDirty']>[0]
 	let onUpdate: Parameters<TalkHashStoreAdapter['onUpdate']>[0]
@@ -0,0 +1,71 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { Conversation } from '@talk/src/types/index.ts'
+import type { UserStatusPrivate } from '../UserStatus/userStatus.types.ts'
+import { computed, watch } from 'vue'
+import { CONVERSATION } from '@talk/src/constants.ts'
+import { useUserStatusStore } from '../UserStatus/userStatus.store.ts'
+import { availableUserStatusStatusTypes, getTimestampForPredefinedClearAt, userStatusTranslations } from '../UserStatus/userStatus.utils.ts'
+import { getTalkStore, openConversation } from '../TalkWrapper/talk.service.ts'
+
+type TrayAction = { type: 'openConversation', token: string }
+	| { type: 'setStatus', status: typeof availableUserStatusStatusTypes[number] }
+	| { type: 'setPredefinedStatus', id: string }
+
+/**
+ * Whether the conversation has unread messages, mentioning the user.
+ * All messages in one-to-one conversations are considered as mentions, like Talk does.
+ *
+ * @param conversation - Conversation
+ */
+function hasUnreadMention(conversation: Conversation) {
+	return conversation.unreadMention || (conversation.type === CONVERSATION.TYPE.ONE_TO_ONE && conversation.unreadMessages > 0)
+}
+
+/**
+ * Keep the tray menu in sync with the unread conversations and the user status and handle actions from the tray menu
+ */
+export function initTray() {
+	const store = getTalkStore()
+	const userStatusStore = useUserStatusStore()
+
+	const trayState = computed(() => ({
+		conversations: (store.getters.conversationsList as Conversation[])
+			.filter(hasUnreadMention)
+			.sort((a, b) => b.lastActivity - a.lastActivity)
+			.map(({ token, displayName, unreadMessages }) => ({ token, displayName, unreadMessages })),
+		status: userStatusStore.userStatus?.status ?? null,
+		statusTypes: availableUserStatusStatusTypes.map((status) => ({ status, label: userStatusTranslations[status] })),
+		predefinedStatuses: (userStatusStore.predefinedStatuses ?? []).map(({ id, icon, message }) => ({ id, icon, message })),
+	}))
+
+	// Compare serialized state to send updates only on actual changes
+	watch(() => JSON.stringify(trayState.value), (state) => {
+		window.TALK_DESKTOP.updateTray(JSON.parse(state))
+	}, { immediate: true })
+
+	window.TALK_DESKTOP.onTrayAction((event: unknown, action: TrayAction) => {
+		if (action.type === 'openConversation') {
+			openConversation(action.token)
+		} else if (action.type === 'setStatus' && userStatusStore.userStatus) {
+			userStatusStore.saveUserStatus({ ...userStatusStore.userStatus, status: action.status })
+		} else if (action.type === 'setPredefinedStatus' && userStatusStore.userStatus) {
+			const predefinedStatus = userStatusStore.predefinedStatuses?.find(({ id }) => id === action.id)
+			if (predefinedStatus) {
+				const newUserStatus: UserStatusPrivate = {
+					...userStatusStore.userStatus,
+					statusIsUserDefined: true,
+					icon: predefinedStatus.icon,
+					message: predefinedStatus.message,
+					clearAt: getTimestampForPredefinedClearAt(predefinedStatus.clearAt),
+					messageIsPredefined: true,
+					messageId: predefinedStatus.id,
+				}
+				userStatusStore.saveUserStatus(newUserStatus)
+			}
+		}
+	})
+}
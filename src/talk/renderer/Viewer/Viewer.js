@@ -9,6 +9,9 @@ import ViewerHandlerImages from './ViewerHandlerImages.vue'
 import ViewerHandlerVideos from './ViewerHandlerVideos.vue'
 import ViewerHandlerPdf from './ViewerHandlerPdf.vue'
 import ViewerHandlerText from './ViewerHandlerText.vue'
+import ViewerHandlerOffice from './ViewerHandlerOffice.vue'
+import ViewerHandlerCsv from './ViewerHandlerCsv.vue'
+import ViewerHandlerArchive from './ViewerHandlerArchive.vue'
 
 /**
  * Create and mount Viewer instance with similar to original OCA.Viewer interface
@@ -60,6 +63,32 @@ export function createViewer() {
 					'text/plain',
 				],
 				component: ViewerHandlerText,
+			}, {
+				id: 'office',
+				group: 'document',
+				mimes: [
+					'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // .docx
+					'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
+					'application/vnd.openxmlformats-officedocument.presentationml.presentation', // .pptx
+					'application/vnd.oasis.opendocument.text', // .odt
+					'application/vnd.oasis.opendocument.spreadsheet', // .ods
+				],
+				component: ViewerHandlerOffice,
+			}, {
+				id: 'csv',
+				group: 'document',
+				mimes: ['text/csv'],
+				component: ViewerHandlerCsv,
+			}, {
+				id: 'archive',
+				group: 'archive',
+				mimes: [
+					'application/zip', // .zip
+					'application/x-tar', // .tar
+					'application/x-gzip', // .tar.gz
+					'application/x-compressed', // .tgz
+				],
+				component: ViewerHandlerArchive,
 			}, {
 				id: 'text',
 				group: 'code',
@@ -72,7 +101,6 @@ export function createViewer() {
 					'application/xml', // .xml
 					'application/yaml', // .yaml .yml
 					'text/css', // .css
-					'text/csv', // .csv
 					'text/html', // .html
 					'text/x-c', // .c
 					'text/x-c++src', // .cpp
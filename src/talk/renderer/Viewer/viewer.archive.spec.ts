@@ -0,0 +1,174 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { describe, expect, it } from 'vitest'
+import { listArchiveEntries } from './viewer.archive.ts'
+
+const textEncoder = new TextEncoder()
+
+/**
+ * Compress data with a built-in compression stream
+ *
+ * @param data - Data
+ * @param format - Compression format
+ */
+async function compress(data: Uint8Array, format: CompressionFormat) {
+	return new Uint8Array(await new Response(new Blob([data]).stream().pipeThrough(new CompressionStream(format))).arrayBuffer())
+}
+
+/**
+ * Create a TAR header block
+ *
+ * @param name - Entry name
+ * @param size - Entry data size
+ * @param type - Entry type flag
+ */
+function createTarHeader(name: string, size: number, type = '0') {
+	const header = new Uint8Array(512)
+	const writeString = (value: string, offset: number) => header.set(textEncoder.encode(value), offset)
+	writeString(name, 0)
+	writeString(size.toString(8).padStart(11, '0'), 124)
+	writeString((1735689600).toString(8).padStart(11, '0'), 136)
+	writeString(' '.repeat(8), 148)
+	writeString(type, 156)
+	writeString('ustar', 257)
+	const checksum = header.reduce((sum, byte) => sum + byte, 0)
+	writeString(checksum.toString(8).padStart(6, '0') + '\0 ', 148)
+	return header
+}
+
+/**
+ * Create a TAR archive
+ *
+ * @param files - Entries as [name, content, type]
+ */
+function createTar(files: [string, string, string?][]) {
+	const blocks: Uint8Array[] = []
+	for (const [name, content, type] of files) {
+		const data = textEncoder.encode(content)
+		blocks.push(createTarHeader(name, data.length, type), data, new Uint8Array((512 - data.length % 512) % 512))
+	}
+	blocks.push(new Uint8Array(1024))
+	return new Uint8Array(blocks.flatMap((block) => [...block]))
+}
+
+/**
+ * Create a ZIP archive with stored and deflated entries
+ *
+ * @param files - Entries as [name, content, deflate]
+ */
+async function createZip(files: [string, string, boolean][]) {
+	const local: number[] = []
+	const directory: number[] = []
+	const uint16 = (value: number) => [value & 0xff, value >> 8]
+	const uint32 = (value: number) => [...uint16(value & 0xffff), ...uint16(value >>> 16)]
+	// 2025-01-31 14:05:10
+	const time = (14 << 11) | (5 << 5) | 5
+	const date = ((2025 - 1980) << 9) | (1 << 5) | 31
+
+	for (const [name, content, deflate] of files) {
+		const nameBytes = [...textEncoder.encode(name)]
+		const data = textEncoder.encode(content)
+		const compressed = deflate ? await compress(data, 'deflate-raw') : data
+		const method = deflate ? 8 : 0
+		// CRC is not checked by the reader
+		const fields = [...uint16(method), ...uint16(time), ...uint16(date), ...uint32(0), ...uint32(compressed.length), ...uint32(data.length), ...uint16(nameBytes.length), ...uint16(0)]
+		directory.push(...uint32(0x02014b50), ...uint16(20), ...uint16(20), ...uint16(0), ...fields, ...uint16(0), ...uint16(0), ...uint16(0), ...uint32(0), ...uint32(local.length), ...nameBytes)
+		local.push(...uint32(0x04034b50), ...uint16(20), ...uint16(0), ...fields, ...nameBytes, ...compressed)
+	}
+
+	const end = [...uint32(0x06054b50), ...uint16(0), ...uint16(0), ...uint16(files.length), ...uint16(files.length), ...uint32(directory.length), ...uint32(local.length), ...uint16(0)]
+	return new Uint8Array([...local, ...directory, ...end])
+}
+
+describe('viewer.archive', () => {
+	describe('listArchiveEntries', () => {
+		it('should list and extract ZIP entries', async () => {
+			const zip = await createZip([
+				['folder/', '', false],
+				['folder/stored.txt', 'Stored content', false],
+				['deflated.txt', 'Deflated content '.repeat(10), true],
+			])
+
+			const entries = await listArchiveEntries(new Blob([zip]), 'application/zip')
+
+			expect(entries.map(({ path, size, isDirectory }) => ({ path, size, isDirectory }))).toEqual([
+				{ path: 'folder/', size: 0, isDirectory: true },
+				{ path: 'folder/stored.txt', size: 14, isDirectory: false },
+				{ path: 'deflated.txt', size: 170, isDirectory: false },
+			])
+			expect(entries[1].modified).toEqual(new Date(2025, 0, 31, 14, 5, 10))
+			expect(await (await entries[1].extract()).text()).toBe('Stored content')
+			expect(await (await entries[2].extract()).text()).toBe('Deflated content '.repeat(10))
+		})
+
+		it('should throw on a file without a ZIP central directory', async () => {
+			await expect(listArchiveEntries(new Blob(['Not a ZIP archive']), 'application/zip')).rejects.toThrow('Not a ZIP archive')
+		})
+
+		it('should list and extract TAR entries', async () => {
+			const tar = createTar([
+				['folder/', '', '5'],
+				['folder/file.txt', 'File content'],
+				['link', '', '2'],
+				['././@LongLink', 'folder/' + 'long-name-'.repeat(12) + '.txt', 'L'],
+				['folder/long-name', 'Long name content'],
+			])
+
+			const entries = await listArchiveEntries(new Blob([tar]), 'application/x-tar')
+
+			expect(entries.map(({ path, size, isDirectory }) => ({ path, size, isDirectory }))).toEqual([
+				{ path: 'folder/', size: 0, isDirectory: true },
+				{ path: 'folder/file.txt', size: 12, isDirectory: false },
+				{ path: 'folder/' + 'long-name-'.repeat(12) + '.txt', size: 17, isDirectory: false },
+			])
+			expect(entries[1].modified).toEqual(new Date(1735689600 * 1000))
+			expect(await (await entries[1].extract()).text()).toBe('File content')
+			expect(await (await entries[2].extract()).text()).toBe('Long name content')
+		})
+
+		it('should list and extract gzipped TAR entries', async () => {
+			const tar = createTar([
+				['first.txt', 'First '.repeat(100)],
+				['second.txt', 'Second'],
+			])
+
+			const entries = await listArchiveEntries(new Blob([await compress(tar, 'gzip')]), 'application/x-gzip')
+
+			expect(entries.map(({ path }) => path)).toEqual(['first.txt', 'second.txt'])
+			expect(await (await entries[0].extract()).text()).toBe('First '.repeat(100))
+			expect(await (await entries[1].extract()).text()).toBe('Second')
+		})
+
+		it('should stop reading a gzipped TAR archive over the size limit', async () => {
+			const header = createTarHeader('large.bin', 600 * 1024 * 1024)
+			const data = new Uint8Array(64 * 1024 * 1024)
+			// Compress the large archive without keeping it in memory
+			const stream = new ReadableStream<Uint8Array>({
+				start(controller) {
+					controller.enqueue(header)
+				},
+				pull(controller) {
+					controller.enqueue(data)
+				},
+			}).pipeThrough(new CompressionStream('gzip'))
+			const reader = stream.getReader()
+			const chunks: Uint8Array[] = []
+			let received = 0
+			while (received < 600 * 1024) {
+				const { value } = await reader.read()
+				chunks.push(value!)
+				received += value!.length
+			}
+			await reader.cancel()
+
+			await expect(listArchiveEntries(new Blob(chunks), 'application/x-gzip')).rejects.toThrow('The archive is too large')
+		}, 30_000)
+
+		it('should throw on a file without TAR headers', async () => {
+			await expect(listArchiveEntries(new Blob([new Uint8Array(512).fill(1)]), 'application/x-tar')).rejects.toThrow('Not a TAR archive')
+		})
+	})
+})
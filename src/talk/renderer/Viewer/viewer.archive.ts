@@ -0,0 +1,353 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+export type ArchiveEntry = {
+	/** Path of the entry inside the archive, e.g. 'folder/file.txt' */
+	path: string
+	/** Uncompressed size in bytes */
+	size: number
+	/** Whether the entry is a directory */
+	isDirectory: boolean
+	/** Modification date if known */
+	modified: Date | null
+	/** Extract the entry content */
+	extract: () => Promise<Blob>
+}
+
+const ZIP_END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50
+const ZIP_CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50
+const ZIP_LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50
+
+const TAR_BLOCK_SIZE = 512
+
+/** Limit of the decompressed size of a compressed TAR archive, so a small gzip bomb cannot hang the viewer */
+const MAX_DECOMPRESSED_SIZE = 512 * 1024 * 1024
+
+const textDecoder = new TextDecoder()
+
+/**
+ * Decompress a blob with a built-in decompression stream
+ *
+ * @param blob - Compressed data
+ * @param format - Compression format
+ */
+async function decompress(blob: Blob, format: CompressionFormat): Promise<Blob> {
+	return new Response(blob.stream().pipeThrough(new DecompressionStream(format))).blob()
+}
+
+/**
+ * Create a sequential reader of a byte stream
+ *
+ * @param stream - Byte stream
+ * @param maxSize - Maximal number of bytes to read from the stream
+ */
+function createByteReader(stream: ReadableStream<Uint8Array>, maxSize = Infinity) {
+	const reader = stream.getReader()
+	/** The rest of the last chunk from the stream */
+	let buffered: Uint8Array = new Uint8Array(0)
+	let received = 0
+	let position = 0
+
+	/**
+	 * Read the next bytes, fewer bytes at the end of the stream
+	 *
+	 * @param length - Number of bytes
+	 * @param options - Options
+	 * @param options.skip - Drop the bytes instead of returning them
+	 */
+	async function read(length: number, { skip = false } = {}): Promise<Uint8Array> {
+		const parts: Uint8Array[] = []
+		let remaining = length
+		while (remaining > 0) {
+			if (!buffered.length) {
+				const { done, value } = await reader.read()
+				if (done) {
+					break
+				}
+				received += value.length
+				if (received > maxSize) {
+					await reader.cancel()
+					throw new Error('The archive is too large')
+				}
+				buffered = value
+			}
+			const part = buffered.subarray(0, remaining)
+			buffered = buffered.subarray(part.length)
+			remaining -= part.length
+			position += part.length
+			if (!skip) {
+				parts.push(part)
+			}
+		}
+
+		if (parts.length === 1) {
+			return parts[0]
+		}
+		const result = new Uint8Array(length - remaining)
+		let offset = 0
+		for (const part of parts) {
+			result.set(part, offset)
+			offset += part.length
+		}
+		return result
+	}
+
+	return {
+		read,
+		/** Number of bytes read so far */
+		get position() {
+			return position
+		},
+		// The stream may have already failed
+		cancel: () => reader.cancel().catch(() => {}),
+	}
+}
+
+/**
+ * Convert a date and time in the MS-DOS format used in ZIP to a Date
+ *
+ * @param date - MS-DOS date
+ * @param time - MS-DOS time
+ */
+function parseDosDateTime(date: number, time: number): Date {
+	return new Date(1980 + (date >> 9), ((date >> 5) & 0x0f) - 1, date & 0x1f, time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2)
+}
+
+/**
+ * List entries of a ZIP archive from its central directory
+ *
+ * @param blob - ZIP archive
+ */
+async function listZipEntries(blob: Blob): Promise<ArchiveEntry[]> {
+	// The end of central directory record is at the end of the file, followed by an optional comment up to 64 KiB
+	const tailOffset = Math.max(0, blob.size - 0xffff - 22)
+	const tail = new DataView(await blob.slice(tailOffset).arrayBuffer())
+	let endOffset = -1
+	for (let offset = tail.byteLength - 22; offset >= 0; offset--) {
+		if (tail.getUint32(offset, true) === ZIP_END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+			endOffset = offset
+			break
+		}
+	}
+	if (endOffset === -1) {
+		throw new Error('Not a ZIP archive')
+	}
+
+	const entriesCount = tail.getUint16(endOffset + 10, true)
+	const directorySize = tail.getUint32(endOffset + 12, true)
+	const directoryOffset = tail.getUint32(endOffset + 16, true)
+	if (directoryOffset === 0xffffffff) {
+		throw new Error('ZIP64 archives are not supported')
+	}
+
+	const directory = new DataView(await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer())
+	const entries: ArchiveEntry[] = []
+	let offset = 0
+	for (let i = 0; i < entriesCount && directory.getUint32(offset, true) === ZIP_CENTRAL_DIRECTORY_SIGNATURE; i++) {
+		const flags = directory.getUint16(offset + 8, true)
+		const method = directory.getUint16(offset + 10, true)
+		const modified = parseDosDateTime(directory.getUint16(offset + 14, true), directory.getUint16(offset + 12, true))
+		const compressedSize = directory.getUint32(offset + 20, true)
+		const size = directory.getUint32(offset + 24, true)
+		const nameLength = directory.getUint16(offset + 28, true)
+		const extraLength = directory.getUint16(offset + 30, true)
+		const commentLength = directory.getUint16(offset + 32, true)
+		const localHeaderOffset = directory.getUint32(offset + 42, true)
+		const path = textDecoder.decode(new Uint8Array(directory.buffer, offset + 46, nameLength))
+
+		entries.push({
+			path,
+			size,
+			isDirectory: path.endsWith('/'),
+			modified,
+			extract: () => extractZipEntry(blob, { flags, method, compressedSize, localHeaderOffset }),
+		})
+
+		offset += 46 + nameLength + extraLength + commentLength
+	}
+
+	return entries
+}
+
+/**
+ * Extract an entry of a ZIP archive
+ *
+ * @param blob - ZIP archive
+ * @param entry - Entry data from the central directory
+ * @param entry.flags - General purpose flags
+ * @param entry.method - Compression method
+ * @param entry.compressedSize - Compressed size
+ * @param entry.localHeaderOffset - Offset of the local file header
+ */
+async function extractZipEntry(blob: Blob, { flags, method, compressedSize, localHeaderOffset }: { flags: number, method: number, compressedSize: number, localHeaderOffset: number }): Promise<Blob> {
+	if (flags & 0x1) {
+		throw new Error('Encrypted files are not supported')
+	}
+
+	// Name and extra field lengths in the local header may differ from the central directory
+	const header = new DataView(await blob.slice(localHeaderOffset, localHeaderOffset + 30).arrayBuffer())
+	if (header.getUint32(0, true) !== ZIP_LOCAL_FILE_HEADER_SIGNATURE) {
+		throw new Error('Invalid ZIP local file header')
+	}
+	const dataOffset = localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true)
+	const data = blob.slice(dataOffset, dataOffset + compressedSize)
+
+	if (method === 0) {
+		return data
+	}
+	if (method === 8) {
+		return decompress(data, 'deflate-raw')
+	}
+	throw new Error(`Unsupported ZIP compression method: ${method}`)
+}
+
+/**
+ * Read a null-terminated string from a TAR header field
+ *
+ * @param header - TAR header block
+ * @param offset - Field offset
+ * @param length - Field length
+ */
+function readTarString(header: Uint8Array, offset: number, length: number): string {
+	const field = header.subarray(offset, offset + length)
+	const end = field.indexOf(0)
+	return textDecoder.decode(end === -1 ? field : field.subarray(0, end))
+}
+
+/**
+ * Read an octal number from a TAR header field
+ *
+ * @param header - TAR header block
+ * @param offset - Field offset
+ * @param length - Field length
+ */
+function readTarNumber(header: Uint8Array, offset: number, length: number): number {
+	return parseInt(readTarString(header, offset, length).trim(), 8) || 0
+}
+
+/**
+ * Check the checksum of a TAR header, which is the sum of the header bytes with the checksum field as spaces
+ *
+ * @param header - TAR header block
+ */
+function isValidTarHeader(header: Uint8Array): boolean {
+	let checksum = 0
+	for (let i = 0; i < TAR_BLOCK_SIZE; i++) {
+		checksum += i >= 148 && i < 156 ? 0x20 : header[i]
+	}
+	return checksum === readTarNumber(header, 148, 8)
+}
+
+/**
+ * List entries of a TAR archive, reading it as a stream, so only the headers are kept in memory
+ *
+ * @param stream - TAR archive
+ * @param extract - Extract data of an entry by its offset and size in the archive
+ * @param maxSize - Maximal size of the archive to read
+ */
+async function listTarEntries(stream: ReadableStream<Uint8Array>, extract: (offset: number, size: number) => Promise<Blob>, maxSize?: number): Promise<ArchiveEntry[]> {
+	const reader = createByteReader(stream, maxSize)
+	const entries: ArchiveEntry[] = []
+	// GNU long names and PAX headers override the path of the next entry
+	let nextPath: string | null = null
+
+	try {
+		while (true) {
+			const header = await reader.read(TAR_BLOCK_SIZE)
+			// The archive ends with empty blocks
+			if (header.length < TAR_BLOCK_SIZE || header.every((byte) => byte === 0)) {
+				break
+			}
+			if (!isValidTarHeader(header)) {
+				throw new Error('Not a TAR archive')
+			}
+
+			const size = readTarNumber(header, 124, 12)
+			const type = String.fromCharCode(header[156])
+			const dataOffset = reader.position
+			const padding = Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE - size
+
+			if (type === 'L' || type === 'x') {
+				const data = await reader.read(size)
+				await reader.read(padding, { skip: true })
+				nextPath = type === 'L'
+					? readTarString(data, 0, size)
+					: textDecoder.decode(data).match(/^\d+ path=(.*)$/m)?.[1] ?? nextPath
+				continue
+			}
+			await reader.read(size + padding, { skip: true })
+
+			// Only POSIX ustar has the path prefix field, GNU tar uses it for other data
+			const prefix = readTarString(header, 257, 6) === 'ustar' ? readTarString(header, 345, 155) : ''
+			const name = readTarString(header, 0, 100)
+			const path = nextPath ?? (prefix ? `${prefix}/${name}` : name)
+			nextPath = null
+
+			// Only regular files and directories, skip links and special files
+			const isDirectory = type === '5'
+			if (!isDirectory && type !== '0' && type !== '\0') {
+				continue
+			}
+
+			entries.push({
+				path,
+				size,
+				isDirectory,
+				modified: new Date(readTarNumber(header, 136, 12) * 1000),
+				extract: () => extract(dataOffset, size),
+			})
+		}
+	} finally {
+		reader.cancel()
+	}
+
+	return entries
+}
+
+/**
+ * Decompress a gzipped stream
+ *
+ * @param blob - Compressed data
+ */
+function decompressGzip(blob: Blob) {
+	return blob.stream().pipeThrough(new DecompressionStream('gzip'))
+}
+
+/**
+ * Extract an entry of a gzipped TAR archive, decompressing the archive again up to the entry
+ *
+ * @param blob - Gzipped TAR archive
+ * @param offset - Offset of the entry data in the decompressed archive
+ * @param size - Size of the entry data
+ */
+async function extractGzipTarEntry(blob: Blob, offset: number, size: number): Promise<Blob> {
+	const reader = createByteReader(decompressGzip(blob), MAX_DECOMPRESSED_SIZE)
+	try {
+		await reader.read(offset, { skip: true })
+		return new Blob([await reader.read(size)])
+	} finally {
+		reader.cancel()
+	}
+}
+
+/**
+ * List entries of an archive
+ *
+ * @param blob - Archive file content
+ * @param mime - MIME type of the archive
+ */
+export async function listArchiveEntries(blob: Blob, mime: string): Promise<ArchiveEntry[]> {
+	switch (mime) {
+		case 'application/zip':
+			return listZipEntries(blob)
+		case 'application/x-tar':
+			return listTarEntries(blob.stream(), async (offset, size) => blob.slice(offset, offset + size))
+		case 'application/x-gzip':
+		case 'application/x-compressed':
+			return listTarEntries(decompressGzip(blob), (offset, size) => extractGzipTarEntry(blob, offset, size), MAX_DECOMPRESSED_SIZE)
+		default:
+			throw new Error(`Unsupported archive type: ${mime}`)
+	}
+}
@@ -5,6 +5,20 @@
 
 import { davGetClient, davRemoteURL, davRootPath } from '@nextcloud/files'
 import type { FileStat } from 'webdav'
+import { EventBus } from '@talk/src/services/EventBus.ts'
+import { useChatExtrasStore } from '@talk/src/stores/chatExtras.js'
+import { useSharedItemsStore } from '@talk/src/stores/sharedItems.js'
+import { getTalkPinia, getTalkStore } from '../TalkWrapper/talk.service.ts'
+
+type FileMessage = {
+	id: number
+	token: string
+	messageParameters?: {
+		file?: {
+			id: string
+		}
+	}
+}
 
 export async function fetchFileContent(filename: string, format: 'text'): Promise<string>
 export async function fetchFileContent(filename: string, format: 'binary'): Promise<Blob>
@@ -29,3 +43,36 @@ export async function fetchFileContent(filename: string, format: 'text' | 'binar
 	const content = await webDavClient.getFileContents(filename, { format }) as ArrayBuffer
 	return new Blob([content], { type: mimeType })
 }
+
+/**
+ * Find the message with a shared file in the current conversation, either loaded in the chat or in the shared items
+ *
+ * @param fileId - File ID
+ * @return The message or null if it is not loaded
+ */
+export function findFileMessage(fileId: number | string): FileMessage | null {
+	const token = getTalkStore().getters.getToken()
+	if (!token) {
+		return null
+	}
+
+	const isFileMessage = (message: FileMessage) => message.messageParameters?.file?.id === fileId.toString()
+
+	const chatMessage = (getTalkStore().getters.messagesList(token) as FileMessage[]).find(isFileMessage)
+	if (chatMessage) {
+		return chatMessage
+	}
+
+	const sharedItems: Record<string, Record<number, FileMessage>> = useSharedItemsStore(getTalkPinia()).sharedItems(token)
+	return Object.values(sharedItems).flatMap((messages) => Object.values(messages)).find(isFileMessage) ?? null
+}
+
+/**
+ * Start replying to a message in the chat
+ *
+ * @param message - Message to reply to
+ */
+export function replyToMessage(message: FileMessage) {
+	useChatExtrasStore(getTalkPinia()).setParentIdToReply({ token: message.token, id: message.id })
+	EventBus.emit('focus-chat-input')
+}
@@ -0,0 +1,89 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ * @vitest-environment jsdom
+ */
+
+import { describe, expect, it } from 'vitest'
+import { generateViewerFileInfo, parseCsv } from './viewer.utils.ts'
+
+describe('viewer.utils', () => {
+	describe('generateViewerFileInfo', () => {
+		it('should map a file from message parameters to a Viewer file object', () => {
+			const file = {
+				type: 'file',
+				id: '123',
+				name: 'photo.jpg',
+				path: 'Talk/photo.jpg',
+				size: '1024',
+				link: 'https://nextcloud.local/f/123',
+				mimetype: 'image/jpeg',
+				'preview-available': 'yes' as const,
+				etag: 'abc',
+				permissions: '27',
+				width: '800',
+				height: '600',
+			}
+
+			expect(generateViewerFileInfo(file)).toEqual({
+				fileid: 123,
+				filename: '/Talk/photo.jpg',
+				basename: 'photo.jpg',
+				mime: 'image/jpeg',
+				hasPreview: true,
+				etag: 'abc',
+				permissions: 'GWDR',
+			})
+		})
+
+		it('should keep an absolute path and map the legacy preview flag', () => {
+			const file = {
+				type: 'file',
+				id: '124',
+				name: 'report.pdf',
+				path: '/Talk/report.pdf',
+				mimetype: 'application/pdf',
+				previewAvailable: 'no',
+				etag: 'def',
+				permissions: '1',
+				width: '0',
+				height: '0',
+			}
+
+			expect(generateViewerFileInfo(file)).toMatchObject({
+				filename: '/Talk/report.pdf',
+				hasPreview: false,
+				permissions: 'G',
+			})
+		})
+	})
+
+	describe('parseCsv', () => {
+		it('should parse rows and cells with a comma', () => {
+			expect(parseCsv('name,size\nfile.txt,12\n')).toEqual([['name', 'size'], ['file.txt', '12']])
+		})
+
+		it.each([
+			['semicolon', 'name;size;comment\nfile.txt;1,5;ok', [['name', 'size', 'comment'], ['file.txt', '1,5', 'ok']]],
+			['tab', 'name\tsize\nfile, copy.txt\t12', [['name', 'size'], ['file, copy.txt', '12']]],
+		])('should detect a %s delimiter from the first line', (_, content, expected) => {
+			expect(parseCsv(content)).toEqual(expected)
+		})
+
+		it('should parse quoted cells with delimiters, quotes and line breaks', () => {
+			expect(parseCsv('a,b\n"1,5","Say ""Hi""\nand bye"\n')).toEqual([['a', 'b'], ['1,5', 'Say "Hi"\nand bye']])
+		})
+
+		it('should parse Windows line breaks and empty cells', () => {
+			expect(parseCsv('a,b,c\r\n,2,\r\n')).toEqual([['a', 'b', 'c'], ['', '2', '']])
+		})
+
+		it('should parse the last line without a line break', () => {
+			expect(parseCsv('a,b\n1,2')).toEqual([['a', 'b'], ['1', '2']])
+		})
+
+		it('should return no rows for empty content', () => {
+			expect(parseCsv('')).toEqual([])
+		})
+	})
+})
@@ -3,7 +3,8 @@
  * SPDX-License-Identifier: AGPL-3.0-or-later
  */
 
-import { davRemoteURL, davRootPath } from '@nextcloud/files'
+import type { File as TalkFile } from '@talk/src/types/index.ts'
+import { davRemoteURL, davRootPath, Permission } from '@nextcloud/files'
 import { generateUrl } from '@nextcloud/router'
 
 /**
@@ -21,15 +22,94 @@ export function generateUserFileDavUrl(filename: string): string {
  *
  * @param fileId - the fileid
  * @param etag - the ETag
+ * @param size - Size in CSS pixels of a square cropped thumbnail, the screen size with the original aspect ratio by default
  */
-export function generateFilePreviewUrl(fileId: string, etag: string): string {
+export function generateFilePreviewUrl(fileId: string, etag: string, size?: number): string {
 	const searchParams = new URLSearchParams(Object.entries({
 		fileId,
-		x: Math.floor(window.screen.width * window.devicePixelRatio).toString(),
-		y: Math.floor(window.screen.height * window.devicePixelRatio).toString(),
-		a: 'true',
+		x: Math.floor((size ?? window.screen.width) * window.devicePixelRatio).toString(),
+		y: Math.floor((size ?? window.screen.height) * window.devicePixelRatio).toString(),
+		a: size ? 'false' : 'true',
 		etag,
 	})).toString()
 
 	return generateUrl(`/core/preview?${searchParams}`)
 }
+
+/**
+ * Map a file from Talk message parameters to a Viewer file object, the same way as generateViewerObject in Talk's useViewer
+ *
+ * @param file - File from message parameters
+ */
+export function generateViewerFileInfo(file: TalkFile) {
+	const path = file.path!
+	const permissions = parseInt(file.permissions, 10)
+	// Viewer expects permissions as a string in the WebDAV format instead of a bitmask
+	const davPermissions = ([[Permission.CREATE, 'CK'], [Permission.READ, 'G'], [Permission.UPDATE, 'W'], [Permission.DELETE, 'D'], [Permission.SHARE, 'R']] as const)
+		.filter(([permission]) => permissions & permission)
+		.map(([, letters]) => letters)
+		.join('')
+
+	return {
+		fileid: parseInt(file.id, 10),
+		filename: path.startsWith('/') ? path : '/' + path,
+		basename: file.name,
+		mime: file.mimetype,
+		hasPreview: file['preview-available'] === 'yes' || (file as { previewAvailable?: string }).previewAvailable === 'yes',
+		etag: file.etag,
+		permissions: davPermissions,
+	}
+}
+
+/**
+ * Parse CSV content into rows of cells (RFC 4180), detecting the delimiter from the first line
+ *
+ * @param content - CSV file content
+ * @return Rows of cells
+ */
+export function parseCsv(content: string): string[][] {
+	const firstLine = content.split(/\r?\n/, 1)[0]
+	const delimiter = [',', ';', '\t'].reduce((best, candidate) => firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best)
+
+	const rows: string[][] = []
+	let row: string[] = []
+	let cell = ''
+	let quoted = false
+
+	for (let i = 0; i < content.length; i++) {
+		const char = content[i]
+		if (quoted) {
+			if (char === '"' && content[i + 1] === '"') {
+				cell += '"'
+				i++
+			} else if (char === '"') {
+				quoted = false
+			} else {
+				cell += char
+			}
+		} else if (char === '"') {
+			quoted = true
+		} else if (char === delimiter) {
+			row.push(cell)
+			cell = ''
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && content[i + 1] === '\n') {
+				i++
+			}
+			row.push(cell)
+			rows.push(row)
+			row = []
+			cell = ''
+		} else {
+			cell += char
+		}
+	}
+
+	// The last line may have no line break
+	if (cell || row.length) {
+		row.push(cell)
+		rows.push(row)
+	}
+
+	return rows
+}
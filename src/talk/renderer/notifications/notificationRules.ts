@@ -0,0 +1,96 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { AppConfig } from '../../../app/AppConfig.ts'
+import { getAppConfigValue } from '../../../shared/appConfig.service.ts'
+
+/** How to notify about a notification */
+export type NotificationBehavior = {
+	/** Whether to play a sound */
+	sound: boolean
+	/** Whether to show the call popup */
+	popup: boolean
+	/** Whether to show a system notification */
+	banner: boolean
+}
+
+/**
+ * Parse time of the day in HH:mm format
+ *
+ * @param time - Time in HH:mm
+ * @return Minutes since midnight
+ */
+function parseTime(time: string) {
+	const [hours, minutes] = time.split(':').map((part) => parseInt(part, 10))
+	return hours * 60 + minutes
+}
+
+/**
+ * Check whether the date is in the quiet hours
+ *
+ * @param quietHours - Quiet hours config
+ * @param date - Date to check, now by default
+ */
+export function isQuietHours(quietHours: AppConfig['quietHours'], date: Date = new Date()) {
+	if (!quietHours.enabled) {
+		return false
+	}
+
+	const day = date.getDay()
+	if (quietHours.weekends && (day === 0 || day === 6)) {
+		return true
+	}
+
+	const start = parseTime(quietHours.start)
+	const end = parseTime(quietHours.end)
+	const now = date.getHours() * 60 + date.getMinutes()
+
+	if (start === end) {
+		return false
+	}
+	// The period may go over midnight, e.g. 19:00-08:00
+	return start < end
+		? now >= start && now < end
+		: now >= start || now < end
+}
+
+/**
+ * Apply local notification rules to the default behavior from the global settings:
+ * nothing during the quiet hours, except silent incoming calls if allowed, otherwise with the conversation overrides
+ *
+ * @param token - Conversation token
+ * @param defaultBehavior - Behavior according to the global settings
+ * @param options - Options
+ * @param options.isCall - Whether it is an incoming call
+ */
+export function applyNotificationRules(token: string, defaultBehavior: NotificationBehavior, { isCall = false } = {}): NotificationBehavior {
+	const quietHours = getAppConfigValue('quietHours')
+	const isQuiet = isQuietHours(quietHours)
+	if (isQuiet && !(isCall && quietHours.allowCalls)) {
+		return { sound: false, popup: false, banner: false }
+	}
+
+	const rule = getAppConfigValue('conversationNotificationRules')[token] ?? {}
+	return {
+		sound: !isQuiet && (rule.sound ?? defaultBehavior.sound),
+		popup: rule.popup ?? defaultBehavior.popup,
+		banner: rule.banner ?? defaultBehavior.banner,
+	}
+}
+
+/**
+ * Find the first alert keyword in a text. Keywords are matched as whole words, case-insensitive.
+ *
+ * @param text - Text to search in
+ * @param keywords - Keywords
+ * @return Found keyword or null
+ */
+export function findAlertKeyword(text: string, keywords: string[]) {
+	const lowerText = text.toLocaleLowerCase()
+	return keywords.find((keyword) => {
+		const escaped = keyword.trim().toLocaleLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+		return escaped && new RegExp(`(^|[^\\p{L}\\p{N}_])${escaped}($|[^\\p{L}\\p{N}_])`, 'u').test(lowerText)
+	}) ?? null
+}
@@ -77,6 +77,16 @@ const refreshData = async (lastETag) => {
 	}
 }
 
+/**
+ * Dismiss a notification on the server
+ *
+ * @param {number} notificationId - Notification ID
+ * @return {Promise<void>}
+ */
+export async function dismissNotification(notificationId) {
+	await axios.delete(generateOcsUrl('apps/notifications/api/v2/notifications/{notificationId}', { notificationId }))
+}
+
 /**
  * Get notifications from storage with refresh if necessary
  *
@@ -10,22 +10,40 @@
  * @todo this is mostly a copy. Should be reusing.
  */
 
+import { watch } from 'vue'
 import { Howl } from 'howler'
 import { listen } from '@nextcloud/notify_push'
 import { loadState } from '@nextcloud/initial-state'
 import { emit } from '@nextcloud/event-bus'
 import { generateFilePath } from '@nextcloud/router'
 import { t } from '@nextcloud/l10n'
-import { getNotificationsData } from './notifications.service.js'
+import { CONVERSATION, PARTICIPANT } from '@talk/src/constants.ts'
+import { EventBus } from '@talk/src/services/EventBus.ts'
+import { postNewMessage } from '@talk/src/services/messagesService.ts'
+import { useChatExtrasStore } from '@talk/src/stores/chatExtras.js'
+import { dismissNotification, getNotificationsData } from './notifications.service.js'
 import { appData } from '../../../app/AppData.js'
 import { useUserStatusStore } from '../UserStatus/userStatus.store.ts'
 import { checkCurrentUserHasPendingCall } from '../../../callbox/renderer/callbox.service.ts'
 import { getAppConfigValue } from '../../../shared/appConfig.service.ts'
 import { subscribeBroadcast } from '../../../shared/broadcast.service.ts'
-import { openConversation } from '../TalkWrapper/talk.service.ts'
+import { getTalkPinia, getTalkStore, openConversation } from '../TalkWrapper/talk.service.ts'
+import { applyNotificationRules, findAlertKeyword } from './notificationRules.ts'
 
 const isTestNotificationApp = (notificationApp) => ['admin_notification_talk', 'admin_notifications'].includes(notificationApp)
 
+/**
+ * Get the conversation token and the message ID from a Talk notification link, e.g. /call/{token}#message_{id}
+ *
+ * @param {object} notification - Notification DTO
+ * @return {{ token: string, messageId: number|null }}
+ */
+function parseNotificationLink(notification) {
+	const [token, hash] = notification.link.split('/call/').pop().split('#')
+	const messageId = hash?.startsWith('message_') ? parseInt(hash.slice('message_'.length), 10) : null
+	return { token: token || notification.objectId, messageId }
+}
+
 /**
  *
  */
@@ -34,6 +52,11 @@ export function createNotificationStore() {
 
 	let _oldcount = 0
 	let notificationsSet = new Set()
+	/** Notifications shown as native notifications by ID, to handle their actions */
+	const nativeNotifications = new Map()
+	/** Start time of declined calls by conversation token, to not notify about the same call again */
+	const declinedCalls = new Map()
+	let lastLocalNotificationId = 0
 
 	const state = {
 		webNotificationsGranted: false,
@@ -94,7 +117,6 @@ export function createNotificationStore() {
 		if (notifications.length > _oldcount) {
 			_oldcount = notifications.length
 			if (state.backgroundFetching && document.hidden) {
-				window.TALK_DESKTOP.setBadgeCount()
 				window.TALK_DESKTOP.flashAppIcon(true)
 				// If we didn't already highlight, store the title so we can restore on tab-view
 				if (!document.title.startsWith('* ')) {
@@ -110,7 +132,6 @@ export function createNotificationStore() {
 	 * the Talk might have altered it.
 	 */
 	function _restoreTitle() {
-		window.TALK_DESKTOP.setBadgeCount(0)
 		window.TALK_DESKTOP.flashAppIcon(false)
 		if (document.title.startsWith('* ')) {
 			document.title = document.title.substring(2)
@@ -137,10 +158,6 @@ export function createNotificationStore() {
 	 *
 	 */
 	function playSound() {
-		if (!loadState('notifications', 'sound_notification')) {
-			return
-		}
-
 		const sound = new Howl({
 			src: [generateFilePath('notifications', 'img', 'notification.ogg')],
 			volume: 0.5,
@@ -148,6 +165,16 @@ export function createNotificationStore() {
 		sound.play()
 	}
 
+	/**
+	 * Get the start time of the current call in a conversation
+	 *
+	 * @param {string} token - Conversation token
+	 * @return {number|undefined}
+	 */
+	function getCallStartTime(token) {
+		return getTalkStore().getters.conversation(token)?.callStartTime || undefined
+	}
+
 	/**
 	 *
 	 * @param notification
@@ -163,48 +190,249 @@ export function createNotificationStore() {
 		if (notification.shouldNotify === false) {
 			return
 		}
+		// All notifications are muted from the tray menu
+		if (getAppConfigValue('muteNotificationsUntil') > Date.now()) {
+			return
+		}
 
 		const isNotificationFromPendingCall = notification.objectType === 'call'
 			&& await checkCurrentUserHasPendingCall(notification.objectId)
 
+		// The call is rung again after it was declined
+		if (isNotificationFromPendingCall && declinedCalls.has(notification.objectId)
+			&& declinedCalls.get(notification.objectId) === getCallStartTime(notification.objectId)) {
+			await dismissNotification(notification.notificationId)
+			return
+		}
+
 		const enableCallboxConfig = getAppConfigValue('enableCallbox')
 		const shouldShowCallPopup = isNotificationFromPendingCall
 			&& (enableCallboxConfig === 'always' || (enableCallboxConfig === 'respect-dnd' && !userStatusStore.isDnd))
 
-		if (shouldShowCallPopup) {
+		const { token } = parseNotificationLink(notification)
+		const behavior = applyNotificationRules(token, {
+			sound: loadState('notifications', 'sound_notification'),
+			popup: shouldShowCallPopup,
+			banner: true,
+		}, { isCall: isNotificationFromPendingCall })
+
+		if (behavior.popup) {
 			const params = {
 				token: notification.objectId,
 				name: notification.subjectRichParameters.call.name,
 				type: notification.subjectRichParameters.call['call-type'],
 				avatar: notification.subjectRichParameters.call['icon-url'],
+				silent: String(!behavior.sound),
 			}
 			window.TALK_DESKTOP.showCallbox(params)
-		} else {
-			const n = new Notification(notification.subject, {
+		} else if (behavior.banner) {
+			nativeNotifications.set(notification.notificationId, notification)
+			window.TALK_DESKTOP.showNotification({
+				id: notification.notificationId,
 				title: notification.subject,
-				lang: appData.userMetadata.locale,
 				body: notification.message,
-				tag: notification.notificationId,
-				// We have a custom sound
-				silent: true,
+				actions: isNotificationFromPendingCall
+					? [
+							{ id: 'join', label: t('talk_desktop', 'Join call') },
+							{ id: 'decline', label: t('talk_desktop', 'Decline') },
+						]
+					: [{ id: 'markAsRead', label: t('talk_desktop', 'Mark as read') }],
+				replyPlaceholder: isNotificationFromPendingCall ? undefined : t('talk_desktop', 'Reply'),
+				critical: isNotificationFromPendingCall,
+			})
+		}
+		if (behavior.sound) {
+			playSound()
+		}
+	}
+
+	/**
+	 * Handle user interaction with a native notification
+	 *
+	 * @param {import('../../../app/nativeNotifications.ts').NativeNotificationEvent} event - Notification event
+	 */
+	async function handleNativeNotificationEvent({ id, action, reply }) {
+		const notification = nativeNotifications.get(id)
+		if (!notification) {
+			return
+		}
+		nativeNotifications.delete(id)
+
+		const { token, messageId } = parseNotificationLink(notification)
+
+		// The inline reply is not supported by the OS - reply in the chat
+		if (action === 'replyInApp') {
+			await openConversation(token, { messageId })
+			if (messageId) {
+				useChatExtrasStore(getTalkPinia()).setParentIdToReply({ token, id: messageId })
+			}
+			EventBus.emit('focus-chat-input')
+			return
+		}
+
+		if (action === 'open' && notification.isLocal) {
+			window.TALK_DESKTOP.focusTalk()
+			await openConversation(token)
+			return
+		}
+
+		if (action === 'open') {
+			window.TALK_DESKTOP.focusTalk()
+			// Talk will open the call from notification if necessary
+			emit('notifications:action:execute', {
+				cancelAction: false,
+				notification,
+				action: {
+					url: notification.link,
+					type: 'WEB',
+				},
 			})
-			n.addEventListener('click', () => {
-				const event = {
-					cancelAction: false,
-					notification,
-					action: {
-						url: notification.link,
-						type: 'WEB',
-					},
+			// Talk server dismisses the notification itself when the conversation is read
+			return
+		}
+
+		try {
+			if (action === 'join') {
+				await openConversation(token, { directCall: true })
+			} else if (action === 'decline') {
+				// Talk has no API to reject a call, the call notification is dismissed on all devices of the user,
+				// and the call is not notified again on this device
+				const callStartTime = getCallStartTime(token)
+				if (callStartTime) {
+					declinedCalls.set(token, callStartTime)
 				}
-				window.TALK_DESKTOP.focusTalk()
-				// Talk will open the call from notification if necessary
-				emit('notifications:action:execute', event)
-			}, false)
+			} else if (action === 'markAsRead') {
+				await getTalkStore().dispatch('clearLastReadMessage', { token })
+			} else if (action === 'reply' && reply?.trim()) {
+				await postNewMessage({
+					token,
+					message: reply.trim(),
+					// Reply to the mention
+					parent: messageId ? { id: messageId } : undefined,
+				}, { silent: false })
+				await getTalkStore().dispatch('clearLastReadMessage', { token })
+			}
+			// Local notifications do not exist on the server
+			if (!notification.isLocal) {
+				await dismissNotification(id)
+			}
+		} catch (error) {
+			console.error('Failed to handle the notification action', action, error)
+			if (action === 'reply') {
+				// Do not lose the typed reply
+				const n = new Notification(t('talk_desktop', 'Failed to send the reply'), {
+					lang: appData.userMetadata.locale,
+					body: reply,
+					silent: true,
+				})
+				n.addEventListener('click', () => openConversation(token))
+			}
 		}
-		playSound()
 	}
 
+	/**
+	 * Get the plain text of a chat message with rich object placeholders replaced by their names
+	 *
+	 * @param {object} message - Talk chat message
+	 * @return {string}
+	 */
+	function getMessagePlainText(message) {
+		return message.message.replace(/{([a-z0-9-]+)}/gi, (placeholder, key) => message.messageParameters?.[key]?.name ?? placeholder)
+	}
+
+	/**
+	 * Show a notification about a new message with an alert keyword
+	 *
+	 * @param {object} conversation - Talk conversation
+	 * @param {object} message - Talk chat message
+	 * @param {string} keyword - Found keyword
+	 */
+	function showKeywordAlert(conversation, message, keyword) {
+		if (getAppConfigValue('muteNotificationsUntil') > Date.now()) {
+			return
+		}
+
+		const behavior = applyNotificationRules(conversation.token, {
+			sound: loadState('notifications', 'sound_notification'),
+			popup: false,
+			banner: true,
+		})
+
+		if (behavior.banner) {
+			// Local notification, which is not on the server, with a negative ID to never overlap with real notifications
+			const notification = {
+				notificationId: --lastLocalNotificationId,
+				isLocal: true,
+				app: 'spreed',
+				objectType: 'chat',
+				objectId: conversation.token,
+				link: `/call/${conversation.token}#message_${message.id}`,
+			}
+			nativeNotifications.set(notification.notificationId, notification)
+			window.TALK_DESKTOP.showNotification({
+				id: notification.notificationId,
+				title: t('talk_desktop', '{actor} mentioned "{keyword}" in {conversation}', {
+					actor: message.actorDisplayName,
+					keyword,
+					conversation: conversation.displayName,
+				}, { escape: false }),
+				body: getMessagePlainText(message),
+				actions: [{ id: 'markAsRead', label: t('talk_desktop', 'Mark as read') }],
+				replyPlaceholder: t('talk_desktop', 'Reply'),
+			})
+		}
+		if (behavior.sound) {
+			playSound()
+		}
+	}
+
+	/**
+	 * Watch new messages in conversations and notify about messages with alert keywords.
+	 * Talk notifies about mentions and all messages in one-to-one conversations itself.
+	 * Requires the Talk store to be initialized.
+	 */
+	function initKeywordAlerts() {
+		const store = getTalkStore()
+		/** Last known message ID by conversation token */
+		const lastMessageIds = new Map()
+
+		// Conversation objects are updated in place, watch the last messages explicitly
+		watch(() => store.getters.conversationsList.map((conversation) => conversation.lastMessage), () => {
+			const keywords = getAppConfigValue('keywordAlerts')
+
+			for (const conversation of store.getters.conversationsList) {
+				const message = conversation.lastMessage
+				if (!message?.id) {
+					continue
+				}
+				const lastMessageId = lastMessageIds.get(conversation.token)
+				lastMessageIds.set(conversation.token, message.id)
+
+				// Only new messages, not the initial state
+				if (lastMessageId === undefined || message.id <= lastMessageId || !keywords.length) {
+					continue
+				}
+
+				const isNotifiedByServer = conversation.type === CONVERSATION.TYPE.ONE_TO_ONE
+					|| conversation.notificationLevel === PARTICIPANT.NOTIFY.ALWAYS
+					|| conversation.unreadMention
+				const isOwnMessage = message.actorId === store.getters.getActorId() && message.actorType === store.getters.getActorType()
+				const isSeen = document.hasFocus() && store.getters.getToken() === conversation.token
+				if (isNotifiedByServer || conversation.notificationLevel === PARTICIPANT.NOTIFY.NEVER
+					|| isOwnMessage || message.systemMessage || isSeen) {
+					continue
+				}
+
+				const keyword = findAlertKeyword(getMessagePlainText(message), keywords)
+				if (keyword) {
+					showKeywordAlert(conversation, message, keyword)
+				}
+			}
+		}, { immediate: true })
+	}
+
+	window.TALK_DESKTOP.onNotificationEvent((event, notificationEvent) => handleNativeNotificationEvent(notificationEvent))
+
 	/**
 	 * Handle test notifications from "occ notification:test-push" or OCS Test Push Notification
 	 *
@@ -244,6 +472,13 @@ export function createNotificationStore() {
 				return !notificationsSet.has(notification.notificationId) && notification.notificationId > state.notificationThresholdId
 			})
 			notificationsSet = new Set(state.notifications.map((notification) => notification.notificationId))
+			// Close native notifications, dismissed on the server or on another device
+			for (const [id, notification] of nativeNotifications.entries()) {
+				if (!notification.isLocal && !notificationsSet.has(id)) {
+					nativeNotifications.delete(id)
+					window.TALK_DESKTOP.closeNotification(id)
+				}
+			}
 			state.notificationThresholdId = response.notificationThresholdId
 			if (state.backgroundFetching) {
 				for (const notification of newNotifications) {
@@ -379,12 +614,8 @@ export function createNotificationStore() {
 	// Initial call to the notification endpoint
 	_fetch()
 
-	const hasPush = listen('notify_notification', _fetchAfterNotifyPush, {
-		credentials: {
-			username: appData.credentials.user,
-			password: appData.credentials.password,
-		},
-	})
+	// Credentials are not available in the renderer, notify_push authenticates with a pre-auth token
+	const hasPush = listen('notify_notification', _fetchAfterNotifyPush)
 
 	if (hasPush) {
 		console.debug('Has notify_push enabled, slowing polling to 15 minutes')
@@ -399,6 +630,7 @@ export function createNotificationStore() {
 
 	return {
 		state,
+		initKeywordAlerts,
 	}
 }
 
@@ -0,0 +1,74 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { Conversation } from '@talk/src/types/index.ts'
+import { computed, watch } from 'vue'
+import { CONVERSATION, PARTICIPANT } from '@talk/src/constants.ts'
+import { getTalkStore } from '../TalkWrapper/talk.service.ts'
+
+/** Size of the overlay icon in px, Windows uses 16x16 but scales it on HiDPI */
+const OVERLAY_ICON_SIZE = 32
+
+/**
+ * Get the number of unread messages in the conversation, the user should be notified about,
+ * according to the conversation notification level
+ *
+ * @param conversation - Conversation
+ */
+function getNotifiedUnreadCount(conversation: Conversation) {
+	if (!conversation.unreadMessages || conversation.notificationLevel === PARTICIPANT.NOTIFY.NEVER) {
+		return 0
+	}
+
+	// By default, one-to-one conversations notify about all messages, group conversations only about mentions
+	const isNotifiedAlways = conversation.notificationLevel === PARTICIPANT.NOTIFY.ALWAYS
+		|| (conversation.notificationLevel === PARTICIPANT.NOTIFY.DEFAULT && conversation.type === CONVERSATION.TYPE.ONE_TO_ONE)
+
+	if (isNotifiedAlways || conversation.unreadMention) {
+		return conversation.unreadMessages
+	}
+	return 0
+}
+
+/**
+ * Draw a numbered badge icon for the taskbar overlay
+ *
+ * @param count - Number on the badge
+ * @return Data URL of the icon in PNG
+ */
+function drawOverlayIcon(count: number) {
+	const canvas = document.createElement('canvas')
+	canvas.width = OVERLAY_ICON_SIZE
+	canvas.height = OVERLAY_ICON_SIZE
+	const context = canvas.getContext('2d')!
+
+	context.fillStyle = '#DB0606'
+	context.beginPath()
+	context.arc(OVERLAY_ICON_SIZE / 2, OVERLAY_ICON_SIZE / 2, OVERLAY_ICON_SIZE / 2, 0, 2 * Math.PI)
+	context.fill()
+
+	const text = count > 99 ? '99+' : count.toString()
+	context.fillStyle = '#FFFFFF'
+	context.font = `bold ${text.length > 2 ? 13 : 18}px sans-serif`
+	context.textAlign = 'center'
+	context.textBaseline = 'middle'
+	context.fillText(text, OVERLAY_ICON_SIZE / 2, OVERLAY_ICON_SIZE / 2 + 1)
+
+	return canvas.toDataURL('image/png')
+}
+
+/**
+ * Keep the application badge in sync with the number of unread mentions and direct messages
+ */
+export function initUnreadBadge() {
+	const store = getTalkStore()
+
+	const unreadCount = computed(() => (store.getters.conversationsList as Conversation[])
+		.reduce((sum, conversation) => sum + getNotifiedUnreadCount(conversation), 0))
+
+	watch(unreadCount, (count) => {
+		window.TALK_DESKTOP.setBadgeCount(count, count ? drawOverlayIcon(count) : null)
+	}, { immediate: true })
+}
@@ -8,6 +8,10 @@ export type ScreensharingSourceId = 'entire-desktop:0:0' | `${'screen' | 'window
 export type ScreensharingSource = {
 	id: ScreensharingSourceId
 	name: string
+	/**
+	 * Display ID of a screen source, empty for windows
+	 */
+	displayId: string
 	/**
 	 * data:image/png;base64 encoded icon of the source
 	 */
@@ -17,3 +21,18 @@ export type ScreensharingSource = {
 	 */
 	thumbnail: string | null
 }
+
+export type { ScreenShareRegion } from '../../../app/screenShareRegionFrame.ts'
+
+export type { ScreenShareAudioApp } from '../../../app/screenShareAudio.ts'
+
+export type ScreensharingOptions = {
+	/**
+	 * Share only the selected region of the screen
+	 */
+	shareRegion: boolean
+	/**
+	 * ID of the application to share the audio of or null to share no audio (Linux only)
+	 */
+	shareAudioOf: string | null
+}
@@ -0,0 +1,223 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import type { ScreenShareRegion, ScreensharingSourceId } from './screensharing.types.ts'
+
+type PendingScreensharing = {
+	sourceId: ScreensharingSourceId
+	displayId: string
+	region: ScreenShareRegion | null
+	shareAudioOf: string | null
+}
+
+/** Options of the selected source to apply on the next getUserMedia call for this source from Talk */
+let pendingScreensharing: PendingScreensharing | null = null
+
+let isGetUserMediaPatched = false
+
+/**
+ * Get the ID of the requested desktop media source from getUserMedia constraints
+ *
+ * @param constraints - Media stream constraints in Chromium format
+ */
+function getDesktopMediaSourceId(constraints?: MediaStreamConstraints): string | undefined {
+	const video = constraints?.video as { mandatory?: { chromeMediaSource?: string, chromeMediaSourceId?: string } } | undefined
+	return video?.mandatory?.chromeMediaSource === 'desktop' ? video.mandatory.chromeMediaSourceId : undefined
+}
+
+/**
+ * Crop the video track to a region in the media pipeline
+ *
+ * @param track - Original video track
+ * @param region - Region to keep
+ * @param onEnd - Callback when the cropped track ends
+ * @return Cropped video track
+ */
+function cropVideoTrack(track: MediaStreamTrack, region: ScreenShareRegion, onEnd: () => void): MediaStreamTrack {
+	const processor = new MediaStreamTrackProcessor({ track })
+	const generator = new MediaStreamTrackGenerator({ kind: 'video' })
+
+	// Pixel formats with chroma subsampling require even coordinates
+	const even = (value: number) => Math.floor(value / 2) * 2
+
+	const cropper = new TransformStream<VideoFrame, VideoFrame>({
+		transform(frame, controller) {
+			const { x, y, width, height } = frame.visibleRect!
+			controller.enqueue(new VideoFrame(frame, {
+				visibleRect: {
+					x: x + even(region.x * width),
+					y: y + even(region.y * height),
+					width: Math.max(2, even(region.width * width)),
+					height: Math.max(2, even(region.height * height)),
+				},
+			}))
+			frame.close()
+		},
+	})
+
+	let isEnded = false
+	const end = () => {
+		if (isEnded) {
+			return
+		}
+		isEnded = true
+		track.stop()
+		onEnd()
+	}
+
+	// Ends when the original track ends, for example, sharing is stopped by the system
+	processor.readable.pipeThrough(cropper).pipeTo(generator.writable).catch(() => {}).finally(end)
+
+	// Ends when Talk stops the cropped track
+	const stop = generator.stop.bind(generator)
+	generator.stop = () => {
+		stop()
+		end()
+	}
+
+	return generator
+}
+
+/**
+ * Find an audio input by its label, a new device might appear in the list with a delay
+ *
+ * @param label - Part of the device label
+ */
+async function findAudioInput(label: string) {
+	for (let attempt = 0; attempt < 10; attempt++) {
+		const devices = await navigator.mediaDevices.enumerateDevices()
+		const device = devices.find((device) => device.kind === 'audioinput' && device.label.includes(label))
+		if (device) {
+			return device
+		}
+		await new Promise((resolve) => setTimeout(resolve, 100))
+	}
+	return null
+}
+
+/**
+ * Capture the audio of an application.
+ * The application is routed to a virtual output device in the main process, its monitor is captured as an audio input.
+ *
+ * @param appId - Application ID
+ * @return Audio track or null if the application is not playing audio anymore
+ */
+async function captureAppAudio(appId: string): Promise<MediaStreamTrack | null> {
+	const stopAppAudio = () => window.TALK_DESKTOP.stopScreenShareAudio().catch((error: unknown) => console.error('Failed to stop sharing the application audio', error))
+
+	const deviceDescription: string | null = await window.TALK_DESKTOP.startScreenShareAudio(appId)
+	if (!deviceDescription) {
+		return null
+	}
+
+	let audioTrack: MediaStreamTrack
+	try {
+		const monitor = await findAudioInput(deviceDescription)
+		if (!monitor) {
+			throw new Error('The monitor of the screen share audio device is not found')
+		}
+		// Disable audio optimizations, meant for a microphone
+		const audioStream = await navigator.mediaDevices.getUserMedia({
+			audio: {
+				deviceId: { exact: monitor.deviceId },
+				echoCancellation: false,
+				autoGainControl: false,
+				noiseSuppression: false,
+			},
+		})
+		audioTrack = audioStream.getAudioTracks()[0]
+	} catch (error) {
+		stopAppAudio()
+		throw error
+	}
+
+	// Restore the application audio routing when Talk stops the track
+	const stop = audioTrack.stop.bind(audioTrack)
+	audioTrack.stop = () => {
+		stop()
+		stopAppAudio()
+	}
+
+	return audioTrack
+}
+
+/**
+ * Apply the selected screensharing options to a desktop media stream
+ *
+ * @param stream - Original stream
+ * @param options - Screensharing options
+ * @return The stream with cropped video and the application audio if selected
+ */
+async function applyScreensharingOptions(stream: MediaStream, options: PendingScreensharing): Promise<MediaStream> {
+	const [videoTrack] = stream.getVideoTracks()
+
+	if (options.region) {
+		stream.removeTrack(videoTrack)
+		stream.addTrack(cropVideoTrack(videoTrack, options.region, () => window.TALK_DESKTOP.hideScreenShareRegionFrame()))
+		window.TALK_DESKTOP.showScreenShareRegionFrame(options.displayId, options.region)
+	}
+
+	if (options.shareAudioOf) {
+		// Share the video even without audio
+		try {
+			const audioTrack = await captureAppAudio(options.shareAudioOf)
+			if (audioTrack) {
+				stream.addTrack(audioTrack)
+				// Stop the audio together with the video, when the sharing is stopped by the system
+				videoTrack.addEventListener('ended', () => audioTrack.stop())
+			}
+		} catch (error) {
+			console.error('Failed to share the application audio', error)
+		}
+	}
+
+	return stream
+}
+
+/**
+ * Patch getUserMedia to apply the screensharing options to the stream requested by Talk for the selected source
+ */
+function patchGetUserMedia() {
+	if (isGetUserMediaPatched) {
+		return
+	}
+	isGetUserMediaPatched = true
+
+	const getUserMedia = navigator.mediaDevices.getUserMedia.bind(navigator.mediaDevices)
+	navigator.mediaDevices.getUserMedia = async (constraints) => {
+		const stream = await getUserMedia(constraints)
+		const sourceId = getDesktopMediaSourceId(constraints)
+		if (!pendingScreensharing || !sourceId || sourceId !== pendingScreensharing.sourceId) {
+			return stream
+		}
+
+		const options = pendingScreensharing
+		pendingScreensharing = null
+		try {
+			return await applyScreensharingOptions(stream, options)
+		} catch (error) {
+			console.error('Failed to apply screensharing options, sharing the original stream', error)
+			return stream
+		}
+	}
+}
+
+/**
+ * Set options for the next screensharing stream of a selected source
+ *
+ * @param source - Selected source
+ * @param source.id - Source ID
+ * @param source.displayId - Display ID of the source
+ * @param region - Region to share or null to share the entire source
+ * @param shareAudioOf - ID of the application to share the audio of or null to share no audio
+ */
+export function setScreensharingOptions(source: { id: ScreensharingSourceId, displayId: string }, region: ScreenShareRegion | null, shareAudioOf: string | null) {
+	pendingScreensharing = region || shareAudioOf
+		? { sourceId: source.id, displayId: source.displayId, region, shareAudioOf }
+		: null
+	if (pendingScreensharing) {
+		patchGetUserMedia()
+	}
+}
@@ -0,0 +1,67 @@
+/*
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { localMediaModel } from '@talk/src/utils/webrtc/index.js'
+import { getTalkStore } from '../TalkWrapper/talk.service.ts'
+
+/**
+ * Toggle the microphone in the current call, same as the M hotkey in Talk
+ */
+export function toggleAudio() {
+	if (!localMediaModel.attributes.audioAvailable) {
+		return
+	}
+	if (localMediaModel.attributes.audioEnabled) {
+		localMediaModel.disableAudio()
+	} else {
+		localMediaModel.enableAudio()
+	}
+}
+
+/**
+ * Toggle the camera in the current call, same as the V hotkey in Talk
+ */
+export function toggleVideo() {
+	if (!localMediaModel.attributes.videoAvailable) {
+		return
+	}
+	if (localMediaModel.attributes.videoEnabled) {
+		localMediaModel.disableVideo()
+	} else {
+		localMediaModel.enableVideo()
+	}
+}
+
+/**
+ * Whether the hand is raised in the current call.
+ * The attribute is initialized with `false` but then set to the raised hand state object.
+ */
+export function isLocalHandRaised() {
+	const raisedHand = localMediaModel.attributes.raisedHand as boolean | { state: boolean, timestamp: number }
+	return typeof raisedHand === 'object' && raisedHand.state === true
+}
+
+/**
+ * Raise or lower the hand in the current call, same as the R hotkey in Talk
+ */
+export function toggleHandRaised() {
+	const store = getTalkStore()
+	localMediaModel.toggleHandRaised(!isLocalHandRaised())
+	store.dispatch('setParticipantHandRaised', {
+		sessionId: store.getters.getSessionId(),
+		raisedHand: localMediaModel.attributes.raisedHand,
+	})
+}
+
+/**
+ * Leave the current call, same as the "Leave call" button in Talk
+ */
+export async function leaveCall() {
+	const store = getTalkStore()
+	await store.dispatch('leaveCall', {
+		token: store.getters.getToken(),
+		participantIdentifier: store.getters.getParticipantIdentifier(),
+	})
+}
@@ -15,9 +15,10 @@ const { getAppConfig } = require('../app/AppConfig.ts')
 const { getScaledWindowMinSize, getScaledWindowSize, applyZoom, buildTitle, getWindowUrl } = require('../app/utils.ts')
 
 /**
+ * @param {import('electron').Session} [session] - Session of the account
  * @return {import('electron').BrowserWindow}
  */
-function createTalkWindow() {
+function createTalkWindow(session) {
 	const zoomFactor = getAppConfig('zoomFactor')
 
 	const talkWindowOptions = {
@@ -31,6 +32,7 @@ function createTalkWindow() {
 		webPreferences: {
 			preload: TALK_WINDOW_PRELOAD_WEBPACK_ENTRY,
 			zoomFactor,
+			session,
 		},
 		icon: getBrowserWindowIcon(),
 		titleBarStyle: getAppConfig('systemTitleBar') ? 'default' : 'hidden',
@@ -3,38 +3,49 @@
  * SPDX-License-Identifier: AGPL-3.0-or-later
  */
 
+import type { Session } from 'electron'
 import { BrowserWindow } from 'electron'
 import { applyExternalLinkHandler } from '../app/externalLinkHandlers.ts'
 import { getBrowserWindowIcon } from '../shared/icons.utils.js'
 import { getScaledWindowSize, applyZoom, buildTitle, getWindowUrl } from '../app/utils.ts'
 import { applyContextMenu } from '../app/applyContextMenu.js'
 
+/**
+ * Upgrade window mode:
+ * - required: the app is no longer supported by the account's server
+ * - update: a new version is available, show its release notes
+ */
+export type UpgradeWindowMode = 'required' | 'update'
+
 /**
  * Create the upgrade window
+ *
+ * @param session - Session of the account
+ * @param mode - Window mode
  */
-export function createUpgradeWindow() {
-	const TITLE = buildTitle('Upgrade required')
+export function createUpgradeWindow(session?: Session, mode: UpgradeWindowMode = 'required') {
+	const TITLE = buildTitle(mode === 'update' ? 'Update available' : 'Upgrade required')
 	const window = new BrowserWindow({
 		title: TITLE,
-		...getScaledWindowSize({
-			width: 350,
-			height: 300,
-		}),
+		...getScaledWindowSize(mode === 'update'
+			? { width: 450, height: 550 }
+			: { width: 350, height: 300 }),
 		show: false,
 		maximizable: false,
 		minimizable: false,
-		resizable: false,
+		resizable: mode === 'update',
 		fullscreenable: false,
 		autoHideMenuBar: true,
 		webPreferences: {
 			preload: UPGRADE_WINDOW_PRELOAD_WEBPACK_ENTRY,
+			session,
 		},
 		icon: getBrowserWindowIcon(),
 	})
 
 	window.removeMenu()
 
-	window.loadURL(getWindowUrl('upgrade_window'))
+	window.loadURL(`${getWindowUrl('upgrade_window')}?mode=${mode}`)
 
 	applyContextMenu(window)
 	applyExternalLinkHandler(window)
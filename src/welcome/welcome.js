@@ -26,11 +26,17 @@ window.TALK_DESKTOP.getSystemInfo().then((os) => {
 
 appData.restore()
 
+// Migrate plaintext credentials from LocalStorage to the secure storage
+const legacyCredentials = appData.getLegacyCredentials()
+if (legacyCredentials) {
+	await window.TALK_DESKTOP.migrateCredentials(legacyCredentials)
+	appData.persist()
+}
+
 initGlobals()
 applyAxiosInterceptors()
 
-if (appData.credentials) {
-	await window.TALK_DESKTOP.enableWebRequestInterceptor(appData.serverUrl, { enableCors: true, enableCookies: true, credentials: appData.credentials })
+if (appData.serverUrl && await window.TALK_DESKTOP.applyCredentials(appData.serverUrl)) {
 	await refetchAppDataIfDirty(appData)
 }
 
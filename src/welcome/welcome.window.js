@@ -10,9 +10,10 @@ const { getScaledWindowSize, applyZoom, getWindowUrl } = require('../app/utils.t
 const { getAppConfig } = require('../app/AppConfig.ts')
 
 /**
+ * @param {import('electron').Session} [session] - Session of the account
  * @return {import('electron').BrowserWindow}
  */
-function createWelcomeWindow() {
+function createWelcomeWindow(session) {
 	const zoomFactor = getAppConfig('zoomFactor')
 	const window = new BrowserWindow({
 		...getScaledWindowSize({
@@ -29,6 +30,7 @@ function createWelcomeWindow() {
 		webPreferences: {
 			preload: WELCOME_WINDOW_PRELOAD_WEBPACK_ENTRY,
 			zoomFactor,
+			session,
 		},
 		icon: getBrowserWindowIcon(),
 	})
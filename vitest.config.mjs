@@ -0,0 +1,23 @@
+/**
+ * SPDX-FileCopyrightText: 2025 Nextcloud GmbH and Nextcloud contributors
+ * SPDX-License-Identifier: AGPL-3.0-or-later
+ */
+
+import { defineConfig } from 'vitest/config'
+
+export default defineConfig({
+	// Build constants, see webpack.base.config.js
+	define: {
+		__CHANNEL__: JSON.stringify('stable'),
+	},
+	test: {
+		include: ['src/**/*.spec.ts'],
+		restoreMocks: true,
+		server: {
+			deps: {
+				// Nextcloud libraries have ESM entries with CommonJS dependencies
+				inline: [/@nextcloud\//],
+			},
+		},
+	},
+})
@@ -41,6 +41,8 @@ module.exports = merge(baseConfig, {
 	plugins: [
 		new webpack.DefinePlugin({
 			__BUILD_CONFIG__: JSON.stringify(resolveConfig()),
+			// Public key to verify updates, see scripts/prepare-release-packages.mjs
+			__UPDATE_PUBLIC_KEY__: JSON.stringify(process.env.UPDATE_PUBLIC_KEY ?? ''),
 		}),
 	],
 })